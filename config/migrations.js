@@ -0,0 +1,114 @@
+const path = require('path');
+const fs = require('fs');
+const { runQuery, getQuery, allQuery } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+// Load migration modules from migrations/, ordered by their numeric prefix.
+// Each file is named NNN_description.js and exports `up(db)`, where db holds
+// the runQuery/getQuery/allQuery helpers.
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) return null;
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: migration.up
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+async function ensureMigrationsTable() {
+  await runQuery(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// List every known migration with when it was applied (null if pending)
+async function getMigrationStatus() {
+  await ensureMigrationsTable();
+
+  const applied = await allQuery('SELECT version, name, applied_at FROM schema_migrations');
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const migrations = loadMigrations();
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: appliedByVersion.has(migration.version)
+      ? appliedByVersion.get(migration.version).applied_at
+      : null
+  }));
+
+  // Applied in the database but missing from migrations/ (e.g. a newer deploy was rolled back)
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+  const unknown = applied
+    .filter(row => !knownVersions.has(row.version))
+    .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+
+  return { migrations: status, unknown };
+}
+
+// Apply one migration and record it, all in a single transaction
+async function applyMigration(migration) {
+  await runQuery('BEGIN TRANSACTION');
+
+  try {
+    await migration.up({ runQuery, getQuery, allQuery });
+    await runQuery(
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name]
+    );
+    await runQuery('COMMIT');
+  } catch (error) {
+    await runQuery('ROLLBACK');
+    error.message = `Migration ${migration.file} failed: ${error.message}`;
+    throw error;
+  }
+}
+
+// Apply all pending migrations in order. Returns the migrations applied.
+async function runMigrations() {
+  await ensureMigrationsTable();
+
+  const applied = await allQuery('SELECT version FROM schema_migrations');
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.file}`);
+    await applyMigration(migration);
+  }
+
+  return pending;
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  runMigrations
+};
@@ -2,6 +2,18 @@ const jwt = require('jsonwebtoken');
 const { getQuery } = require('../config/database');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-change-in-production';
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // 15 minutes, in seconds
+
+// Load an active user whose login session hasn't been revoked
+async function getSessionUser(userId, sessionId) {
+  return getQuery(`
+    SELECT u.*, o.name as organization_name 
+    FROM users u 
+    LEFT JOIN organizations o ON u.organization_id = o.id 
+    JOIN auth_sessions s ON s.user_id = u.id AND s.id = ? AND s.revoked_at IS NULL
+    WHERE u.id = ? AND u.status = 'active'
+  `, [sessionId, userId]);
+}
 
 // Middleware for HTTP requests
 function authenticateToken(req, res, next) {
@@ -19,18 +31,14 @@ function authenticateToken(req, res, next) {
 
     try {
       // Get fresh user data from database
-      const user = await getQuery(`
-        SELECT u.*, o.name as organization_name 
-        FROM users u 
-        LEFT JOIN organizations o ON u.organization_id = o.id 
-        WHERE u.id = ? AND u.status = 'active'
-      `, [decoded.userId]);
+      const user = await getSessionUser(decoded.userId, decoded.sid);
 
       if (!user) {
-        return res.status(403).json({ error: 'User not found or inactive' });
+        return res.status(403).json({ error: 'Session revoked or user inactive' });
       }
 
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       console.error('Error fetching user:', error);
@@ -53,18 +61,14 @@ function authenticateSocket(socket, next) {
     }
 
     try {
-      const user = await getQuery(`
-        SELECT u.*, o.name as organization_name 
-        FROM users u 
-        LEFT JOIN organizations o ON u.organization_id = o.id 
-        WHERE u.id = ? AND u.status = 'active'
-      `, [decoded.userId]);
+      const user = await getSessionUser(decoded.userId, decoded.sid);
 
       if (!user) {
-        return next(new Error('User not found or inactive'));
+        return next(new Error('Authentication failed: session revoked or user inactive'));
       }
 
       socket.user = user;
+      socket.sessionId = decoded.sid;
       next();
     } catch (error) {
       console.error('Socket auth error:', error);
@@ -99,7 +103,7 @@ function requireRole(roles) {
 async function canAccessGroup(userId, groupId, action = 'read') {
   try {
     const membership = await getQuery(`
-      SELECT gm.role, g.created_by, u.role as user_role
+      SELECT gm.role, g.created_by, g.archived_at, g.type, u.role as user_role
       FROM group_members gm
       JOIN groups g ON gm.group_id = g.id
       JOIN users u ON gm.user_id = u.id
@@ -110,6 +114,16 @@ async function canAccessGroup(userId, groupId, action = 'read') {
       return false;
     }
 
+    // Archived groups are read-only until unarchived
+    if (membership.archived_at && !['read', 'manage'].includes(action)) {
+      return false;
+    }
+
+    // Direct conversations always stay between their two participants
+    if (membership.type === 'direct' && action === 'manage') {
+      return false;
+    }
+
     // Admins can do everything
     if (membership.user_role === 'admin') {
       return true;
@@ -159,17 +173,18 @@ function requireGroupAccess(action = 'read') {
   };
 }
 
-// Generate JWT token
-function generateToken(user) {
+// Generate a short-lived JWT access token bound to a login session
+function generateToken(user, sessionId) {
   return jwt.sign(
     { 
       userId: user.id, 
       email: user.email,
       role: user.role,
-      organizationId: user.organization_id 
+      organizationId: user.organization_id,
+      sid: sessionId
     },
     JWT_SECRET,
-    { expiresIn: '7d' } // Token expires in 7 days
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 }
 
@@ -190,5 +205,6 @@ module.exports = {
   canAccessGroup,
   generateToken,
   verifyToken,
-  JWT_SECRET
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL
 };
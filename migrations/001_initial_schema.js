@@ -0,0 +1,223 @@
+// Baseline schema: the tables created by initDatabase before migrations existed.
+// Uses IF NOT EXISTS so databases created by the old initDatabase adopt it
+// without changes.
+
+// Add a column to an existing table, for databases created before it existed
+async function addColumnIfMissing({ allQuery, runQuery }, table, column, definition) {
+  const columns = await allQuery(`PRAGMA table_info(${table})`);
+  if (!columns.some(col => col.name === column)) {
+    await runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+async function up(db) {
+  // Organizations table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS organizations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      type TEXT DEFAULT 'ngo',
+      settings TEXT DEFAULT '{}',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Users table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      name TEXT NOT NULL,
+      role TEXT DEFAULT 'volunteer',
+      organization_id INTEGER,
+      status TEXT DEFAULT 'active',
+      last_seen DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id)
+    )
+  `);
+
+  // Groups table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      type TEXT DEFAULT 'team',
+      description TEXT,
+      organization_id INTEGER,
+      created_by INTEGER,
+      settings TEXT DEFAULT '{}',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )
+  `);
+
+  // Group members table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS group_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id INTEGER,
+      user_id INTEGER,
+      role TEXT DEFAULT 'member',
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (group_id) REFERENCES groups(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(group_id, user_id)
+    )
+  `);
+
+  // Messages table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sender_id INTEGER,
+      group_id INTEGER,
+      content TEXT NOT NULL,
+      type TEXT DEFAULT 'text',
+      reply_to INTEGER,
+      edited_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sender_id) REFERENCES users(id),
+      FOREIGN KEY (group_id) REFERENCES groups(id),
+      FOREIGN KEY (reply_to) REFERENCES messages(id)
+    )
+  `);
+
+  // Message tags table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS message_tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER,
+      tag_type TEXT NOT NULL,
+      tag_value TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )
+  `);
+
+  // Message status table (read receipts)
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS message_status (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER,
+      user_id INTEGER,
+      read_at DATETIME,
+      delivered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(message_id, user_id)
+    )
+  `);
+
+  // Message idempotency keys table (client-generated keys for safe resends)
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS message_idempotency_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      message_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      UNIQUE(user_id, idempotency_key)
+    )
+  `);
+
+  // Tasks table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS tasks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER,
+      title TEXT NOT NULL,
+      description TEXT,
+      assignee_id INTEGER,
+      assigned_by INTEGER,
+      priority TEXT DEFAULT 'medium',
+      status TEXT DEFAULT 'pending',
+      due_date DATETIME,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (assignee_id) REFERENCES users(id),
+      FOREIGN KEY (assigned_by) REFERENCES users(id)
+    )
+  `);
+
+  // Task updates table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS task_updates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER,
+      user_id INTEGER,
+      status TEXT,
+      comment TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (task_id) REFERENCES tasks(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Files table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      filename TEXT NOT NULL,
+      original_name TEXT NOT NULL,
+      path TEXT NOT NULL,
+      mime_type TEXT,
+      size INTEGER,
+      uploader_id INTEGER,
+      group_id INTEGER,
+      message_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (uploader_id) REFERENCES users(id),
+      FOREIGN KEY (group_id) REFERENCES groups(id),
+      FOREIGN KEY (message_id) REFERENCES messages(id)
+    )
+  `);
+
+  // Form templates table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS form_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      schema TEXT NOT NULL,
+      organization_id INTEGER,
+      created_by INTEGER,
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )
+  `);
+
+  // Form responses table
+  await db.runQuery(`
+    CREATE TABLE IF NOT EXISTS form_responses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      template_id INTEGER,
+      responder_id INTEGER,
+      group_id INTEGER,
+      data TEXT NOT NULL,
+      location_lat REAL,
+      location_lng REAL,
+      submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (template_id) REFERENCES form_templates(id),
+      FOREIGN KEY (responder_id) REFERENCES users(id),
+      FOREIGN KEY (group_id) REFERENCES groups(id)
+    )
+  `);
+
+  // Columns added after their table was first created
+  await addColumnIfMissing(db, 'groups', 'archived_at', 'DATETIME');
+  await addColumnIfMissing(db, 'form_templates', 'version', 'INTEGER DEFAULT 1');
+  await addColumnIfMissing(db, 'form_templates', 'root_template_id', 'INTEGER REFERENCES form_templates(id)');
+  await addColumnIfMissing(db, 'form_responses', 'message_id', 'INTEGER REFERENCES messages(id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,39 @@
+// Full-text index over message content, kept in sync by triggers
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+      content,
+      content = 'messages',
+      content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  await db.runQuery(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+    END
+  `);
+
+  await db.runQuery(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    END
+  `);
+
+  await db.runQuery(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+      INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+    END
+  `);
+
+  // Index existing messages
+  await db.runQuery(`INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')`);
+
+  await db.runQuery('CREATE INDEX IF NOT EXISTS idx_message_tags_message ON message_tags (message_id, tag_type)');
+  await db.runQuery('CREATE INDEX IF NOT EXISTS idx_messages_group_created ON messages (group_id, created_at)');
+}
+
+module.exports = { up };
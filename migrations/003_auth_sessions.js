@@ -0,0 +1,34 @@
+// Login sessions (one per device) and their rotating refresh tokens
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE auth_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME,
+      revoked_reason TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await db.runQuery(`
+    CREATE TABLE refresh_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES auth_sessions(id)
+    )
+  `);
+
+  await db.runQuery('CREATE INDEX idx_auth_sessions_user ON auth_sessions (user_id)');
+  await db.runQuery('CREATE INDEX idx_refresh_tokens_session ON refresh_tokens (session_id)');
+}
+
+module.exports = { up };
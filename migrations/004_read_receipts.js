@@ -0,0 +1,30 @@
+// Per-user read watermark for each group, used for unread counts
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE group_read_state (
+      group_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      last_read_message_id INTEGER NOT NULL DEFAULT 0,
+      last_read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (group_id, user_id),
+      FOREIGN KEY (group_id) REFERENCES groups(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Start each member's watermark at the newest message they have read
+  await db.runQuery(`
+    INSERT INTO group_read_state (group_id, user_id, last_read_message_id, last_read_at)
+    SELECT m.group_id, ms.user_id, MAX(m.id), MAX(ms.read_at)
+    FROM message_status ms
+    JOIN messages m ON ms.message_id = m.id
+    JOIN group_members gm ON gm.group_id = m.group_id AND gm.user_id = ms.user_id
+    WHERE ms.read_at IS NOT NULL
+    GROUP BY m.group_id, ms.user_id
+  `);
+
+  await db.runQuery('CREATE INDEX idx_message_status_user ON message_status (user_id, message_id)');
+}
+
+module.exports = { up };
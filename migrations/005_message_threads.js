@@ -0,0 +1,7 @@
+// Index replies by thread root for thread views and reply counts
+
+async function up(db) {
+  await db.runQuery('CREATE INDEX idx_messages_reply_to ON messages (reply_to, id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,25 @@
+// Acknowledgements for critical alert messages, one row per recipient
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE message_acknowledgements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      acknowledged_at DATETIME,
+      notified_count INTEGER DEFAULT 1,
+      last_notified_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(message_id, user_id)
+    )
+  `);
+
+  await db.runQuery(`
+    CREATE INDEX idx_message_acknowledgements_pending
+    ON message_acknowledgements (acknowledged_at, last_notified_at)
+  `);
+}
+
+module.exports = { up };
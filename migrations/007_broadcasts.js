@@ -0,0 +1,35 @@
+// Organization-wide broadcasts with their targeting, and per-recipient delivery
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE broadcasts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      organization_id INTEGER NOT NULL,
+      sender_id INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      target_group_ids TEXT,
+      target_roles TEXT,
+      expires_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id),
+      FOREIGN KEY (sender_id) REFERENCES users(id)
+    )
+  `);
+
+  await db.runQuery(`
+    CREATE TABLE broadcast_recipients (
+      broadcast_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      delivered_at DATETIME,
+      dismissed_at DATETIME,
+      PRIMARY KEY (broadcast_id, user_id),
+      FOREIGN KEY (broadcast_id) REFERENCES broadcasts(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await db.runQuery('CREATE INDEX idx_broadcast_recipients_user ON broadcast_recipients (user_id, delivered_at)');
+  await db.runQuery('CREATE INDEX idx_broadcasts_org ON broadcasts (organization_id, created_at)');
+}
+
+module.exports = { up };
@@ -0,0 +1,21 @@
+// Direct conversations: a two-member group of type 'direct', unique per pair
+// of users (user_a_id is always the lower id)
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE direct_conversations (
+      group_id INTEGER PRIMARY KEY,
+      user_a_id INTEGER NOT NULL,
+      user_b_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (group_id) REFERENCES groups(id),
+      FOREIGN KEY (user_a_id) REFERENCES users(id),
+      FOREIGN KEY (user_b_id) REFERENCES users(id),
+      UNIQUE(user_a_id, user_b_id)
+    )
+  `);
+
+  await db.runQuery('CREATE INDEX idx_direct_conversations_user_b ON direct_conversations (user_b_id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,20 @@
+// Emoji reactions and quick status responses on messages
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE message_reactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      reaction TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(message_id, user_id, reaction)
+    )
+  `);
+
+  await db.runQuery('CREATE INDEX idx_message_reactions_message ON message_reactions (message_id)');
+}
+
+module.exports = { up };
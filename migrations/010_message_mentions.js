@@ -0,0 +1,22 @@
+// @name and @role mentions, one row per mentioned user with unread state
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE message_mentions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      mention_type TEXT NOT NULL CHECK (mention_type IN ('user', 'role')),
+      mention_value TEXT NOT NULL,
+      read_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(message_id, user_id)
+    )
+  `);
+
+  await db.runQuery('CREATE INDEX idx_message_mentions_user ON message_mentions (user_id, read_at)');
+}
+
+module.exports = { up };
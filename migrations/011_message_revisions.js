@@ -0,0 +1,42 @@
+// Message edit history, soft deletes (tombstones) and a moderation audit log
+
+async function up(db) {
+  await db.runQuery('ALTER TABLE messages ADD COLUMN deleted_at DATETIME');
+  await db.runQuery('ALTER TABLE messages ADD COLUMN deleted_by INTEGER REFERENCES users(id)');
+
+  // Every version of an edited or deleted message, the original included
+  await db.runQuery(`
+    CREATE TABLE message_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      edited_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (edited_by) REFERENCES users(id),
+      UNIQUE(message_id, revision)
+    )
+  `);
+
+  await db.runQuery(`
+    CREATE TABLE message_audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      group_id INTEGER NOT NULL,
+      actor_id INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('edit', 'delete')),
+      revision INTEGER,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (group_id) REFERENCES groups(id),
+      FOREIGN KEY (actor_id) REFERENCES users(id)
+    )
+  `);
+
+  await db.runQuery('CREATE INDEX idx_message_audit_log_group ON message_audit_log (group_id, id)');
+  await db.runQuery('CREATE INDEX idx_message_audit_log_message ON message_audit_log (message_id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,19 @@
+// Messages pinned to the top of a group
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE pinned_messages (
+      message_id INTEGER PRIMARY KEY,
+      group_id INTEGER NOT NULL,
+      pinned_by INTEGER NOT NULL,
+      pinned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (group_id) REFERENCES groups(id),
+      FOREIGN KEY (pinned_by) REFERENCES users(id)
+    )
+  `);
+
+  await db.runQuery('CREATE INDEX idx_pinned_messages_group ON pinned_messages (group_id, pinned_at)');
+}
+
+module.exports = { up };
@@ -0,0 +1,37 @@
+// Messages scheduled for later delivery, optionally recurring. send_at is the
+// next delivery as an ISO 8601 UTC string; recurrences keep the local time
+// of day in the sender's timezone.
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE scheduled_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sender_id INTEGER NOT NULL,
+      group_id INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      type TEXT DEFAULT 'text',
+      tags TEXT,
+      reply_to INTEGER,
+      send_at DATETIME NOT NULL,
+      timezone TEXT NOT NULL DEFAULT 'UTC',
+      recurrence TEXT CHECK (recurrence IN ('daily', 'weekdays', 'weekly')),
+      ends_at DATETIME,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'cancelled', 'failed')),
+      sent_count INTEGER DEFAULT 0,
+      last_sent_at DATETIME,
+      last_message_id INTEGER,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sender_id) REFERENCES users(id),
+      FOREIGN KEY (group_id) REFERENCES groups(id),
+      FOREIGN KEY (reply_to) REFERENCES messages(id),
+      FOREIGN KEY (last_message_id) REFERENCES messages(id)
+    )
+  `);
+
+  await db.runQuery('CREATE INDEX idx_scheduled_messages_due ON scheduled_messages (status, send_at)');
+  await db.runQuery('CREATE INDEX idx_scheduled_messages_sender ON scheduled_messages (sender_id, status)');
+}
+
+module.exports = { up };
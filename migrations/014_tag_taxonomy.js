@@ -0,0 +1,26 @@
+// Per-organization message tag taxonomy. Organizations without any tags get
+// the default set the first time their taxonomy is loaded.
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE tag_definitions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      organization_id INTEGER NOT NULL,
+      tag_key TEXT NOT NULL,
+      label TEXT NOT NULL,
+      color TEXT,
+      icon TEXT,
+      allows_value INTEGER DEFAULT 0,
+      allowed_values TEXT,
+      allowed_roles TEXT,
+      sort_order INTEGER DEFAULT 0,
+      archived_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id),
+      UNIQUE(organization_id, tag_key)
+    )
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,59 @@
+// Organization-level rules that act on tagged messages: forward them to
+// another group, notify everyone with a role, or create a task. Each rule
+// fires at most once per message; the log records every firing.
+
+async function up(db) {
+  await db.runQuery(`
+    CREATE TABLE tag_routing_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      organization_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      tag_key TEXT NOT NULL,
+      tag_value TEXT,
+      group_type TEXT,
+      action TEXT NOT NULL CHECK (action IN ('forward', 'notify_role', 'create_task')),
+      target_group_id INTEGER,
+      target_role TEXT,
+      target_user_id INTEGER,
+      task_priority TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id),
+      FOREIGN KEY (target_group_id) REFERENCES groups(id),
+      FOREIGN KEY (target_user_id) REFERENCES users(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )
+  `);
+
+  await db.runQuery(`
+    CREATE INDEX idx_tag_routing_rules_tag
+    ON tag_routing_rules(organization_id, tag_key)
+  `);
+
+  // rule_name is kept so the log still reads after a rule is deleted
+  await db.runQuery(`
+    CREATE TABLE tag_routing_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id INTEGER NOT NULL,
+      rule_name TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      tag_type TEXT NOT NULL,
+      tag_value TEXT,
+      action TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('fired', 'failed')),
+      forwarded_message_id INTEGER,
+      task_id INTEGER,
+      notified_count INTEGER DEFAULT 0,
+      error TEXT,
+      triggered_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (triggered_by) REFERENCES users(id),
+      UNIQUE(rule_id, message_id)
+    )
+  `);
+}
+
+module.exports = { up };
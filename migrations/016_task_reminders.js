@@ -0,0 +1,18 @@
+// Due-date reminders, overdue marking and escalation for tasks. Each step
+// happens once per task; task_updates records them alongside status changes.
+
+async function up(db) {
+  await db.runQuery('ALTER TABLE tasks ADD COLUMN reminder_sent_at DATETIME');
+  await db.runQuery('ALTER TABLE tasks ADD COLUMN overdue_at DATETIME');
+  await db.runQuery('ALTER TABLE tasks ADD COLUMN escalated_at DATETIME');
+
+  // status | reminder | overdue | escalation
+  await db.runQuery("ALTER TABLE task_updates ADD COLUMN update_type TEXT DEFAULT 'status'");
+
+  await db.runQuery(`
+    CREATE INDEX idx_tasks_open_due
+    ON tasks(status, due_date)
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,38 @@
+// Audit entries keep their own copy of who sent the message, where, and what
+// it said before the edit or delete, so they stay readable after the message
+// or its group is gone.
+
+async function up(db) {
+  await db.runQuery('ALTER TABLE message_audit_log ADD COLUMN organization_id INTEGER REFERENCES organizations(id)');
+  await db.runQuery('ALTER TABLE message_audit_log ADD COLUMN group_name TEXT');
+  await db.runQuery('ALTER TABLE message_audit_log ADD COLUMN sender_id INTEGER REFERENCES users(id)');
+  await db.runQuery('ALTER TABLE message_audit_log ADD COLUMN sender_name TEXT');
+  // The content before the action
+  await db.runQuery('ALTER TABLE message_audit_log ADD COLUMN content TEXT');
+
+  await db.runQuery(`
+    UPDATE message_audit_log SET
+      organization_id = (SELECT g.organization_id FROM groups g WHERE g.id = message_audit_log.group_id),
+      group_name = (SELECT g.name FROM groups g WHERE g.id = message_audit_log.group_id),
+      sender_id = (SELECT m.sender_id FROM messages m WHERE m.id = message_audit_log.message_id),
+      sender_name = (
+        SELECT u.name FROM messages m JOIN users u ON m.sender_id = u.id
+        WHERE m.id = message_audit_log.message_id
+      ),
+      content = CASE action
+        WHEN 'edit' THEN (
+          SELECT r.content FROM message_revisions r
+          WHERE r.message_id = message_audit_log.message_id AND r.revision = message_audit_log.revision - 1
+        )
+        ELSE (
+          SELECT r.content FROM message_revisions r
+          WHERE r.message_id = message_audit_log.message_id
+          ORDER BY r.revision DESC LIMIT 1
+        )
+      END
+  `);
+
+  await db.runQuery('CREATE INDEX idx_message_audit_log_organization ON message_audit_log (organization_id, id)');
+}
+
+module.exports = { up };
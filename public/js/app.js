@@ -32,6 +32,12 @@ class HumanitarianApp {
       
       // Load initial data
       await this.loadGroups();
+      await this.loadConversations();
+      await this.loadPendingAlerts();
+      await this.loadBroadcasts();
+      await this.loadMentions();
+      await this.loadTagTaxonomy();
+      await this.loadTasks();
       
       console.log('🚀 Humanitarian Chat initialized successfully');
       
@@ -65,11 +71,20 @@ class HumanitarianApp {
     // Groups
     this.groupsList = document.getElementById('groupsList');
     this.createGroupBtn = document.getElementById('createGroupBtn');
+
+    // Direct messages
+    this.directList = document.getElementById('directList');
+    this.newDirectBtn = document.getElementById('newDirectBtn');
+    
+    // Mentions
+    this.mentionsBtn = document.getElementById('mentionsBtn');
+    this.mentionCount = document.getElementById('mentionCount');
     
     // Chat
     this.chatTitle = document.getElementById('chatTitle');
     this.chatMembers = document.getElementById('chatMembers');
     this.messagesArea = document.getElementById('messagesArea');
+    this.pinnedBar = document.getElementById('pinnedBar');
     this.messageInput = document.getElementById('messageInput');
     this.messageText = document.getElementById('messageText');
     this.sendBtn = document.getElementById('sendBtn');
@@ -135,11 +150,61 @@ class HumanitarianApp {
       });
     }
 
+    // Start a direct conversation
+    if (this.newDirectBtn) {
+      this.newDirectBtn.addEventListener('click', () => {
+        this.startDirectConversation();
+      });
+    }
+
+    // Mentions inbox
+    if (this.mentionsBtn) {
+      this.mentionsBtn.addEventListener('click', () => {
+        this.toggleMentionsPanel();
+      });
+    }
+
+    // Critical alert button (roles that may broadcast)
+    const sendAlertBtn = document.getElementById('sendAlertBtn');
+    if (sendAlertBtn && AuthAPI.canBroadcast()) {
+      sendAlertBtn.addEventListener('click', () => {
+        this.sendAlert();
+      });
+    }
+
+    // Broadcast button (roles that may broadcast)
+    const sendBroadcastBtn = document.getElementById('sendBroadcastBtn');
+    if (sendBroadcastBtn && AuthAPI.canBroadcast()) {
+      sendBroadcastBtn.addEventListener('click', () => {
+        this.sendBroadcast();
+      });
+    }
+
+    // Schedule the typed message, or list scheduled messages
+    const scheduleBtn = document.getElementById('scheduleBtn');
+    if (scheduleBtn) {
+      scheduleBtn.addEventListener('click', () => {
+        if (this.messageText && this.messageText.value.trim()) {
+          this.scheduleMessage();
+        } else {
+          this.showScheduledPanel();
+        }
+      });
+    }
+
     // Tag message button
-    const tagMessageBtn = document.getElementById('tagMessageBtn');
-    if (tagMessageBtn) {
-      tagMessageBtn.addEventListener('click', () => {
-        this.showTagModal();
+    this.tagBtn = document.getElementById('tagBtn');
+    if (this.tagBtn) {
+      this.tagBtn.addEventListener('click', () => {
+        this.pickTags();
+      });
+    }
+
+    // Task button: a task that isn't tied to a message
+    const taskBtn = document.getElementById('taskBtn');
+    if (taskBtn && AuthAPI.canAssignTasks()) {
+      taskBtn.addEventListener('click', () => {
+        this.showTaskModal();
       });
     }
 
@@ -172,36 +237,30 @@ class HumanitarianApp {
       });
     }
 
-    // Tag modal
-    const messageTagModal = document.getElementById('messageTagModal');
-    const closeTagModal = document.getElementById('closeTagModal');
-    const cancelTagBtn = document.getElementById('cancelTagBtn');
-    const submitTagBtn = document.getElementById('submitTagBtn');
-
-    if (closeTagModal) {
-      closeTagModal.addEventListener('click', () => {
-        messageTagModal.style.display = 'none';
-      });
-    }
+    // Task modal
+    const taskModal = document.getElementById('taskModal');
+    const taskForm = document.getElementById('taskForm');
 
-    if (cancelTagBtn) {
-      cancelTagBtn.addEventListener('click', () => {
-        messageTagModal.style.display = 'none';
+    if (taskModal) {
+      taskModal.querySelectorAll('.modal-close').forEach(button => {
+        button.addEventListener('click', () => {
+          taskModal.style.display = 'none';
+        });
       });
     }
 
-    if (submitTagBtn) {
-      submitTagBtn.addEventListener('click', () => {
-        this.addTagsToNextMessage();
+    if (taskForm) {
+      taskForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.createTask();
       });
     }
   }
 
   connectSocket() {
-    const token = AuthAPI.getToken();
-    
+    // Read the token on every (re)connect so refreshed tokens are used
     this.socket = io({
-      auth: { token },
+      auth: (cb) => cb({ token: AuthAPI.getToken() }),
       transports: ['websocket', 'polling']
     });
 
@@ -209,19 +268,33 @@ class HumanitarianApp {
       console.log('🔌 Connected to server');
       this.updateConnectionStatus(true);
       
-      // Join user's groups
-      const groupIds = this.groups.map(g => g.id);
+      // Join user's groups and direct conversations
+      const groupIds = [
+        ...this.groups.map(g => g.id),
+        ...(this.conversations || []).map(c => c.groupId)
+      ];
       if (groupIds.length > 0) {
         this.socket.emit('join-groups', groupIds);
       }
       
       // Process offline queue
       this.processOfflineQueue();
+
+      // Catch up on task changes missed while disconnected
+      if (this.tasks) {
+        this.loadTasks();
+      }
     });
 
-    this.socket.on('disconnect', () => {
+    this.socket.on('disconnect', (reason) => {
       console.log('❌ Disconnected from server');
       this.updateConnectionStatus(false);
+
+      // The server only drops connections itself when the session is revoked
+      if (reason === 'io server disconnect') {
+        AuthAPI.clearSession();
+        window.location.href = '/login.html';
+      }
     });
 
     this.socket.on('new-message', (message) => {
@@ -249,13 +322,106 @@ class HumanitarianApp {
       this.handleMessageRead(data);
     });
 
+    this.socket.on('thread-reply', (data) => {
+      this.handleThreadReply(data);
+    });
+
+    this.socket.on('critical-alert', (message) => {
+      this.handleCriticalAlert(message);
+    });
+
+    this.socket.on('alert-reminder', (message) => {
+      this.handleCriticalAlert(message);
+    });
+
+    this.socket.on('alert-acknowledged', (data) => {
+      this.handleAlertAcknowledged(data);
+    });
+
+    this.socket.on('broadcast', (broadcast) => {
+      this.handleBroadcast(broadcast);
+    });
+
+    this.socket.on('direct-conversation', (conversation) => {
+      this.addConversation(conversation);
+    });
+
+    this.socket.on('mention', (mention) => {
+      this.handleMention(mention);
+    });
+
+    this.socket.on('routed-message', (data) => {
+      this.handleRoutedMessage(data);
+    });
+
+    this.socket.on('task-assigned', (data) => {
+      this.handleTaskNotice(data.task, 'assigned');
+    });
+
+    this.socket.on('task-updated', (data) => {
+      this.handleTaskNotice(data.task, 'updated');
+    });
+
+    this.socket.on('task-reminder', (data) => {
+      this.handleTaskNotice(data.task, 'reminder');
+    });
+
+    this.socket.on('task-overdue', (data) => {
+      this.handleTaskNotice(data.task, 'overdue');
+    });
+
+    this.socket.on('task-escalated', (data) => {
+      this.handleTaskNotice(data.task, 'escalated');
+    });
+
+    this.socket.on('scheduled-message-sent', () => {
+      this.refreshScheduledPanel();
+    });
+
+    this.socket.on('scheduled-message-failed', (data) => {
+      this.showError(`Scheduled message could not be sent: ${data.error}`);
+      this.refreshScheduledPanel();
+    });
+
+    this.socket.on('pins-updated', (data) => {
+      if (this.currentGroup && this.currentGroup.id === data.groupId) {
+        this.pins = data.pins;
+        this.renderPinnedBar();
+      }
+    });
+
+    this.socket.on('message-edited', (data) => {
+      this.handleMessageEdited(data);
+    });
+
+    this.socket.on('message-deleted', (data) => {
+      this.handleMessageDeleted(data);
+    });
+
+    this.socket.on('reaction-updated', (data) => {
+      this.handleReactionUpdated(data);
+    });
+
+    this.socket.on('removed-from-group', (data) => {
+      this.handleRemovedFromGroup(data.groupId);
+    });
+
+    this.socket.on('group-deleted', (data) => {
+      this.handleRemovedFromGroup(data.groupId);
+    });
+
     // Connection error handling
     this.socket.on('connect_error', (error) => {
       console.error('Connection error:', error);
       this.updateConnectionStatus(false);
       
-      if (error.message.includes('Authentication')) {
-        // Token might be expired, redirect to login
+      if (error.message === 'Invalid or expired token') {
+        // Access token expired while disconnected; refresh and retry
+        AuthAPI.refresh()
+          .then(() => this.socket.connect())
+          .catch(() => AuthAPI.logout());
+      } else if (error.message.includes('Authentication')) {
+        // Session revoked or user deactivated
         AuthAPI.logout();
       }
     });
@@ -355,7 +521,8 @@ class HumanitarianApp {
         'team': '👥',
         'project': '📋', 
         'emergency': '🚨',
-        'general': '💬'
+        'general': '💬',
+        'direct': '👤'
       };
       this.chatTitle.textContent = `${typeEmojis[group.type] || '💬'} ${group.name}`;
     }
@@ -369,8 +536,9 @@ class HumanitarianApp {
       this.messageInput.style.display = 'block';
     }
 
-    // Load messages for this group
+    // Load messages and pins for this group
     this.loadGroupMessages(group.id);
+    this.loadPins(group.id);
 
     // Hide welcome message
     const welcomeMessage = document.querySelector('.welcome-message');
@@ -379,10 +547,23 @@ class HumanitarianApp {
     }
   }
 
+  handleRemovedFromGroup(groupId) {
+    this.groups = this.groups.filter(g => g.id !== groupId);
+    this.messages.delete(groupId);
+    this.renderGroups();
+
+    if (this.currentGroup && this.currentGroup.id === groupId) {
+      this.currentGroup = null;
+      if (this.groups.length > 0) {
+        this.selectGroup(this.groups[0]);
+      }
+    }
+  }
+
   // Utility methods
   getUnreadCount(groupId) {
-    // Placeholder - would track unread messages
-    return 0;
+    const group = this.groups.find(g => g.id === groupId);
+    return group ? group.unread_count || 0 : 0;
   }
 
   showError(message) {
@@ -394,9 +575,16 @@ class HumanitarianApp {
     // Process any queued actions from offline mode
     if (this.offlineQueue.length > 0) {
       console.log(`Processing ${this.offlineQueue.length} offline actions`);
-      // Process queue items
+      // Hand queue items to the offline manager, which waits for server acks
+      if (window.offlineManager) {
+        this.offlineQueue.forEach(action => window.offlineManager.queueAction(action));
+      }
       this.offlineQueue = [];
     }
+
+    if (window.offlineManager) {
+      window.offlineManager.processSyncQueue();
+    }
   }
 }
 
@@ -404,6 +592,7 @@ class HumanitarianApp {
 let app;
 document.addEventListener('DOMContentLoaded', () => {
   app = new HumanitarianApp();
+  window.app = app;
 });
 
 // Export for global access
@@ -425,6 +614,7 @@ Object.assign(HumanitarianApp.prototype, {
       }
 
       this.renderMessages();
+      this.markGroupRead(groupId);
       
     } catch (error) {
       console.error('Failed to load messages:', error);
@@ -435,7 +625,8 @@ Object.assign(HumanitarianApp.prototype, {
   renderMessages() {
     if (!this.messagesArea || !this.currentGroup) return;
 
-    const messages = this.messages.get(this.currentGroup.id) || [];
+    // Thread replies are shown in the thread panel, not the timeline
+    const messages = (this.messages.get(this.currentGroup.id) || []).filter(m => !m.replyTo);
 
     if (messages.length === 0) {
       this.messagesArea.innerHTML = `
@@ -459,7 +650,7 @@ Object.assign(HumanitarianApp.prototype, {
 
   renderMessage(message) {
     const messageEl = document.createElement('div');
-    messageEl.className = `message ${message.senderId === this.currentUser.id ? 'own' : ''}`;
+    messageEl.className = `message ${message.senderId === this.currentUser.id ? 'own' : ''} ${message.type === 'alert' ? 'critical-alert' : ''} ${message.type === 'system' ? 'system-message' : ''}`;
     messageEl.dataset.messageId = message.id;
 
     const time = new Date(message.timestamp).toLocaleTimeString([], {
@@ -477,196 +668,1872 @@ Object.assign(HumanitarianApp.prototype, {
           <span class="message-time">${time}</span>
         </div>
         <div class="message-bubble">
-          ${this.formatMessageContent(message.content, message.type)}
+          ${this.renderMessageBody(message)}
         </div>
         ${message.tags && message.tags.length > 0 ? `
           <div class="message-tags">
-            ${message.tags.map(tag => `<span class="message-tag">${this.getTagDisplay(tag)}</span>`).join('')}
+            ${message.tags.map(tag => this.renderTag(tag)).join('')}
           </div>
         ` : ''}
+        ${message.type === 'alert' ? '<div class="alert-status"></div>' : ''}
+        <div class="message-reactions"></div>
+        <button class="thread-summary" style="display: none;"></button>
         <div class="message-actions">
-          ${AuthAPI.canAssignTasks() ? '<button class="btn-icon" title="Create Task">📋</button>' : ''}
-          <button class="btn-icon" title="Reply">↩️</button>
+          ${AuthAPI.canAssignTasks() ? '<button class="btn-icon task-btn" title="Create Task">📋</button>' : ''}
+          <button class="btn-icon react-btn" title="React">😊</button>
+          <button class="btn-icon pin-btn" title="Pin or unpin">📌</button>
+          <button class="btn-icon reply-thread-btn" title="Reply in thread">↩️</button>
         </div>
       </div>
     `;
 
-    this.messagesArea.appendChild(messageEl);
-  },
-
-  formatMessageContent(content, type) {
-    switch (type) {
-      case 'text':
-        return content.replace(/\n/g, '<br>');
-      case 'file':
-        return `📎 <a href="${content}" target="_blank">File attachment</a>`;
-      case 'image':
-        return `<img src="${content}" alt="Image" style="max-width: 200px; border-radius: 8px;">`;
-      default:
-        return content;
+    messageEl.querySelector('.reply-thread-btn').addEventListener('click', () => {
+      this.openThread(message.id);
+    });
+    messageEl.querySelector('.thread-summary').addEventListener('click', (e) => {
+      e.currentTarget.classList.remove('thread-unread');
+      this.openThread(message.id);
+    });
+    messageEl.querySelector('.react-btn').addEventListener('click', (e) => {
+      this.showReactionPicker(e.currentTarget, message.id);
+    });
+    messageEl.querySelector('.pin-btn').addEventListener('click', () => {
+      this.togglePin(message.id);
+    });
+    const taskBtn = messageEl.querySelector('.task-btn');
+    if (taskBtn) {
+      taskBtn.addEventListener('click', () => {
+        this.showTaskModal(message);
+      });
+    }
+    this.renderReactions(messageEl, message);
+    this.updateThreadSummary(messageEl, message);
+    if (message.type === 'alert') {
+      this.renderAlertStatus(messageEl, message);
     }
-  },
 
-  getTagDisplay(tag) {
-    const tagEmojis = {
-      'urgent': '🚨 Urgent',
-      'follow-up': '📌 Follow-up',
-      'financial': '💰 Financial',
-      'logistics': '🚛 Logistics',
-      'medical': '🏥 Medical',
-      'security': '🔒 Security'
-    };
-    return tagEmojis[tag] || `🏷️ ${tag}`;
+    this.messagesArea.appendChild(messageEl);
+    this.resolveFileLinks(messageEl);
   },
 
-  sendMessage() {
+  // Scheduled messages. Times are entered in the browser's timezone, which
+  // recurring messages keep across daylight saving changes.
+  async scheduleMessage() {
     const content = this.messageText.value.trim();
     if (!content || !this.currentGroup) return;
 
-    const message = {
-      groupId: this.currentGroup.id,
-      content,
-      type: 'text',
-      tags: this.selectedTags || []
-    };
+    const sendAt = prompt('Send at (YYYY-MM-DD HH:MM, your local time):');
+    if (!sendAt || !sendAt.trim()) return;
 
-    if (this.isOnline && this.socket) {
-      this.socket.emit('send-message', message);
-    } else {
-      // Queue for offline sending
-      this.offlineQueue.push({ type: 'message', data: message });
-      this.showError('Message queued - will send when online');
-    }
+    const recurrence = (prompt('Repeat: none, daily, weekdays or weekly', 'none') || 'none').trim().toLowerCase();
 
-    // Clear input
-    this.messageText.value = '';
-    this.selectedTags = [];
-    this.toggleSendButton();
-    
-    // Reset textarea height
-    this.messageText.style.height = 'auto';
+    try {
+      const response = await fetch('/api/scheduled-messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        },
+        body: JSON.stringify({
+          groupId: this.currentGroup.id,
+          content,
+          sendAt: sendAt.trim().replace(' ', 'T'),
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          recurrence: recurrence === 'none' ? null : recurrence
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to schedule message');
+      }
+
+      this.messageText.value = '';
+      this.toggleSendButton();
+      this.messageText.style.height = 'auto';
+      this.showScheduledPanel();
+
+    } catch (error) {
+      console.error('Failed to schedule message:', error);
+      this.showError(error.message || 'Failed to schedule message');
+    }
   },
 
-  handleNewMessage(message) {
-    if (!this.messages.has(message.groupId)) {
-      this.messages.set(message.groupId, []);
+  async showScheduledPanel() {
+    if (!this.scheduledPanel) {
+      this.scheduledPanel = document.createElement('aside');
+      this.scheduledPanel.className = 'thread-panel scheduled-panel';
+      document.body.appendChild(this.scheduledPanel);
     }
 
-    this.messages.get(message.groupId).push(message);
+    try {
+      const response = await fetch('/api/scheduled-messages', {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
 
-    // If message is for current group, render it
-    if (this.currentGroup && message.groupId === this.currentGroup.id) {
-      this.renderMessage(message);
-      this.messagesArea.scrollTop = this.messagesArea.scrollHeight;
-      
-      // Mark as read
-      if (this.socket) {
-        this.socket.emit('mark-read', {
-          messageId: message.id,
-          groupId: message.groupId
-        });
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load scheduled messages');
       }
-    } else {
-      // Update unread count for other groups
-      this.updateUnreadCount(message.groupId);
-    }
 
-    // Play notification sound (if enabled)
-    this.playNotificationSound();
-  },
+      this.renderScheduledPanel(data.scheduledMessages);
 
-  handleMessageSent(message) {
-    // Message was successfully sent
-    console.log('Message sent successfully:', message.id);
-    
-    // Add to local messages
-    if (!this.messages.has(message.groupId)) {
-      this.messages.set(message.groupId, []);
+    } catch (error) {
+      console.error('Failed to load scheduled messages:', error);
+      this.showError('Failed to load scheduled messages');
     }
-    this.messages.get(message.groupId).push(message);
+  },
 
-    // Re-render if current group
-    if (this.currentGroup && message.groupId === this.currentGroup.id) {
-      this.renderMessage(message);
-      this.messagesArea.scrollTop = this.messagesArea.scrollHeight;
+  refreshScheduledPanel() {
+    if (this.scheduledPanel && this.scheduledPanel.style.display !== 'none') {
+      this.showScheduledPanel();
     }
   },
 
-  toggleSendButton() {
-    if (!this.sendBtn || !this.messageText) return;
-    
-    const hasContent = this.messageText.value.trim().length > 0;
-    this.sendBtn.disabled = !hasContent;
+  renderScheduledPanel(scheduledMessages) {
+    this.scheduledPanel.innerHTML = `
+      <div class="thread-header">
+        <h3>Scheduled</h3>
+        <button class="btn-icon thread-close" title="Close">✕</button>
+      </div>
+      <div class="thread-replies">
+        ${scheduledMessages.length === 0 ? '<p class="panel-empty">No scheduled messages.</p>' : ''}
+        ${scheduledMessages.map(scheduled => `
+          <div class="thread-message" data-scheduled-id="${scheduled.id}">
+            <div class="message-header">
+              <span class="message-sender">${this.escapeHtml(scheduled.groupName)}</span>
+              <span class="message-time">⏰ ${new Date(scheduled.sendAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}${scheduled.recurrence ? ` · repeats ${scheduled.recurrence}` : ''}</span>
+            </div>
+            <div class="message-bubble">${this.formatMessageContent(scheduled.content, scheduled.type)}</div>
+            <button class="btn btn-sm scheduled-cancel">Cancel</button>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    this.scheduledPanel.querySelector('.thread-close').addEventListener('click', () => {
+      this.scheduledPanel.style.display = 'none';
+    });
+    this.scheduledPanel.querySelectorAll('[data-scheduled-id]').forEach(itemEl => {
+      itemEl.querySelector('.scheduled-cancel').addEventListener('click', () => {
+        this.cancelScheduledMessage(parseInt(itemEl.dataset.scheduledId));
+      });
+    });
+
+    this.scheduledPanel.style.display = '';
   },
 
-  handleTyping() {
-    if (!this.socket || !this.currentGroup) return;
+  async cancelScheduledMessage(scheduledId) {
+    if (!confirm('Cancel this scheduled message?')) return;
 
-    // Debounced typing indicator
-    clearTimeout(this.typingTimeout);
-    
-    if (!this.isTyping) {
-      this.isTyping = true;
-      this.socket.emit('typing-start', { groupId: this.currentGroup.id });
-    }
+    try {
+      const response = await fetch(`/api/scheduled-messages/${scheduledId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
 
-    this.typingTimeout = setTimeout(() => {
-      this.isTyping = false;
-      this.socket.emit('typing-stop', { groupId: this.currentGroup.id });
-    }, 3000);
-  },
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel scheduled message');
+      }
 
-  handleUserTyping(data) {
-    if (data.groupId === this.currentGroup?.id && data.userId !== this.currentUser.id) {
-      this.typingUsers.add(data.userName);
-      this.updateTypingIndicator();
+      this.showScheduledPanel();
+
+    } catch (error) {
+      console.error('Failed to cancel scheduled message:', error);
+      this.showError(error.message || 'Failed to cancel scheduled message');
     }
   },
 
-  handleUserStopTyping(data) {
-    if (data.groupId === this.currentGroup?.id) {
-      this.typingUsers.delete(data.userName);
-      this.updateTypingIndicator();
+  // Pinned messages
+  async loadPins(groupId) {
+    try {
+      const response = await fetch(`/api/groups/${groupId}/pins`, {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load pinned messages');
+      }
+
+      // The group may have changed while loading
+      if (!this.currentGroup || this.currentGroup.id !== groupId) return;
+
+      this.pins = data.pins;
+      this.canManagePins = data.canManage;
+      if (this.messagesArea) {
+        this.messagesArea.classList.toggle('can-pin', data.canManage);
+      }
+      this.renderPinnedBar();
+
+    } catch (error) {
+      console.error('Failed to load pinned messages:', error);
     }
   },
 
-  updateTypingIndicator() {
-    if (!this.typingIndicators || !this.typingText) return;
+  renderPinnedBar() {
+    if (!this.pinnedBar) return;
 
-    if (this.typingUsers.size === 0) {
-      this.typingIndicators.style.display = 'none';
+    const pins = this.pins || [];
+
+    if (pins.length === 0) {
+      this.pinnedBar.style.display = 'none';
       return;
     }
 
-    const users = Array.from(this.typingUsers);
-    let text = '';
+    const expanded = this.pinnedBar.classList.contains('expanded');
+    const shown = expanded ? pins : pins.slice(0, 1);
 
-    if (users.length === 1) {
-      text = `${users[0]} is typing...`;
-    } else if (users.length === 2) {
-      text = `${users[0]} and ${users[1]} are typing...`;
-    } else {
-      text = `${users[0]} and ${users.length - 1} others are typing...`;
+    this.pinnedBar.innerHTML = `
+      <div class="pinned-bar-header">
+        <span>📌 <strong>${pins.length} pinned</strong></span>
+        ${pins.length > 1 ? `<button class="btn btn-sm pinned-toggle">${expanded ? 'Show less' : 'Show all'}</button>` : ''}
+      </div>
+      ${shown.map(pin => `
+        <div class="pinned-item" data-message-id="${pin.messageId}">
+          <span class="pinned-content"><strong>${this.escapeHtml(pin.sender.name)}:</strong> ${this.formatMessageContent(pin.content, pin.type)}</span>
+          ${this.canManagePins ? '<button class="btn-icon pinned-unpin" title="Unpin">✕</button>' : ''}
+        </div>
+      `).join('')}
+    `;
+
+    const toggle = this.pinnedBar.querySelector('.pinned-toggle');
+    if (toggle) {
+      toggle.addEventListener('click', () => {
+        this.pinnedBar.classList.toggle('expanded');
+        this.renderPinnedBar();
+      });
     }
 
-    this.typingText.textContent = text;
-    this.typingIndicators.style.display = 'block';
-  },
+    this.pinnedBar.querySelectorAll('.pinned-item').forEach(itemEl => {
+      const messageId = parseInt(itemEl.dataset.messageId);
 
-  handleMessageRead(data) {
-    // Update read status UI if needed
-    const messageEl = document.querySelector(`[data-message-id="${data.messageId}"]`);
-    if (messageEl && data.userId !== this.currentUser.id) {
-      // Could add read receipt indicator
-    }
+      itemEl.querySelector('.pinned-content').addEventListener('click', () => {
+        const messageEl = this.messagesArea && this.messagesArea.querySelector(`[data-message-id="${messageId}"]`);
+        if (messageEl) {
+          messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+      });
+
+      const unpin = itemEl.querySelector('.pinned-unpin');
+      if (unpin) {
+        unpin.addEventListener('click', () => this.togglePin(messageId));
+      }
+    });
+
+    this.resolveFileLinks(this.pinnedBar);
+    this.pinnedBar.style.display = '';
   },
 
-  showCreateGroupModal() {
-    const modal = document.getElementById('createGroupModal');
-    if (modal) {
-      modal.style.display = 'flex';
-      
-      // Reset form
+  async togglePin(messageId) {
+    if (!this.currentGroup) return;
+
+    const pinned = (this.pins || []).some(pin => pin.messageId === messageId);
+    const groupId = this.currentGroup.id;
+
+    try {
+      const response = await fetch(
+        pinned ? `/api/groups/${groupId}/pins/${messageId}` : `/api/groups/${groupId}/pins`,
+        {
+          method: pinned ? 'DELETE' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${AuthAPI.getToken()}`
+          },
+          body: pinned ? undefined : JSON.stringify({ messageId })
+        }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update pin');
+      }
+
+      this.pins = data.pins;
+      this.renderPinnedBar();
+
+    } catch (error) {
+      console.error('Failed to update pin:', error);
+      this.showError(error.message || 'Failed to update pin');
+    }
+  },
+
+  // Deleted messages stay in the timeline as a tombstone
+  renderMessageBody(message) {
+    if (message.deletedAt) {
+      const senderId = message.senderId || (message.sender && message.sender.id);
+      const byModerator = message.deletedBy && message.deletedBy !== senderId;
+      return `<em class="message-removed">🚫 ${byModerator ? 'Message removed by moderator' : 'Message deleted'}</em>`;
+    }
+
+    return `${this.formatMessageContent(message.content, message.type)}${message.editedAt ? ' <span class="message-edited">(edited)</span>' : ''}`;
+  },
+
+  // Apply an edit or delete to the stored copy and any rendered copies
+  updateMessage(messageId, changes) {
+    let updated = null;
+    for (const messages of this.messages.values()) {
+      const message = messages.find(m => m.id === messageId);
+      if (message) {
+        Object.assign(message, changes);
+        updated = message;
+      }
+    }
+
+    document.querySelectorAll(`[data-message-id="${messageId}"]`).forEach(messageEl => {
+      const bubble = messageEl.querySelector('.message-bubble');
+      if (bubble) {
+        bubble.innerHTML = this.renderMessageBody(updated || { id: messageId, ...changes });
+      }
+
+      if (changes.deletedAt) {
+        messageEl.querySelectorAll('.message-tags, .message-reactions, .message-actions, .alert-status')
+          .forEach(el => el.remove());
+      }
+    });
+  },
+
+  handleMessageEdited(data) {
+    this.updateMessage(data.messageId, {
+      content: data.content,
+      editedAt: data.editedAt
+    });
+  },
+
+  handleMessageDeleted(data) {
+    this.updateMessage(data.messageId, {
+      content: '',
+      deletedAt: data.deletedAt,
+      deletedBy: data.deletedBy,
+      tags: [],
+      reactions: []
+    });
+
+    // A deleted alert no longer needs acknowledging
+    if (this.pendingAlerts && this.pendingAlerts.delete(data.messageId)) {
+      this.renderAlertBanner();
+    }
+  },
+
+  // Mentions inbox
+  highlightMentions(content) {
+    return content.replace(/(^|[^\w@])@([A-Za-z0-9][\w.-]*[A-Za-z0-9_]|[A-Za-z0-9])/g, '$1<span class="mention">@$2</span>');
+  },
+
+  async loadMentions() {
+    try {
+      const response = await fetch('/api/mentions?limit=20', {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load mentions');
+      }
+
+      this.mentions = data.mentions;
+      this.unreadMentions = data.unreadCount;
+      this.updateMentionBadge();
+
+    } catch (error) {
+      console.error('Failed to load mentions:', error);
+    }
+  },
+
+  updateMentionBadge() {
+    if (!this.mentionCount) return;
+
+    this.mentionCount.textContent = this.unreadMentions;
+    this.mentionCount.style.display = this.unreadMentions > 0 ? '' : 'none';
+  },
+
+  handleMention(mention) {
+    if (!this.mentions) {
+      this.mentions = [];
+    }
+
+    this.mentions.unshift({
+      id: mention.id,
+      mentionType: mention.mentionType,
+      mentionValue: mention.mentionValue,
+      readAt: null,
+      createdAt: mention.createdAt,
+      group: { id: mention.groupId },
+      message: mention.message
+    });
+    this.unreadMentions = (this.unreadMentions || 0) + 1;
+    this.updateMentionBadge();
+
+    if (this.mentionsPanel && this.mentionsPanel.style.display !== 'none') {
+      this.renderMentionsPanel();
+    }
+
+    this.playNotificationSound();
+  },
+
+  // Dismissable notices (routed messages, task updates) above the app
+  showNotice(html) {
+    if (!this.noticeBanner) {
+      this.noticeBanner = document.createElement('div');
+      this.noticeBanner.className = 'broadcast-banner';
+      document.body.prepend(this.noticeBanner);
+    }
+
+    const item = document.createElement('div');
+    item.className = 'broadcast-item';
+    item.innerHTML = `
+      <span>${html}</span>
+      <button class="btn-icon" title="Dismiss">✕</button>
+    `;
+    item.querySelector('button').addEventListener('click', () => {
+      item.remove();
+      if (!this.noticeBanner.children.length) {
+        this.noticeBanner.style.display = 'none';
+      }
+    });
+
+    this.noticeBanner.prepend(item);
+    this.noticeBanner.style.display = '';
+    this.playNotificationSound();
+  },
+
+  // A routing rule sent us a tagged message, possibly from a group we're not in
+  handleRoutedMessage(data) {
+    this.showNotice(`🔀 <strong>${this.escapeHtml(data.ruleName)}</strong> · ${this.escapeHtml(this.getTagDisplay(data.tag))} in ${this.escapeHtml(data.groupName)}:
+      ${this.escapeHtml(data.message.content)}${data.taskId ? ' (task assigned to you)' : ''}`);
+  },
+
+  handleTaskNotice(task, change) {
+    this.upsertTask(task);
+
+    const title = this.escapeHtml(task.title);
+    const assignee = task.assignee ? this.escapeHtml(task.assignee.name) : 'nobody';
+    const notices = {
+      assigned: `📋 ${this.escapeHtml(task.assignedBy.name)} assigned you "${title}"`,
+      updated: `📋 "${title}" is now ${this.escapeHtml(task.status.replace('_', ' '))}`,
+      reminder: `⏰ "${title}" is due ${task.dueDate ? new Date(task.dueDate).toLocaleString() : 'soon'}`,
+      overdue: `⚠️ "${title}" is overdue`,
+      escalated: `🚨 Overdue ${this.escapeHtml(task.priority)} priority task "${title}" (assigned to ${assignee}) was escalated to you`
+    };
+    this.showNotice(notices[change]);
+  },
+
+  toggleMentionsPanel() {
+    if (this.mentionsPanel && this.mentionsPanel.style.display !== 'none') {
+      this.mentionsPanel.style.display = 'none';
+      return;
+    }
+
+    this.renderMentionsPanel();
+  },
+
+  renderMentionsPanel() {
+    if (!this.mentionsPanel) {
+      this.mentionsPanel = document.createElement('aside');
+      this.mentionsPanel.className = 'thread-panel mentions-panel';
+      document.body.appendChild(this.mentionsPanel);
+    }
+
+    const mentions = this.mentions || [];
+    const groupName = (groupId) => {
+      const group = this.groups.find(g => g.id === groupId);
+      const conversation = (this.conversations || []).find(c => c.groupId === groupId);
+      return group ? group.name : conversation ? conversation.participant.name : '';
+    };
+
+    this.mentionsPanel.innerHTML = `
+      <div class="thread-header">
+        <h3>Mentions</h3>
+        <button class="btn btn-sm mentions-read-all" ${this.unreadMentions > 0 ? '' : 'disabled'}>Mark all read</button>
+        <button class="btn-icon thread-close" title="Close">✕</button>
+      </div>
+      <div class="thread-replies">
+        ${mentions.length === 0 ? '<p class="panel-empty">No mentions yet.</p>' : ''}
+        ${mentions.map(mention => `
+          <div class="thread-message mention-item ${mention.readAt ? '' : 'unread'}" data-mention-id="${mention.id}">
+            <div class="message-header">
+              <span class="message-sender">${this.escapeHtml(mention.message.senderName || 'Unknown')}</span>
+              <span class="message-time">${this.escapeHtml(mention.group.name || groupName(mention.group.id))} · ${new Date(mention.message.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</span>
+            </div>
+            <div class="message-bubble">${this.formatMessageContent(mention.message.content, mention.message.type)}</div>
+            ${mention.mentionType === 'role' ? `<span class="message-tag">@${this.escapeHtml(mention.mentionValue)}</span>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    this.mentionsPanel.querySelector('.thread-close').addEventListener('click', () => {
+      this.mentionsPanel.style.display = 'none';
+    });
+    this.mentionsPanel.querySelector('.mentions-read-all').addEventListener('click', () => {
+      this.markAllMentionsRead();
+    });
+    this.mentionsPanel.querySelectorAll('.mention-item').forEach(itemEl => {
+      itemEl.addEventListener('click', () => {
+        this.openMention(mentions.find(m => m.id === parseInt(itemEl.dataset.mentionId)));
+      });
+    });
+
+    this.mentionsPanel.style.display = '';
+  },
+
+  // Jump to the mentioned message's group (and thread, for replies)
+  async openMention(mention) {
+    this.mentionsPanel.style.display = 'none';
+
+    if (!mention.readAt) {
+      mention.readAt = new Date().toISOString();
+      try {
+        const response = await fetch(`/api/mentions/${mention.id}/read`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${AuthAPI.getToken()}`
+          }
+        });
+        const data = await response.json();
+        if (response.ok) {
+          this.unreadMentions = data.unreadCount;
+          this.updateMentionBadge();
+        }
+      } catch (error) {
+        console.error('Failed to mark mention read:', error);
+      }
+    }
+
+    const group = this.groups.find(g => g.id === mention.group.id);
+    const conversation = (this.conversations || []).find(c => c.groupId === mention.group.id);
+    if (group) {
+      this.selectGroup(group);
+    } else if (conversation) {
+      this.openConversation(conversation);
+    }
+
+    if (mention.message.replyTo) {
+      this.openThread(mention.message.id);
+    }
+  },
+
+  async markAllMentionsRead() {
+    try {
+      const response = await fetch('/api/mentions/read', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        },
+        body: JSON.stringify({})
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to mark mentions read');
+      }
+
+      (this.mentions || []).forEach(mention => {
+        mention.readAt = mention.readAt || new Date().toISOString();
+      });
+      this.unreadMentions = data.unreadCount;
+      this.updateMentionBadge();
+      this.renderMentionsPanel();
+
+    } catch (error) {
+      console.error('Failed to mark mentions read:', error);
+      this.showError('Failed to mark mentions read');
+    }
+  },
+
+  // Reactions: emoji plus quick status responses
+  renderReactions(messageEl, message) {
+    const reactionsEl = messageEl.querySelector('.message-reactions');
+    if (!reactionsEl) return;
+
+    reactionsEl.innerHTML = '';
+
+    (message.reactions || []).forEach(({ reaction, count, users }) => {
+      const reacted = users.some(user => user.id === this.currentUser.id);
+      const chip = document.createElement('button');
+      chip.className = `reaction-chip ${reacted ? 'reacted' : ''}`;
+      chip.title = users.map(user => user.name).join(', ');
+      chip.textContent = `${reaction} ${count}`;
+      chip.addEventListener('click', () => {
+        this.toggleReaction(message.id, reaction, reacted);
+      });
+      reactionsEl.appendChild(chip);
+    });
+  },
+
+  showReactionPicker(anchor, messageId) {
+    const quickReactions = ['👍', '✅', '👀', '🙏', '❤️', '👍 On my way', '✅ Done', '⏳ Working on it'];
+
+    document.querySelectorAll('.reaction-picker').forEach(el => el.remove());
+
+    const picker = document.createElement('div');
+    picker.className = 'reaction-picker';
+
+    quickReactions.forEach(reaction => {
+      const option = document.createElement('button');
+      option.textContent = reaction;
+      option.addEventListener('click', () => {
+        picker.remove();
+        this.toggleReaction(messageId, reaction, false);
+      });
+      picker.appendChild(option);
+    });
+
+    anchor.parentElement.appendChild(picker);
+  },
+
+  async toggleReaction(messageId, reaction, remove) {
+    try {
+      const url = remove
+        ? `/api/messages/${messageId}/reactions/${encodeURIComponent(reaction)}`
+        : `/api/messages/${messageId}/reactions`;
+
+      const response = await fetch(url, {
+        method: remove ? 'DELETE' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        },
+        body: remove ? undefined : JSON.stringify({ reaction })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update reaction');
+      }
+
+      this.handleReactionUpdated({ messageId, reactions: data.reactions });
+
+    } catch (error) {
+      console.error('Failed to update reaction:', error);
+      this.showError('Failed to update reaction');
+    }
+  },
+
+  handleReactionUpdated(data) {
+    for (const messages of this.messages.values()) {
+      const message = messages.find(m => m.id === data.messageId);
+      if (message) {
+        message.reactions = data.reactions;
+      }
+    }
+
+    const messageEl = this.messagesArea && this.messagesArea.querySelector(`[data-message-id="${data.messageId}"]`);
+    if (messageEl) {
+      this.renderReactions(messageEl, { id: data.messageId, reactions: data.reactions });
+    }
+  },
+
+  updateThreadSummary(messageEl, message) {
+    const summaryEl = messageEl.querySelector('.thread-summary');
+    if (!summaryEl) return;
+
+    if (!message.replyCount) {
+      summaryEl.style.display = 'none';
+      return;
+    }
+
+    const lastReply = new Date(message.lastReplyAt).toLocaleTimeString([], {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    summaryEl.textContent = `💬 ${message.replyCount} ${message.replyCount === 1 ? 'reply' : 'replies'} · last reply ${lastReply}`;
+    summaryEl.style.display = '';
+  },
+
+  formatMessageContent(content, type) {
+    // Attachments point at /api/files/:id/download and are resolved to signed URLs
+    const fileMatch = /^\/api\/files\/(\d+)\/download$/.exec(content);
+
+    switch (type) {
+      case 'text':
+        return this.highlightMentions(content).replace(/\n/g, '<br>');
+      case 'alert':
+        return `🚨 <strong>${this.highlightMentions(content).replace(/\n/g, '<br>')}</strong>`;
+      case 'system':
+        // Notices quote task titles and comments, which are user input
+        return `<em>${this.escapeHtml(content).replace(/\n/g, '<br>')}</em>`;
+      case 'file':
+        return fileMatch
+          ? `📎 <a data-file-id="${fileMatch[1]}" target="_blank">File attachment</a>`
+          : '📎 File attachment';
+      case 'image':
+        return fileMatch
+          ? `<img data-file-id="${fileMatch[1]}" alt="Image" style="max-width: 200px; border-radius: 8px;">`
+          : '🖼️ Image';
+      default:
+        return content;
+    }
+  },
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  },
+
+  async resolveFileLinks(element) {
+    const fileEls = element.querySelectorAll('[data-file-id]');
+
+    for (const fileEl of fileEls) {
+      try {
+        const url = await this.getSignedFileUrl(fileEl.dataset.fileId);
+        if (fileEl.tagName === 'IMG') {
+          fileEl.src = url;
+        } else {
+          fileEl.href = url;
+        }
+      } catch (error) {
+        console.error('Failed to load attachment:', error);
+      }
+    }
+  },
+
+  async getSignedFileUrl(fileId) {
+    if (!this.signedFileUrls) {
+      this.signedFileUrls = new Map();
+    }
+
+    // Reuse cached URLs until shortly before they expire
+    const cached = this.signedFileUrls.get(fileId);
+    if (cached && new Date(cached.expiresAt).getTime() - Date.now() > 60 * 1000) {
+      return cached.url;
+    }
+
+    const response = await fetch(`/api/files/${fileId}/url`, {
+      headers: {
+        'Authorization': `Bearer ${AuthAPI.getToken()}`
+      }
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to get file URL');
+    }
+
+    this.signedFileUrls.set(fileId, data);
+    return data.url;
+  },
+
+  // Archived tags are loaded too so older messages still render
+  async loadTagTaxonomy() {
+    try {
+      const response = await fetch('/api/tags?includeArchived=true', {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load tags');
+      }
+
+      this.tagTaxonomy = new Map(data.tags.map(tag => [tag.key, tag]));
+
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+    }
+  },
+
+  // Tags arrive as plain keys or { type, value } pairs
+  getTagDisplay(tag) {
+    const key = typeof tag === 'string' ? tag : tag.type;
+    const value = typeof tag === 'string' ? null : tag.value;
+    const definition = this.tagTaxonomy && this.tagTaxonomy.get(key);
+    const label = definition ? `${definition.icon || '🏷️'} ${definition.label}` : `🏷️ ${key}`;
+
+    return value ? `${label}: ${value}` : label;
+  },
+
+  // getTagDisplay is plain text; tag values and labels are user input
+  renderTag(tag) {
+    const key = typeof tag === 'string' ? tag : tag.type;
+    const definition = this.tagTaxonomy && this.tagTaxonomy.get(key);
+    const style = definition && definition.color ? ` style="background: ${this.escapeHtml(definition.color)};"` : '';
+
+    return `<span class="message-tag"${style}>${this.escapeHtml(this.getTagDisplay(tag))}</span>`;
+  },
+
+  sendMessage() {
+    const content = this.messageText.value.trim();
+    if (!content || !this.currentGroup) return;
+
+    this.dispatchMessage({
+      groupId: this.currentGroup.id,
+      content,
+      type: 'text',
+      tags: this.selectedTags || [],
+      idempotencyKey: OfflineManager.generateIdempotencyKey()
+    });
+
+    // Clear input
+    this.messageText.value = '';
+    this.selectedTags = [];
+    this.updateTagButton();
+    this.toggleSendButton();
+    
+    // Reset textarea height
+    this.messageText.style.height = 'auto';
+  },
+
+  // Send over the socket, or queue for later when offline
+  dispatchMessage(message) {
+    if (this.isOnline && this.socket) {
+      this.socket.timeout(15000).emit('send-message', message, (err, response) => {
+        // Lost acks, server errors and sends still in progress are retried
+        // from the offline queue; the idempotency key prevents duplicates
+        if (err || (response && !response.success && (response.status >= 500 || response.status === 409))) {
+          this.queueOfflineMessage(message);
+        } else if (response && !response.success) {
+          // Rejected for good (access, validation): tell the user it wasn't sent
+          this.showError(response.error || 'Failed to send message');
+        }
+      });
+    } else {
+      // Queue for offline sending
+      this.queueOfflineMessage(message);
+      this.showError('Message queued - will send when online');
+    }
+  },
+
+  queueOfflineMessage(message) {
+    if (window.offlineManager) {
+      window.offlineManager.queueAction({ type: 'message', data: message });
+    } else {
+      this.offlineQueue.push({ type: 'message', data: message });
+    }
+  },
+
+  handleNewMessage(message) {
+    if (!this.messages.has(message.groupId)) {
+      this.messages.set(message.groupId, []);
+    }
+
+    // A retried scheduled delivery can announce the same message twice
+    const groupMessages = this.messages.get(message.groupId);
+    if (groupMessages.some(m => m.id === message.id)) {
+      return;
+    }
+    groupMessages.push(message);
+
+    if (message.replyTo) {
+      this.addThreadReply(message);
+    }
+
+    // If message is for current group, render it
+    if (this.currentGroup && message.groupId === this.currentGroup.id) {
+      if (!message.replyTo) {
+        this.renderMessage(message);
+      }
+      this.messagesArea.scrollTop = this.messagesArea.scrollHeight;
+      
+      // Mark as read
+      this.markGroupRead(message.groupId);
+    } else {
+      // Received but not yet seen
+      if (this.socket) {
+        this.socket.emit('mark-delivered', { messageIds: [message.id] });
+      }
+
+      // Update unread count for other groups
+      this.updateUnreadCount(message.groupId);
+    }
+
+    // Play notification sound (if enabled)
+    this.playNotificationSound();
+  },
+
+  handleMessageSent(message) {
+    // Message was successfully sent
+    console.log('Message sent successfully:', message.id);
+    
+    // Add to local messages
+    if (!this.messages.has(message.groupId)) {
+      this.messages.set(message.groupId, []);
+    }
+
+    // Resent messages come back with the id they were first stored under
+    const groupMessages = this.messages.get(message.groupId);
+    if (groupMessages.some(m => m.id === message.id)) {
+      return;
+    }
+    groupMessages.push(message);
+
+    if (message.replyTo) {
+      this.addThreadReply(message);
+      return;
+    }
+
+    // Re-render if current group
+    if (this.currentGroup && message.groupId === this.currentGroup.id) {
+      this.renderMessage(message);
+      this.messagesArea.scrollTop = this.messagesArea.scrollHeight;
+    }
+  },
+
+  // Threads
+
+  async openThread(messageId) {
+    try {
+      const response = await fetch(`/api/messages/${messageId}/thread`, {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load thread');
+      }
+
+      this.thread = {
+        root: data.root,
+        replies: data.replies,
+        nextAfter: data.pagination.nextAfter
+      };
+      this.renderThreadPanel();
+
+    } catch (error) {
+      console.error('Failed to open thread:', error);
+      this.showError('Failed to load thread');
+    }
+  },
+
+  async loadMoreThreadReplies() {
+    if (!this.thread || !this.thread.nextAfter) return;
+
+    try {
+      const response = await fetch(`/api/messages/${this.thread.root.id}/thread?after=${this.thread.nextAfter}`, {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load replies');
+      }
+
+      this.thread.replies.push(...data.replies);
+      this.thread.nextAfter = data.pagination.nextAfter;
+      this.renderThreadPanel();
+
+    } catch (error) {
+      console.error('Failed to load replies:', error);
+      this.showError('Failed to load replies');
+    }
+  },
+
+  renderThreadPanel() {
+    if (!this.threadPanel) {
+      this.threadPanel = document.createElement('aside');
+      this.threadPanel.className = 'thread-panel';
+      document.body.appendChild(this.threadPanel);
+    }
+
+    const { root, replies, nextAfter } = this.thread;
+    const renderItem = (message) => `
+      <div class="thread-message" data-message-id="${message.id}">
+        <div class="message-header">
+          <span class="message-sender">${message.senderName || 'Unknown'}</span>
+          <span class="message-time">${new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+        </div>
+        <div class="message-bubble">${this.renderMessageBody(message)}</div>
+      </div>
+    `;
+
+    this.threadPanel.innerHTML = `
+      <div class="thread-header">
+        <h3>Thread</h3>
+        <button class="btn-icon thread-close" title="Close">✕</button>
+      </div>
+      <div class="thread-root">${renderItem(root)}</div>
+      <div class="thread-replies">
+        ${replies.map(renderItem).join('')}
+        ${nextAfter ? '<button class="btn btn-sm thread-load-more">Load more replies</button>' : ''}
+      </div>
+      <div class="thread-input">
+        <textarea rows="2" placeholder="Reply in thread..."></textarea>
+        <button class="btn btn-primary thread-send">Reply</button>
+      </div>
+    `;
+
+    const input = this.threadPanel.querySelector('textarea');
+    const send = () => {
+      const content = input.value.trim();
+      if (!content) return;
+
+      this.dispatchMessage({
+        groupId: root.groupId,
+        content,
+        type: 'text',
+        replyTo: root.id,
+        idempotencyKey: OfflineManager.generateIdempotencyKey()
+      });
+      input.value = '';
+    };
+
+    this.threadPanel.querySelector('.thread-close').addEventListener('click', () => this.closeThread());
+    this.threadPanel.querySelector('.thread-send').addEventListener('click', send);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        send();
+      }
+    });
+    this.threadPanel.querySelector('.thread-load-more')?.addEventListener('click', () => {
+      this.loadMoreThreadReplies();
+    });
+
+    this.resolveFileLinks(this.threadPanel);
+    this.threadPanel.style.display = 'flex';
+  },
+
+  closeThread() {
+    this.thread = null;
+    if (this.threadPanel) {
+      this.threadPanel.style.display = 'none';
+    }
+  },
+
+  // Count a new reply on its root and show it if the thread is open
+  addThreadReply(reply) {
+    const root = (this.messages.get(reply.groupId) || []).find(m => m.id === reply.replyTo);
+    if (root) {
+      root.replyCount = (root.replyCount || 0) + 1;
+      root.lastReplyAt = reply.timestamp;
+
+      const rootEl = this.messagesArea && this.messagesArea.querySelector(`[data-message-id="${root.id}"]`);
+      if (rootEl) {
+        this.updateThreadSummary(rootEl, root);
+      }
+    }
+
+    // Only append once every earlier reply has been loaded
+    if (this.thread && this.thread.root.id === reply.replyTo && !this.thread.nextAfter &&
+        !this.thread.replies.some(m => m.id === reply.id)) {
+      this.thread.replies.push(reply);
+      this.thread.root.replyCount = (this.thread.root.replyCount || 0) + 1;
+      this.renderThreadPanel();
+    }
+  },
+
+  // Someone replied in a thread the user is part of
+  handleThreadReply(data) {
+    if (this.thread && this.thread.root.id === data.rootId) return;
+
+    const summaryEl = this.messagesArea &&
+      this.messagesArea.querySelector(`[data-message-id="${data.rootId}"] .thread-summary`);
+    if (summaryEl) {
+      summaryEl.classList.add('thread-unread');
+    }
+  },
+
+  // Critical alerts
+
+  sendAlert() {
+    const content = this.messageText.value.trim();
+    if (!content || !this.currentGroup) return;
+
+    if (!confirm('Send as a critical alert? Every member of this group will have to acknowledge it.')) {
+      return;
+    }
+
+    this.dispatchMessage({
+      groupId: this.currentGroup.id,
+      content,
+      type: 'alert',
+      idempotencyKey: OfflineManager.generateIdempotencyKey()
+    });
+
+    this.messageText.value = '';
+    this.toggleSendButton();
+    this.messageText.style.height = 'auto';
+  },
+
+  async loadPendingAlerts() {
+    try {
+      const response = await fetch('/api/alerts/pending', {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load alerts');
+      }
+
+      this.pendingAlerts = new Map(data.alerts.map(alert => [alert.id, alert]));
+      this.renderAlertBanner();
+
+    } catch (error) {
+      console.error('Failed to load pending alerts:', error);
+    }
+  },
+
+  renderAlertStatus(messageEl, message) {
+    const statusEl = messageEl.querySelector('.alert-status');
+    if (!statusEl) return;
+
+    if (message.senderId === this.currentUser.id) {
+      statusEl.innerHTML = '<button class="btn btn-sm alert-roster-btn">View acknowledgements</button>';
+      statusEl.querySelector('.alert-roster-btn').addEventListener('click', () => {
+        this.showAlertRoster(message.id);
+      });
+    } else if (this.pendingAlerts && this.pendingAlerts.has(message.id)) {
+      statusEl.innerHTML = '<button class="btn btn-primary btn-sm alert-ack-btn">Acknowledge</button>';
+      statusEl.querySelector('.alert-ack-btn').addEventListener('click', () => {
+        this.acknowledgeAlert(message.id);
+      });
+    } else {
+      statusEl.textContent = '✅ Acknowledged';
+    }
+  },
+
+  // Pending alerts stay on screen until acknowledged
+  renderAlertBanner() {
+    const alerts = this.pendingAlerts ? [...this.pendingAlerts.values()] : [];
+
+    if (!this.alertBanner) {
+      this.alertBanner = document.createElement('div');
+      this.alertBanner.className = 'alert-banner';
+      document.body.prepend(this.alertBanner);
+    }
+
+    if (alerts.length === 0) {
+      this.alertBanner.style.display = 'none';
+      return;
+    }
+
+    this.alertBanner.innerHTML = alerts.map(alert => `
+      <div class="alert-banner-item" data-alert-id="${alert.id}">
+        <span>🚨 <strong>${this.escapeHtml(alert.senderName)}:</strong> ${this.escapeHtml(alert.content)}</span>
+        <button class="btn btn-sm">Acknowledge</button>
+      </div>
+    `).join('');
+
+    this.alertBanner.querySelectorAll('.alert-banner-item').forEach(item => {
+      item.querySelector('button').addEventListener('click', () => {
+        this.acknowledgeAlert(parseInt(item.dataset.alertId));
+      });
+    });
+
+    this.alertBanner.style.display = 'block';
+  },
+
+  handleCriticalAlert(message) {
+    if (!this.pendingAlerts) {
+      this.pendingAlerts = new Map();
+    }
+
+    this.pendingAlerts.set(message.id, message);
+    this.renderAlertBanner();
+    this.playNotificationSound();
+  },
+
+  async acknowledgeAlert(messageId) {
+    try {
+      const response = await fetch(`/api/alerts/${messageId}/acknowledge`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to acknowledge alert');
+      }
+
+      this.pendingAlerts.delete(messageId);
+      this.renderAlertBanner();
+
+      const messageEl = this.messagesArea && this.messagesArea.querySelector(`[data-message-id="${messageId}"]`);
+      if (messageEl) {
+        this.renderAlertStatus(messageEl, { id: messageId });
+      }
+
+    } catch (error) {
+      console.error('Failed to acknowledge alert:', error);
+      this.showError('Failed to acknowledge alert');
+    }
+  },
+
+  async showAlertRoster(messageId) {
+    try {
+      const response = await fetch(`/api/alerts/${messageId}/acknowledgements`, {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load acknowledgements');
+      }
+
+      const lines = data.recipients.map(recipient =>
+        `${recipient.acknowledgedAt ? '✅' : '⏳'} ${recipient.userName}` +
+        (recipient.acknowledgedAt ? ` (${new Date(recipient.acknowledgedAt).toLocaleTimeString()})` : '')
+      );
+      alert(`${data.summary.acknowledged}/${data.summary.total} acknowledged\n\n${lines.join('\n')}`);
+
+    } catch (error) {
+      console.error('Failed to load acknowledgements:', error);
+      this.showError('Failed to load acknowledgements');
+    }
+  },
+
+  // Live acknowledgement progress on alerts the user sent
+  handleAlertAcknowledged(data) {
+    const messageEl = this.messagesArea && this.messagesArea.querySelector(`[data-message-id="${data.messageId}"]`);
+    const rosterBtn = messageEl && messageEl.querySelector('.alert-roster-btn');
+    if (rosterBtn) {
+      rosterBtn.textContent = `${data.summary.acknowledged}/${data.summary.total} acknowledged`;
+    }
+  },
+
+  // Direct conversations
+
+  async loadConversations() {
+    try {
+      const response = await fetch('/api/direct', {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load conversations');
+      }
+
+      this.conversations = data.conversations;
+      this.renderConversations();
+
+      // The socket may have connected before conversations were known
+      if (this.socket && this.socket.connected && this.conversations.length > 0) {
+        this.socket.emit('join-groups', this.conversations.map(c => c.groupId));
+      }
+
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+    }
+  },
+
+  renderConversations() {
+    if (!this.directList) return;
+
+    const conversations = this.conversations || [];
+
+    if (conversations.length === 0) {
+      this.directList.innerHTML = '<div class="no-groups"><p>No direct messages yet.</p></div>';
+      return;
+    }
+
+    this.directList.innerHTML = '';
+
+    conversations.forEach(conversation => {
+      const itemEl = document.createElement('div');
+      itemEl.className = 'group-item direct-item';
+      itemEl.dataset.groupId = conversation.groupId;
+
+      if (this.currentGroup && this.currentGroup.id === conversation.groupId) {
+        itemEl.classList.add('active');
+      }
+
+      itemEl.innerHTML = `
+        <h5>👤 ${this.escapeHtml(conversation.participant.name)}</h5>
+        <p>${conversation.lastMessage ? this.escapeHtml(conversation.lastMessage.content.slice(0, 60)) : 'No messages yet'}</p>
+        <div class="group-meta">
+          ${conversation.unreadCount > 0 ? `<span class="unread-count">${conversation.unreadCount}</span>` : ''}
+        </div>
+      `;
+
+      itemEl.addEventListener('click', () => {
+        this.openConversation(conversation);
+      });
+
+      this.directList.appendChild(itemEl);
+    });
+  },
+
+  // Direct conversations open in the chat area like a group
+  openConversation(conversation) {
+    conversation.unreadCount = 0;
+    this.selectGroup({
+      id: conversation.groupId,
+      name: conversation.participant.name,
+      type: 'direct',
+      description: 'Direct message'
+    });
+  },
+
+  addConversation(conversation) {
+    if (!this.conversations) {
+      this.conversations = [];
+    }
+
+    if (!this.conversations.some(c => c.groupId === conversation.groupId)) {
+      this.conversations.unshift(conversation);
+      this.renderConversations();
+    }
+  },
+
+  async startDirectConversation() {
+    const search = prompt('Message who? Enter a name or email:');
+    if (!search || !search.trim()) return;
+
+    try {
+      const usersResponse = await fetch(`/api/direct/users?q=${encodeURIComponent(search.trim())}`, {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const { users = [] } = await usersResponse.json();
+
+      if (users.length === 0) {
+        this.showError('No matching colleagues found');
+        return;
+      }
+
+      let selected = users[0];
+      if (users.length > 1) {
+        const choice = prompt(
+          `Choose a colleague:\n${users.map((user, index) => `${index + 1}. ${user.name} (${user.role})`).join('\n')}`
+        );
+        selected = users[parseInt(choice) - 1];
+        if (!selected) return;
+      }
+
+      const response = await fetch('/api/direct', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        },
+        body: JSON.stringify({ userId: selected.id })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start conversation');
+      }
+
+      this.addConversation(data.conversation);
+      this.openConversation(data.conversation);
+
+    } catch (error) {
+      console.error('Failed to start conversation:', error);
+      this.showError('Failed to start conversation');
+    }
+  },
+
+  // Broadcasts
+
+  async loadBroadcasts() {
+    try {
+      const response = await fetch('/api/broadcasts', {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load broadcasts');
+      }
+
+      this.broadcasts = data.broadcasts;
+      this.renderBroadcastBanner();
+
+    } catch (error) {
+      console.error('Failed to load broadcasts:', error);
+    }
+  },
+
+  sendBroadcast() {
+    const content = prompt('Announcement to broadcast:');
+    if (!content || !content.trim()) return;
+
+    // Whole organization, or just the open group
+    const toOrganization = !this.currentGroup ||
+      confirm('Send to everyone in your organization? Choose Cancel to send to this group only.');
+
+    const broadcast = { content: content.trim() };
+    if (!toOrganization) {
+      broadcast.groupIds = [this.currentGroup.id];
+    }
+
+    if (!this.socket || !this.socket.connected) {
+      this.showError('Broadcasts can only be sent while online');
+      return;
+    }
+
+    this.socket.emit('send-broadcast', broadcast, (response) => {
+      if (!response || !response.success) {
+        this.showError(response ? response.error : 'Failed to send broadcast');
+        return;
+      }
+      this.handleBroadcast(response.broadcast);
+    });
+  },
+
+  handleBroadcast(broadcast) {
+    if (!this.broadcasts) {
+      this.broadcasts = [];
+    }
+
+    if (!this.broadcasts.some(b => b.id === broadcast.id)) {
+      this.broadcasts.unshift(broadcast);
+      this.renderBroadcastBanner();
+
+      if (broadcast.sender.id !== this.currentUser.id) {
+        this.playNotificationSound();
+      }
+    }
+  },
+
+  // Broadcasts stay pinned above the app until dismissed or expired
+  renderBroadcastBanner() {
+    const broadcasts = this.broadcasts || [];
+
+    if (!this.broadcastBanner) {
+      this.broadcastBanner = document.createElement('div');
+      this.broadcastBanner.className = 'broadcast-banner';
+      document.body.prepend(this.broadcastBanner);
+    }
+
+    if (broadcasts.length === 0) {
+      this.broadcastBanner.style.display = 'none';
+      return;
+    }
+
+    // Built with textContent: sender names and content are user input
+    this.broadcastBanner.innerHTML = '';
+    broadcasts.forEach(broadcast => {
+      const item = document.createElement('div');
+      item.className = 'broadcast-item';
+
+      const text = document.createElement('span');
+      const sender = document.createElement('strong');
+      sender.textContent = `${broadcast.sender.name}:`;
+      text.append('📢 ', sender, ` ${broadcast.content}`);
+      item.appendChild(text);
+
+      if (broadcast.sender.id !== this.currentUser.id) {
+        const button = document.createElement('button');
+        button.className = 'btn-icon';
+        button.title = 'Dismiss';
+        button.textContent = '✕';
+        button.addEventListener('click', () => {
+          this.dismissBroadcast(broadcast.id);
+        });
+        item.appendChild(button);
+      }
+
+      this.broadcastBanner.appendChild(item);
+    });
+
+    this.broadcastBanner.style.display = 'block';
+  },
+
+  async dismissBroadcast(broadcastId) {
+    try {
+      const response = await fetch(`/api/broadcasts/${broadcastId}/dismiss`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to dismiss broadcast');
+      }
+
+      this.broadcasts = this.broadcasts.filter(b => b.id !== broadcastId);
+      this.renderBroadcastBanner();
+
+    } catch (error) {
+      console.error('Failed to dismiss broadcast:', error);
+      this.showError('Failed to dismiss broadcast');
+    }
+  },
+
+  toggleSendButton() {
+    if (!this.sendBtn || !this.messageText) return;
+    
+    const hasContent = this.messageText.value.trim().length > 0;
+    this.sendBtn.disabled = !hasContent;
+  },
+
+  handleTyping() {
+    if (!this.socket || !this.currentGroup) return;
+
+    // Debounced typing indicator
+    clearTimeout(this.typingTimeout);
+    
+    if (!this.isTyping) {
+      this.isTyping = true;
+      this.socket.emit('typing-start', { groupId: this.currentGroup.id });
+    }
+
+    this.typingTimeout = setTimeout(() => {
+      this.isTyping = false;
+      this.socket.emit('typing-stop', { groupId: this.currentGroup.id });
+    }, 3000);
+  },
+
+  handleUserTyping(data) {
+    if (data.groupId === this.currentGroup?.id && data.userId !== this.currentUser.id) {
+      this.typingUsers.add(data.userName);
+      this.updateTypingIndicator();
+    }
+  },
+
+  handleUserStopTyping(data) {
+    if (data.groupId === this.currentGroup?.id) {
+      this.typingUsers.delete(data.userName);
+      this.updateTypingIndicator();
+    }
+  },
+
+  updateTypingIndicator() {
+    if (!this.typingIndicators || !this.typingText) return;
+
+    if (this.typingUsers.size === 0) {
+      this.typingIndicators.style.display = 'none';
+      return;
+    }
+
+    const users = Array.from(this.typingUsers);
+    let text = '';
+
+    if (users.length === 1) {
+      text = `${users[0]} is typing...`;
+    } else if (users.length === 2) {
+      text = `${users[0]} and ${users[1]} are typing...`;
+    } else {
+      text = `${users[0]} and ${users.length - 1} others are typing...`;
+    }
+
+    this.typingText.textContent = text;
+    this.typingIndicators.style.display = 'block';
+  },
+
+  handleMessageRead(data) {
+    // Update read status UI if needed
+    const messageEl = document.querySelector(`[data-message-id="${data.messageId}"]`);
+    if (messageEl && data.userId !== this.currentUser.id) {
+      // Could add read receipt indicator
+    }
+  },
+
+  // Open the task form, prefilled from a message when one is given
+  async showTaskModal(message = null) {
+    const modal = document.getElementById('taskModal');
+    if (!modal) return;
+
+    this.taskSourceMessage = message;
+    document.getElementById('taskForm').reset();
+
+    if (message) {
+      const firstLine = message.content.split('\n').map(line => line.trim()).find(Boolean) || '';
+      document.getElementById('taskTitle').value = firstLine.slice(0, 100);
+      document.getElementById('taskDescription').value = message.content;
+    }
+
+    await this.loadTaskAssignees();
+    modal.style.display = 'flex';
+  },
+
+  // Tasks are assigned to members of the current group
+  async loadTaskAssignees() {
+    const select = document.getElementById('taskAssignee');
+    if (!select || !this.currentGroup) return;
+
+    try {
+      const response = await fetch(`/api/groups/${this.currentGroup.id}`, {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load members');
+      }
+
+      select.innerHTML = '<option value="">Select user...</option>';
+      data.members.forEach(member => select.add(new Option(member.name, member.id)));
+
+    } catch (error) {
+      console.error('Failed to load task assignees:', error);
+    }
+  },
+
+  // Tasks made from a message link back to it and are announced in its group
+  async createTask() {
+    const title = document.getElementById('taskTitle').value.trim();
+    if (!title) {
+      this.showError('Task title is required');
+      return;
+    }
+
+    const dueDate = document.getElementById('taskDueDate').value;
+    const source = this.taskSourceMessage;
+
+    try {
+      const response = await fetch(source ? `/api/messages/${source.id}/tasks` : '/api/tasks', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        },
+        body: JSON.stringify({
+          title,
+          description: document.getElementById('taskDescription').value.trim(),
+          assigneeId: parseInt(document.getElementById('taskAssignee').value) || null,
+          priority: document.getElementById('taskPriority').value,
+          dueDate: dueDate ? new Date(dueDate).toISOString() : null
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create task');
+      }
+
+      this.taskSourceMessage = null;
+      document.getElementById('taskModal').style.display = 'none';
+      this.upsertTask(data.task);
+
+    } catch (error) {
+      console.error('Failed to create task:', error);
+      this.showError(error.message || 'Failed to create task');
+    }
+  },
+
+  // My tasks: everything assigned to or created by the user, cached for offline use
+  async loadTasks() {
+    try {
+      const response = await fetch('/api/tasks?mine=true&limit=100', {
+        headers: {
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load tasks');
+      }
+
+      this.tasks = data.tasks;
+      if (window.offlineManager) {
+        window.offlineManager.saveTasks(this.currentUser.id, this.tasks).catch(error => {
+          console.error('Failed to cache tasks:', error);
+        });
+      }
+
+    } catch (error) {
+      console.error('Failed to load tasks:', error);
+      // Fall back to the last list we saw
+      if (window.offlineManager) {
+        this.tasks = await window.offlineManager.getTasks(this.currentUser.id);
+      }
+    }
+
+    this.renderTasks();
+  },
+
+  isMyTask(task) {
+    return (task.assignee && task.assignee.id === this.currentUser.id) ||
+      task.assignedBy.id === this.currentUser.id;
+  },
+
+  // Apply a task from the server or a socket event; reassigned-away tasks drop out
+  upsertTask(task) {
+    if (!task || !this.tasks) return;
+
+    const index = this.tasks.findIndex(t => t.id === task.id);
+    const mine = this.isMyTask(task);
+
+    if (mine && index >= 0) {
+      this.tasks[index] = task;
+    } else if (mine) {
+      this.tasks.push(task);
+    } else if (index >= 0) {
+      this.tasks.splice(index, 1);
+    }
+
+    if (window.offlineManager) {
+      (mine ? window.offlineManager.saveTask(this.currentUser.id, task) : window.offlineManager.deleteTask(task.id))
+        .catch(error => console.error('Failed to cache task:', error));
+    }
+
+    this.renderTasks();
+  },
+
+  // Open tasks first, each status sorted by priority and then due date
+  renderTasks() {
+    if (!this.tasksList) return;
+
+    const tasks = this.tasks || [];
+    const priorities = ['urgent', 'high', 'medium', 'low'];
+    const sections = [
+      { status: 'in_progress', label: 'In progress' },
+      { status: 'pending', label: 'Pending' },
+      { status: 'completed', label: 'Completed' },
+      { status: 'cancelled', label: 'Cancelled' }
+    ];
+
+    if (this.taskCount) {
+      this.taskCount.textContent = tasks.filter(task =>
+        ['pending', 'in_progress'].includes(task.status) &&
+        task.assignee && task.assignee.id === this.currentUser.id
+      ).length;
+    }
+
+    if (tasks.length === 0) {
+      this.tasksList.innerHTML = '<div class="no-tasks"><p>No tasks yet.</p></div>';
+      return;
+    }
+
+    const byPriority = (a, b) =>
+      priorities.indexOf(a.priority) - priorities.indexOf(b.priority) ||
+      (a.dueDate ? new Date(a.dueDate) : Infinity) - (b.dueDate ? new Date(b.dueDate) : Infinity);
+
+    this.tasksList.innerHTML = sections.map(section => {
+      const sectionTasks = tasks.filter(task => task.status === section.status).sort(byPriority);
+      if (sectionTasks.length === 0) return '';
+
+      // Finished tasks stay folded away until asked for
+      const closed = ['completed', 'cancelled'].includes(section.status);
+      return `
+        <details class="task-section" ${closed ? '' : 'open'}>
+          <summary>${section.label} (${sectionTasks.length})</summary>
+          ${sectionTasks.map(task => this.renderTaskItem(task)).join('')}
+        </details>
+      `;
+    }).join('');
+
+    this.tasksList.querySelectorAll('.task-item').forEach(itemEl => {
+      const task = tasks.find(t => t.id === parseInt(itemEl.dataset.taskId));
+
+      itemEl.addEventListener('click', (e) => {
+        if (e.target.closest('.task-status-select')) return;
+        this.openTask(task);
+      });
+      itemEl.querySelector('.task-status-select').addEventListener('change', (e) => {
+        this.changeTaskStatus(task, e.target.value);
+      });
+    });
+  },
+
+  renderTaskItem(task) {
+    const open = ['pending', 'in_progress'].includes(task.status);
+    const overdue = open && (task.overdueAt || (task.dueDate && new Date(task.dueDate) < new Date()));
+    const assignedToMe = task.assignee && task.assignee.id === this.currentUser.id;
+    const statuses = {
+      pending: 'Pending',
+      in_progress: 'In progress',
+      completed: 'Completed',
+      cancelled: 'Cancelled'
+    };
+
+    return `
+      <div class="task-item ${overdue ? 'overdue' : ''}" data-task-id="${task.id}">
+        <div class="task-item-header">
+          <span class="task-priority ${this.escapeHtml(task.priority)}">${this.escapeHtml(task.priority)}</span>
+          <span class="task-title">${this.escapeHtml(task.title)}</span>
+        </div>
+        <div class="task-meta">
+          ${assignedToMe ? `from ${this.escapeHtml(task.assignedBy.name)}` : `for ${task.assignee ? this.escapeHtml(task.assignee.name) : 'nobody'}`}
+          ${task.dueDate ? ` · ${overdue ? '⚠️ overdue, was due' : 'due'} ${new Date(task.dueDate).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}` : ''}
+        </div>
+        <select class="task-status-select" title="Change status">
+          ${Object.entries(statuses).map(([value, label]) =>
+            `<option value="${value}" ${value === task.status ? 'selected' : ''}>${label}</option>`
+          ).join('')}
+        </select>
+      </div>
+    `;
+  },
+
+  // Change a task's status with an optional comment; queued when offline
+  async changeTaskStatus(task, status) {
+    const comment = prompt(`Comment on "${task.title}" (optional):`);
+    if (comment === null) {
+      // Cancelled: put the select back
+      this.renderTasks();
+      return;
+    }
+
+    const update = { taskId: task.id, status, comment: comment.trim() || undefined };
+
+    try {
+      if (!this.isOnline && window.offlineManager) {
+        window.offlineManager.queueAction({ type: 'taskStatus', data: update });
+        this.upsertTask({ ...task, status });
+        this.showError('Task update queued - will sync when online');
+        return;
+      }
+
+      const response = await fetch(`/api/tasks/${task.id}/status`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        },
+        body: JSON.stringify({ status, comment: update.comment })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update task');
+      }
+
+      this.upsertTask(data.task);
+
+    } catch (error) {
+      console.error('Failed to update task:', error);
+      this.showError(error.message || 'Failed to update task');
+      this.renderTasks();
+    }
+  },
+
+  // Jump to the group of the message a task was made from
+  openTask(task) {
+    if (!task.groupId) return;
+
+    const group = this.groups.find(g => g.id === task.groupId);
+    const conversation = (this.conversations || []).find(c => c.groupId === task.groupId);
+    if (group) {
+      this.selectGroup(group);
+    } else if (conversation) {
+      this.openConversation(conversation);
+    }
+  },
+
+  showCreateGroupModal() {
+    const modal = document.getElementById('createGroupModal');
+    if (modal) {
+      modal.style.display = 'flex';
+      
+      // Reset form
       const form = document.getElementById('createGroupForm');
       if (form) form.reset();
     }
@@ -689,21 +2556,38 @@ Object.assign(HumanitarianApp.prototype, {
     }
 
     try {
-      // In a real app, you'd call: await API.createGroup(groupData)
-      console.log('Creating group:', groupData);
-      
-      // For demo, just add to local groups
-      const newGroup = {
-        id: Date.now(),
-        ...groupData,
-        membership_role: 'admin',
-        created_at: new Date().toISOString()
-      };
+      if (!this.isOnline && window.offlineManager) {
+        // Created on the server once back online
+        window.offlineManager.queueAction({ type: 'createGroup', data: groupData });
+        this.showError('Group creation queued - will sync when online');
+        document.getElementById('createGroupModal').style.display = 'none';
+        return;
+      }
+
+      const response = await fetch('/api/groups', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${AuthAPI.getToken()}`
+        },
+        body: JSON.stringify(groupData)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create group');
+      }
+
+      const newGroup = data.group;
       
       this.groups.push(newGroup);
       this.renderGroups();
       this.selectGroup(newGroup);
 
+      if (this.socket) {
+        this.socket.emit('join-groups', [newGroup.id]);
+      }
+
       // Close modal
       document.getElementById('createGroupModal').style.display = 'none';
       
@@ -713,29 +2597,59 @@ Object.assign(HumanitarianApp.prototype, {
     }
   },
 
-  showTagModal() {
-    const modal = document.getElementById('messageTagModal');
-    if (modal) {
-      modal.style.display = 'flex';
-      
-      // Reset checkboxes
-      const checkboxes = modal.querySelectorAll('input[type="checkbox"]');
-      checkboxes.forEach(cb => cb.checked = false);
+  // Pick tags for the next message from the organization's taxonomy
+  async pickTags() {
+    if (!this.tagTaxonomy) {
+      await this.loadTagTaxonomy();
     }
-  },
 
-  addTagsToNextMessage() {
-    const modal = document.getElementById('messageTagModal');
-    const checkboxes = modal.querySelectorAll('input[type="checkbox"]:checked');
-    
-    this.selectedTags = Array.from(checkboxes).map(cb => cb.value);
-    
-    // Visual feedback in input area
-    if (this.selectedTags.length > 0) {
-      console.log('Tags selected:', this.selectedTags);
+    const role = this.currentUser && this.currentUser.role;
+    const available = [...(this.tagTaxonomy || new Map()).values()]
+      .filter(tag => !tag.archived && (!tag.allowedRoles || tag.allowedRoles.includes(role)));
+
+    if (available.length === 0) {
+      this.showError('No tags available');
+      return;
+    }
+
+    const input = prompt(
+      `Tags for the next message, separated by commas (leave empty to clear):\n` +
+      available.map(tag => `${tag.key} - ${tag.icon || '🏷️'} ${tag.label}`).join('\n')
+    );
+    if (input === null) return;
+
+    const selected = [];
+    for (const key of input.split(',').map(k => k.trim().toLowerCase()).filter(Boolean)) {
+      const definition = available.find(tag => tag.key === key);
+      if (!definition) {
+        this.showError(`Unknown tag: ${key}`);
+        return;
+      }
+
+      if (!definition.allowsValue) {
+        selected.push(definition.key);
+        continue;
+      }
+
+      const hint = definition.allowedValues ? ` (${definition.allowedValues.join(', ')})` : '';
+      const value = (prompt(`Value for ${definition.label}${hint}:`) || '').trim();
+      if (definition.allowedValues && value && !definition.allowedValues.includes(value)) {
+        this.showError(`Invalid value for tag ${definition.label}`);
+        return;
+      }
+      selected.push(value ? { type: definition.key, value } : definition.key);
     }
 
-    modal.style.display = 'none';
+    this.selectedTags = selected;
+    this.updateTagButton();
+  },
+
+  updateTagButton() {
+    if (!this.tagBtn) return;
+
+    const count = (this.selectedTags || []).length;
+    this.tagBtn.textContent = count > 0 ? `🏷️ Tag (${count})` : '🏷️ Tag';
+    this.tagBtn.title = (this.selectedTags || []).map(tag => this.getTagDisplay(tag)).join(', ');
   },
 
   async handleFileUpload(files) {
@@ -757,18 +2671,20 @@ Object.assign(HumanitarianApp.prototype, {
         continue;
       }
 
-      // In a real app, you'd upload to /api/files
-      console.log('Uploading file:', file.name);
-      
-      // For demo, just show as message
-      const message = {
-        groupId: this.currentGroup.id,
-        content: file.name,
-        type: file.type.startsWith('image/') ? 'image' : 'file'
-      };
-
-      if (this.socket) {
-        this.socket.emit('send-message', message);
+      if (this.isOnline) {
+        try {
+          await this.uploadFile(file, this.currentGroup.id);
+        } catch (error) {
+          console.error('File upload failed:', error);
+          this.showError(error.message || `Failed to upload ${file.name}`);
+        }
+      } else if (window.offlineManager) {
+        // Queue for upload when back online
+        window.offlineManager.queueAction({
+          type: 'uploadFile',
+          data: { file, groupId: this.currentGroup.id }
+        });
+        this.showError(`${file.name} queued - will upload when online`);
       }
     }
 
@@ -777,7 +2693,63 @@ Object.assign(HumanitarianApp.prototype, {
     if (fileInput) fileInput.value = '';
   },
 
+  // The server posts the file to the group, which arrives as a new-message event
+  async uploadFile(file, groupId) {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('groupId', groupId);
+
+    const response = await fetch('/api/files/upload', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${AuthAPI.getToken()}`
+      },
+      body: formData
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to upload file');
+    }
+
+    return data;
+  },
+
+  // Move the read watermark to the newest message in the group and clear its badge
+  markGroupRead(groupId) {
+    const messages = this.messages.get(groupId) || [];
+    const latest = messages.reduce((max, msg) => Math.max(max, msg.id || 0), 0);
+
+    if (latest && this.socket && this.socket.connected) {
+      this.socket.emit('mark-read', { groupId, messageId: latest });
+    }
+
+    // The server clears mentions up to the read watermark as well
+    (this.mentions || []).forEach(mention => {
+      if (!mention.readAt && mention.group.id === groupId && mention.message.id <= latest) {
+        mention.readAt = new Date().toISOString();
+        this.unreadMentions = Math.max(0, (this.unreadMentions || 0) - 1);
+      }
+    });
+    this.updateMentionBadge();
+
+    const group = this.groups.find(g => g.id === groupId);
+    if (group) {
+      group.unread_count = 0;
+    }
+
+    const unreadEl = document.querySelector(`[data-group-id="${groupId}"] .unread-count`);
+    if (unreadEl) {
+      unreadEl.remove();
+    }
+  },
+
   updateUnreadCount(groupId) {
+    const group = this.groups.find(g => g.id === groupId);
+    if (group) {
+      group.unread_count = (group.unread_count || 0) + 1;
+    }
+
     // Update unread count in UI
     const groupEl = document.querySelector(`[data-group-id="${groupId}"]`);
     if (groupEl) {
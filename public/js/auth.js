@@ -22,6 +22,13 @@ const AuthAPI = {
       const response = await fetch(url, config);
       const data = await response.json();
 
+      // Expired access token: refresh once and retry
+      if (response.status === 403 && data.error === 'Invalid or expired token' &&
+          endpoint !== '/refresh' && !options.retried) {
+        await this.refresh();
+        return this.request(endpoint, { ...options, retried: true });
+      }
+
       if (!response.ok) {
         throw new Error(data.error || 'Request failed');
       }
@@ -40,7 +47,7 @@ const AuthAPI = {
     });
     
     if (data.token) {
-      localStorage.setItem('auth_token', data.token);
+      this.storeTokens(data);
       localStorage.setItem('user_data', JSON.stringify(data.user));
     }
     
@@ -54,23 +61,94 @@ const AuthAPI = {
     });
     
     if (data.token) {
-      localStorage.setItem('auth_token', data.token);
+      this.storeTokens(data);
       localStorage.setItem('user_data', JSON.stringify(data.user));
     }
     
     return data;
   },
 
+  storeTokens(data) {
+    localStorage.setItem('auth_token', data.token);
+    localStorage.setItem('refresh_token', data.refreshToken);
+    localStorage.setItem('token_expires_at', String(Date.now() + data.expiresIn * 1000));
+  },
+
+  // Swap the refresh token for a new access token. Refresh tokens are single
+  // use, so concurrent callers (and other tabs) share one refresh.
+  async refresh() {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+
+    const refreshToken = localStorage.getItem('refresh_token');
+    if (!refreshToken) {
+      throw new Error('Not logged in');
+    }
+
+    this.refreshPromise = (async () => {
+      try {
+        const data = await this.request('/refresh', {
+          method: 'POST',
+          body: JSON.stringify({ refreshToken })
+        });
+        this.storeTokens(data);
+        return data.token;
+      } catch (error) {
+        // Another tab may have refreshed with the same token first
+        const current = localStorage.getItem('refresh_token');
+        if (current && current !== refreshToken) {
+          return this.getToken();
+        }
+        throw error;
+      } finally {
+        this.refreshPromise = null;
+      }
+    })();
+
+    return this.refreshPromise;
+  },
+
   async getProfile() {
     return await this.request('/profile');
   },
 
-  logout() {
+  clearSession() {
     localStorage.removeItem('auth_token');
+    localStorage.removeItem('refresh_token');
+    localStorage.removeItem('token_expires_at');
     localStorage.removeItem('user_data');
+  },
+
+  // Revoke the session on the server (best effort when offline) and sign out
+  async logout() {
+    if (this.isAuthenticated()) {
+      try {
+        await this.request('/logout', { method: 'POST' });
+      } catch (error) {
+        console.error('Server logout failed:', error);
+      }
+    }
+
+    this.clearSession();
     window.location.href = '/login.html';
   },
 
+  // Sign out every device this account is logged in on
+  async logoutAllDevices() {
+    await this.request('/logout-all', { method: 'POST' });
+    this.clearSession();
+    window.location.href = '/login.html';
+  },
+
+  getSessions() {
+    return this.request('/sessions');
+  },
+
+  revokeSession(sessionId) {
+    return this.request(`/sessions/${sessionId}`, { method: 'DELETE' });
+  },
+
   getCurrentUser() {
     const userData = localStorage.getItem('user_data');
     return userData ? JSON.parse(userData) : null;
@@ -338,23 +416,37 @@ function updateUIForRole() {
   }
 }
 
-// Auto-refresh token
+// Refresh the access token shortly before it expires
 function setupTokenRefresh() {
   if (!AuthAPI.isAuthenticated()) return;
 
-  // Refresh token every 6 hours
-  setInterval(async () => {
-    try {
-      const result = await AuthAPI.request('/refresh', { method: 'POST' });
-      if (result.token) {
-        localStorage.setItem('auth_token', result.token);
+  const schedule = () => {
+    const expiresAt = parseInt(localStorage.getItem('token_expires_at')) || 0;
+    const delay = Math.max(expiresAt - Date.now() - 60 * 1000, 5 * 1000);
+
+    setTimeout(async () => {
+      try {
+        // Another tab may already have refreshed
+        const current = parseInt(localStorage.getItem('token_expires_at')) || 0;
+        if (current - Date.now() <= 60 * 1000) {
+          await AuthAPI.refresh();
+        }
+        schedule();
+      } catch (error) {
+        console.error('Token refresh failed:', error);
+        if (navigator.onLine) {
+          // Refresh token rejected: the session is over
+          AuthAPI.clearSession();
+          window.location.href = '/login.html';
+        } else {
+          // Try again once back online
+          window.addEventListener('online', schedule, { once: true });
+        }
       }
-    } catch (error) {
-      console.error('Token refresh failed:', error);
-      // If refresh fails, logout user
-      AuthAPI.logout();
-    }
-  }, 6 * 60 * 60 * 1000); // 6 hours
+    }, delay);
+  };
+
+  schedule();
 }
 
 // Initialize auth controller when page loads
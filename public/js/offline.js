@@ -2,7 +2,7 @@
 class OfflineManager {
   constructor() {
     this.dbName = 'HumanitarianChatDB';
-    this.dbVersion = 1;
+    this.dbVersion = 2;
     this.db = null;
     this.syncQueue = [];
     this.isOnline = navigator.onLine;
@@ -51,6 +51,11 @@ class OfflineManager {
         if (!db.objectStoreNames.contains('userData')) {
           db.createObjectStore('userData', { keyPath: 'key' });
         }
+
+        // Tasks store: the user's task dashboard
+        if (!db.objectStoreNames.contains('tasks')) {
+          db.createObjectStore('tasks', { keyPath: 'id' });
+        }
       };
     });
   }
@@ -133,19 +138,81 @@ class OfflineManager {
     });
   }
 
+  // Replace the cached tasks with a fresh list from the server. Entries are
+  // tagged with the user they belong to, since field devices are shared.
+  saveTasks(userId, tasks) {
+    if (!this.db) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['tasks'], 'readwrite');
+      const store = transaction.objectStore('tasks');
+      store.clear();
+      tasks.forEach(task => store.put({ ...task, cachedFor: userId }));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  saveTask(userId, task) {
+    if (!this.db) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['tasks'], 'readwrite');
+      transaction.objectStore('tasks').put({ ...task, cachedFor: userId });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  deleteTask(taskId) {
+    if (!this.db) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['tasks'], 'readwrite');
+      transaction.objectStore('tasks').delete(taskId);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getTasks(userId) {
+    if (!this.db) return [];
+
+    const transaction = this.db.transaction(['tasks'], 'readonly');
+    const store = transaction.objectStore('tasks');
+
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result
+        .filter(({ cachedFor }) => cachedFor === userId)
+        .map(({ cachedFor, ...task }) => task));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Keys let the server recognise a resent message instead of storing it twice
+  static generateIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
   async queueAction(action) {
+    // Messages keep one idempotency key across every retry
+    if (action.type === 'message' && !action.data.idempotencyKey) {
+      action.data.idempotencyKey = OfflineManager.generateIdempotencyKey();
+    }
+
     if (!this.db) {
       this.syncQueue.push(action);
       return;
     }
     
-    const transaction = this.db.transaction(['syncQueue'], 'readwrite');
-    const store = transaction.objectStore('syncQueue');
-    
     action.queuedAt = Date.now();
     action.attempts = 0;
     
-    await store.add(action);
+    await this.updateSyncQueue('add', action);
     
     // Try to process immediately if online
     if (this.isOnline) {
@@ -153,38 +220,64 @@ class OfflineManager {
     }
   }
 
+  getQueuedActions() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['syncQueue'], 'readonly');
+      const request = transaction.objectStore('syncQueue').getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  updateSyncQueue(operation, value) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['syncQueue'], 'readwrite');
+      transaction.objectStore('syncQueue')[operation](value);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   async processSyncQueue() {
-    if (!this.db || !this.isOnline) return;
-    
-    const transaction = this.db.transaction(['syncQueue'], 'readwrite');
-    const store = transaction.objectStore('syncQueue');
-    
-    const request = store.getAll();
-    request.onsuccess = async () => {
-      const queuedActions = request.result;
+    if (!this.db || !this.isOnline || this.isSyncing) return;
+    this.isSyncing = true;
+
+    try {
+      const queuedActions = await this.getQueuedActions();
       
       for (const action of queuedActions) {
         try {
           await this.processAction(action);
-          // Remove from queue on success
-          await store.delete(action.id);
+          // Remove from queue only once the server has confirmed it
+          await this.updateSyncQueue('delete', action.id);
         } catch (error) {
           console.error('Failed to process queued action:', error);
+
+          if (error.permanent) {
+            // The server rejected it; retrying would give the same answer
+            await this.updateSyncQueue('delete', action.id);
+            console.error('Action rejected by server:', action);
+            continue;
+          }
           
           // Increment attempts and update
           action.attempts = (action.attempts || 0) + 1;
           action.lastAttempt = Date.now();
           
-          if (action.attempts < 3) {
-            await store.put(action);
+          // Messages are deduped by idempotency key, so they are safe to
+          // retry until the server confirms them
+          if (action.type === 'message' || action.attempts < 3) {
+            await this.updateSyncQueue('put', action);
           } else {
             // Max attempts reached, remove or mark as failed
-            await store.delete(action.id);
+            await this.updateSyncQueue('delete', action.id);
             console.error('Action failed after 3 attempts:', action);
           }
         }
       }
-    };
+    } finally {
+      this.isSyncing = false;
+    }
   }
 
   async processAction(action) {
@@ -195,6 +288,8 @@ class OfflineManager {
         return this.syncCreateGroup(action.data);
       case 'uploadFile':
         return this.syncFileUpload(action.data);
+      case 'taskStatus':
+        return this.syncTaskStatus(action.data);
       default:
         console.warn('Unknown action type:', action.type);
     }
@@ -202,8 +297,11 @@ class OfflineManager {
 
   async syncMessage(messageData) {
     // Send message to server via socket or API
-    if (window.app && window.app.socket) {
-      window.app.socket.emit('send-message', messageData);
+    if (window.app && window.app.socket && window.app.socket.connected) {
+      const ack = await this.emitWithAck(window.app.socket, 'send-message', messageData);
+      if (!ack.success) {
+        throw this.syncError(ack.error || 'Failed to sync message', ack.status);
+      }
     } else {
       // Fallback to API
       const response = await fetch('/api/messages', {
@@ -216,11 +314,33 @@ class OfflineManager {
       });
       
       if (!response.ok) {
-        throw new Error('Failed to sync message');
+        throw this.syncError('Failed to sync message', response.status);
       }
     }
   }
 
+  // Resolve with the server's acknowledgement, or reject if none arrives
+  emitWithAck(socket, event, data, timeoutMs = 15000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`No acknowledgement for ${event}`));
+      }, timeoutMs);
+
+      socket.emit(event, data, (response) => {
+        clearTimeout(timer);
+        resolve(response || {});
+      });
+    });
+  }
+
+  // Client errors will not succeed on retry, apart from conflicts and throttling
+  syncError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    error.permanent = status >= 400 && status < 500 && ![408, 409, 429].includes(status);
+    return error;
+  }
+
   async syncCreateGroup(groupData) {
     const response = await fetch('/api/groups', {
       method: 'POST',
@@ -254,6 +374,26 @@ class OfflineManager {
     }
   }
 
+  async syncTaskStatus({ taskId, status, comment }) {
+    const response = await fetch(`/api/tasks/${taskId}/status`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${AuthAPI.getToken()}`
+      },
+      body: JSON.stringify({ status, comment })
+    });
+
+    if (!response.ok) {
+      throw this.syncError('Failed to sync task status', response.status);
+    }
+
+    const data = await response.json();
+    if (window.app && window.app.upsertTask) {
+      window.app.upsertTask(data.task);
+    }
+  }
+
   async loadOfflineData() {
     try {
       // Load cached groups
@@ -276,7 +416,7 @@ class OfflineManager {
   async clearOfflineData() {
     if (!this.db) return;
     
-    const stores = ['messages', 'groups', 'syncQueue', 'userData'];
+    const stores = ['messages', 'groups', 'syncQueue', 'userData', 'tasks'];
     const transaction = this.db.transaction(stores, 'readwrite');
     
     for (const storeName of stores) {
@@ -319,6 +459,7 @@ let offlineManager;
 if (typeof window !== 'undefined') {
   document.addEventListener('DOMContentLoaded', () => {
     offlineManager = new OfflineManager();
+    window.offlineManager = offlineManager;
     registerServiceWorker();
   });
 }
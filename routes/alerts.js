@@ -0,0 +1,139 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const {
+  acknowledgeAlert,
+  getAlertRoster,
+  getPendingAlerts
+} = require('../services/alerts');
+
+const router = express.Router();
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  // Keep spreadsheet apps from treating names as formulas
+  const text = /^[=+\-@]/.test(String(value)) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Alerts waiting for the current user's acknowledgement
+router.get('/pending', async (req, res) => {
+  try {
+    const alerts = await getPendingAlerts(req.user.id);
+    res.json({ alerts });
+
+  } catch (error) {
+    console.error('Error fetching pending alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+// Acknowledge an alert
+router.post('/:messageId/acknowledge', async (req, res) => {
+  try {
+    const acknowledgement = await acknowledgeAlert(req.user, req.params.messageId);
+
+    // Live roster progress, only for those allowed to see the roster
+    const io = req.app.get('io');
+    if (io && acknowledgement.rosterViewerIds.length > 0) {
+      io.to(acknowledgement.rosterViewerIds.map(userId => `user_${userId}`))
+        .emit('alert-acknowledged', {
+          messageId: acknowledgement.messageId,
+          userId: acknowledgement.userId,
+          userName: acknowledgement.userName,
+          acknowledgedAt: acknowledgement.acknowledgedAt,
+          summary: acknowledgement.summary
+        });
+    }
+
+    res.json({
+      message: 'Alert acknowledged',
+      messageId: acknowledgement.messageId,
+      acknowledgedAt: acknowledgement.acknowledgedAt,
+      summary: acknowledgement.summary
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error acknowledging alert:', error);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+// Acknowledgement roster for an alert
+router.get('/:messageId/acknowledgements', async (req, res) => {
+  try {
+    const roster = await getAlertRoster(req.user, req.params.messageId);
+    res.json(roster);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching alert acknowledgements:', error);
+    res.status(500).json({ error: 'Failed to fetch acknowledgements' });
+  }
+});
+
+// Export acknowledgement records for after-action review
+router.get('/:messageId/acknowledgements/export', [
+  query('format').optional().isIn(['csv', 'json'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { message, recipients, summary } = await getAlertRoster(req.user, req.params.messageId);
+    const filename = `alert-${message.id}-acknowledgements`;
+
+    if (req.query.format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json({
+        exportedAt: new Date().toISOString(),
+        alert: message,
+        summary,
+        recipients
+      });
+    }
+
+    const header = [
+      'alert_id', 'group_id', 'sent_at', 'sender', 'user_id', 'user_name', 'user_role',
+      'acknowledged_at', 'notifications_sent', 'last_notified_at'
+    ];
+    const rows = recipients.map(recipient => [
+      message.id,
+      message.groupId,
+      message.timestamp,
+      message.senderName,
+      recipient.userId,
+      recipient.userName,
+      recipient.userRole,
+      recipient.acknowledgedAt,
+      recipient.notifiedCount,
+      recipient.lastNotifiedAt
+    ]);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}.csv"`
+    });
+    res.send([header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n');
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error exporting alert acknowledgements:', error);
+    res.status(500).json({ error: 'Failed to export acknowledgements' });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,25 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { runQuery, getQuery, allQuery } = require('../config/database');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions
+} = require('../services/sessions');
 
 const router = express.Router();
 
+// Drop live socket connections for revoked sessions
+function disconnectSockets(req, room) {
+  const io = req.app.get('io');
+  if (io) {
+    io.in(room).disconnectSockets(true);
+  }
+}
+
 // Registration endpoint
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -65,8 +80,8 @@ router.post('/register', [
       WHERE u.id = ?
     `, [result.id]);
 
-    // Generate token
-    const token = generateToken(user);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -77,7 +92,9 @@ router.post('/register', [
         role: user.role,
         organization: user.organization_name
       },
-      token
+      token,
+      refreshToken,
+      expiresIn
     });
 
   } catch (error) {
@@ -120,8 +137,8 @@ router.post('/login', [
     // Update last seen
     await runQuery('UPDATE users SET last_seen = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
 
-    // Generate token
-    const token = generateToken(user);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
@@ -133,7 +150,9 @@ router.post('/login', [
         organization: user.organization_name,
         organizationId: user.organization_id
       },
-      token
+      token,
+      refreshToken,
+      expiresIn
     });
 
   } catch (error) {
@@ -152,7 +171,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       SELECT g.id, g.name, g.type, g.description, gm.role as membership_role
       FROM groups g
       JOIN group_members gm ON g.id = gm.group_id
-      WHERE gm.user_id = ?
+      WHERE gm.user_id = ? AND g.type != 'direct'
       ORDER BY g.name
     `, [user.id]);
 
@@ -175,20 +194,106 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Refresh token
-router.post('/refresh', authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', [
+  body('refreshToken').isString().isLength({ min: 1, max: 200 })
+], async (req, res) => {
   try {
-    const user = req.user;
-    const newToken = generateToken(user);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const { token, refreshToken, expiresIn } = await rotateRefreshToken(req.body.refreshToken);
     
     res.json({
       message: 'Token refreshed',
-      token: newToken
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (error) {
+    if (error.revokedSessionId) {
+      disconnectSockets(req, `session_${error.revokedSessionId}`);
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Token refresh error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Sign out of the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    disconnectSockets(req, `session_${req.sessionId}`);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign out of every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id, 'logout_all');
+    disconnectSockets(req, `user_${req.user.id}`);
+
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign out a specific device (e.g. a lost or stolen phone)
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await getQuery(
+      'SELECT id FROM auth_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [req.params.sessionId, req.user.id]
+    );
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session.id, 'revoked_by_user');
+    disconnectSockets(req, `session_${session.id}`);
+
+    res.json({
+      message: 'Session revoked',
+      sessionId: session.id
+    });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
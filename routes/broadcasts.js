@@ -0,0 +1,82 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const {
+  BROADCAST_ROLES,
+  USER_ROLES,
+  createBroadcast,
+  deliverBroadcast,
+  getActiveBroadcasts,
+  dismissBroadcast
+} = require('../services/broadcasts');
+
+const router = express.Router();
+
+// Current broadcasts for the pinned banner
+router.get('/', async (req, res) => {
+  try {
+    const broadcasts = await getActiveBroadcasts(req.user);
+    res.json({ broadcasts });
+
+  } catch (error) {
+    console.error('Error fetching broadcasts:', error);
+    res.status(500).json({ error: 'Failed to fetch broadcasts' });
+  }
+});
+
+// Send a broadcast to the organization, or to selected groups and/or roles
+router.post('/', requireRole(BROADCAST_ROLES), [
+  body('content').isLength({ min: 1, max: 2000 }).trim(),
+  body('groupIds').optional().isArray({ min: 1 }),
+  body('groupIds.*').isInt({ min: 1 }).toInt(),
+  body('roles').optional().isArray({ min: 1 }),
+  body('roles.*').isIn(USER_ROLES),
+  body('expiresAt').optional({ values: 'falsy' }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { broadcast, recipientIds } = await createBroadcast(req.user, req.body);
+    const delivery = await deliverBroadcast(req.app.get('io'), broadcast, recipientIds);
+
+    res.status(201).json({
+      message: 'Broadcast sent',
+      broadcast,
+      delivery
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error sending broadcast:', error);
+    res.status(500).json({ error: 'Failed to send broadcast' });
+  }
+});
+
+// Dismiss a broadcast from the banner
+router.post('/:broadcastId/dismiss', async (req, res) => {
+  try {
+    await dismissBroadcast(req.user, req.params.broadcastId);
+
+    res.json({
+      message: 'Broadcast dismissed',
+      broadcastId: parseInt(req.params.broadcastId)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error dismissing broadcast:', error);
+    res.status(500).json({ error: 'Failed to dismiss broadcast' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  getConversation,
+  listConversations,
+  getOrCreateConversation,
+  searchDirectory
+} = require('../services/direct');
+
+const router = express.Router();
+
+// List the current user's direct conversations
+router.get('/', async (req, res) => {
+  try {
+    const conversations = await listConversations(req.user);
+    res.json({ conversations });
+
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Find colleagues in the organization to message
+router.get('/users', [
+  query('q').optional().isLength({ max: 100 }).trim(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const users = await searchDirectory(req.user, req.query.q, parseInt(req.query.limit) || 50);
+    res.json({ users });
+
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Start (or reopen) a conversation with another user
+router.post('/', [
+  body('userId').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { conversation, created } = await getOrCreateConversation(req.user, req.body.userId);
+
+    // Put both users' connected devices in the conversation's room
+    const io = req.app.get('io');
+    if (io && created) {
+      const room = `group_${conversation.groupId}`;
+      io.in(`user_${req.user.id}`).socketsJoin(room);
+      io.in(`user_${conversation.participant.id}`).socketsJoin(room);
+
+      const otherView = await getConversation({ id: conversation.participant.id }, conversation.groupId);
+      io.to(`user_${conversation.participant.id}`).emit('direct-conversation', otherView);
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Conversation started' : 'Conversation already exists',
+      conversation
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error starting conversation:', error);
+    res.status(500).json({ error: 'Failed to start conversation' });
+  }
+});
+
+// Get a conversation
+router.get('/:conversationId', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.user, req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ conversation });
+
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+module.exports = router;
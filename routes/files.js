@@ -0,0 +1,368 @@
+const express = require('express');
+const multer = require('multer');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { authenticateToken, requireGroupAccess, canAccessGroup, JWT_SECRET } = require('../middleware/auth');
+const { createMessage } = require('../services/messages');
+
+const router = express.Router();
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const MAX_FILE_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 10 * 1024 * 1024; // 10MB
+const SIGNED_URL_SECRET = process.env.FILE_URL_SECRET || JWT_SECRET;
+const SIGNED_URL_TTL = parseInt(process.env.SIGNED_URL_TTL) || 15 * 60; // 15 minutes, in seconds
+
+// Allowed MIME types and the extensions they may be stored with
+const ALLOWED_MIME_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'video/mp4': ['.mp4'],
+  'application/pdf': ['.pdf'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv']
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, UPLOADS_DIR);
+  },
+  filename: (req, file, cb) => {
+    // Random name so uploads can't be guessed or overwrite each other
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(null, `${crypto.randomBytes(16).toString('hex')}${ext}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ALLOWED_MIME_TYPES[file.mimetype];
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (!allowedExtensions || !allowedExtensions.includes(ext)) {
+      const error = new Error(`File type ${file.mimetype} not allowed`);
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error);
+    }
+
+    cb(null, true);
+  }
+});
+
+function formatFile(file) {
+  return {
+    id: file.id,
+    name: file.original_name,
+    mimeType: file.mime_type,
+    size: file.size,
+    groupId: file.group_id,
+    messageId: file.message_id,
+    uploader: {
+      id: file.uploader_id,
+      name: file.uploader_name
+    },
+    url: `/api/files/${file.id}/download`,
+    createdAt: file.created_at
+  };
+}
+
+// Signed URLs are bound to the file, the user they were issued to and an expiry
+function signFileUrl(fileId, userId, expires) {
+  return crypto
+    .createHmac('sha256', SIGNED_URL_SECRET)
+    .update(`${fileId}:${userId}:${expires}`)
+    .digest('hex');
+}
+
+function createSignedUrl(fileId, userId) {
+  const expires = Math.floor(Date.now() / 1000) + SIGNED_URL_TTL;
+  const signature = signFileUrl(fileId, userId, expires);
+
+  return {
+    url: `/api/files/${fileId}/signed?user=${userId}&expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+function isValidSignature(fileId, userId, expires, signature) {
+  if (!userId || !expires || !signature || expires < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signFileUrl(fileId, userId, expires));
+  const provided = Buffer.from(String(signature));
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Stream a stored file. Images display inline unless a download is requested;
+// everything else is always sent as an attachment.
+function sendStoredFile(req, res, file) {
+  const filePath = path.join(__dirname, '..', file.path);
+
+  fs.stat(filePath, (err, stats) => {
+    if (err) {
+      console.error('Error reading stored file:', err);
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const inline = file.mime_type && file.mime_type.startsWith('image/') && req.query.download !== '1';
+
+    res.set({
+      'Content-Type': file.mime_type || 'application/octet-stream',
+      'Content-Length': stats.size,
+      'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', file.original_name),
+      'Cache-Control': 'private, no-store'
+    });
+
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', (streamError) => {
+      console.error('Error streaming file:', streamError);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  });
+}
+
+// Load a file row if the user can read its group
+async function getAccessibleFile(fileId, userId) {
+  const file = await getQuery('SELECT * FROM files WHERE id = ?', [fileId]);
+
+  if (!file || !(await canAccessGroup(userId, file.group_id, 'read'))) {
+    return null;
+  }
+
+  return file;
+}
+
+function removeUploadedFile(file) {
+  if (file) {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error('Error removing uploaded file:', err);
+    });
+  }
+}
+
+// Run multer and turn its errors into JSON responses
+function handleUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `File too large (max ${Math.round(MAX_FILE_SIZE / (1024 * 1024))}MB)`
+      });
+    }
+
+    if (err.code === 'INVALID_FILE_TYPE' || err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.error('Error receiving upload:', err);
+    res.status(500).json({ error: 'Failed to upload file' });
+  });
+}
+
+// Upload a file to a group, attaching it to a message
+router.post('/upload', authenticateToken, handleUpload, async (req, res) => {
+  const uploaded = req.file;
+  let fileId = null;
+
+  try {
+    if (!uploaded) {
+      return res.status(400).json({ error: 'File required' });
+    }
+
+    const groupId = parseInt(req.body.groupId);
+    const messageId = req.body.messageId ? parseInt(req.body.messageId) : null;
+
+    if (!groupId) {
+      removeUploadedFile(uploaded);
+      return res.status(400).json({ error: 'Group ID required' });
+    }
+
+    const hasAccess = await canAccessGroup(req.user.id, groupId, 'write');
+    if (!hasAccess) {
+      removeUploadedFile(uploaded);
+      return res.status(403).json({ error: 'Access denied to this group' });
+    }
+
+    // Attaching to an existing message requires it to be the user's own, in this group
+    if (messageId) {
+      const message = await getQuery(
+        'SELECT id FROM messages WHERE id = ? AND group_id = ? AND sender_id = ?',
+        [messageId, groupId, req.user.id]
+      );
+      if (!message) {
+        removeUploadedFile(uploaded);
+        return res.status(404).json({ error: 'Message not found or access denied' });
+      }
+    }
+
+    const fileResult = await runQuery(`
+      INSERT INTO files (filename, original_name, path, mime_type, size, uploader_id, group_id, message_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      uploaded.filename,
+      uploaded.originalname,
+      path.join('uploads', uploaded.filename),
+      uploaded.mimetype,
+      uploaded.size,
+      req.user.id,
+      groupId,
+      messageId
+    ]);
+
+    fileId = fileResult.id;
+    let message = null;
+
+    // Without a message to attach to, post the file to the group as its own message
+    if (!messageId) {
+      message = await createMessage(req.user, {
+        groupId,
+        content: `/api/files/${fileId}/download`,
+        type: uploaded.mimetype.startsWith('image/') ? 'image' : 'file'
+      });
+
+      await runQuery('UPDATE files SET message_id = ? WHERE id = ?', [message.id, fileId]);
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`group_${groupId}`).emit('new-message', message);
+      }
+    }
+
+    const file = await getQuery(`
+      SELECT f.*, u.name as uploader_name
+      FROM files f
+      JOIN users u ON f.uploader_id = u.id
+      WHERE f.id = ?
+    `, [fileId]);
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      file: formatFile(file),
+      data: message
+    });
+
+  } catch (error) {
+    removeUploadedFile(uploaded);
+    if (fileId) {
+      await runQuery('DELETE FROM files WHERE id = ?', [fileId]).catch(() => {});
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error uploading file:', error);
+    res.status(500).json({ error: 'Failed to upload file' });
+  }
+});
+
+// List files shared in a group
+router.get('/group/:groupId', authenticateToken, requireGroupAccess('read'), async (req, res) => {
+  try {
+    const files = await allQuery(`
+      SELECT f.*, u.name as uploader_name
+      FROM files f
+      JOIN users u ON f.uploader_id = u.id
+      WHERE f.group_id = ?
+      ORDER BY f.created_at DESC
+    `, [req.params.groupId]);
+
+    res.json({ files: files.map(formatFile) });
+
+  } catch (error) {
+    console.error('Error fetching files:', error);
+    res.status(500).json({ error: 'Failed to fetch files' });
+  }
+});
+
+// Download a file
+router.get('/:fileId/download', authenticateToken, async (req, res) => {
+  try {
+    const file = await getAccessibleFile(req.params.fileId, req.user.id);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    sendStoredFile(req, res, file);
+
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+// Issue a time-limited URL for places that can't send a bearer token (e.g. <img>)
+router.get('/:fileId/url', authenticateToken, async (req, res) => {
+  try {
+    const file = await getAccessibleFile(req.params.fileId, req.user.id);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    res.json({
+      fileId: file.id,
+      name: file.original_name,
+      mimeType: file.mime_type,
+      ...createSignedUrl(file.id, req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error creating signed file URL:', error);
+    res.status(500).json({ error: 'Failed to create file URL' });
+  }
+});
+
+// Download a file through a signed URL. Group membership is checked again so
+// removing someone from a group also cuts off URLs issued to them.
+router.get('/:fileId/signed', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const userId = parseInt(req.query.user);
+    const expires = parseInt(req.query.expires);
+
+    if (!isValidSignature(fileId, userId, expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired file URL' });
+    }
+
+    const user = await getQuery(
+      "SELECT id FROM users WHERE id = ? AND status = 'active'",
+      [userId]
+    );
+    const file = user ? await getAccessibleFile(fileId, userId) : null;
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    sendStoredFile(req, res, file);
+
+  } catch (error) {
+    console.error('Error downloading signed file:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+module.exports = router;
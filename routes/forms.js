@@ -0,0 +1,457 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { runQuery, getQuery, allQuery, withTransaction } = require('../config/database');
+const { requireRole, canAccessGroup } = require('../middleware/auth');
+const { createMessage, messageError } = require('../services/messages');
+const { validateTemplateSchema, validateFormData, summarizeResponse } = require('../services/forms');
+
+const router = express.Router();
+
+function formatTemplate(template) {
+  return {
+    id: template.id,
+    rootTemplateId: template.root_template_id || template.id,
+    name: template.name,
+    description: template.description,
+    version: template.version,
+    schema: JSON.parse(template.schema),
+    isActive: !!template.is_active,
+    createdBy: {
+      id: template.created_by,
+      name: template.created_by_name
+    },
+    createdAt: template.created_at
+  };
+}
+
+function formatResponse(response) {
+  return {
+    id: response.id,
+    templateId: response.template_id,
+    templateName: response.template_name,
+    templateVersion: response.template_version,
+    groupId: response.group_id,
+    messageId: response.message_id,
+    data: JSON.parse(response.data),
+    location: response.location_lat !== null && response.location_lng !== null ? {
+      lat: response.location_lat,
+      lng: response.location_lng
+    } : null,
+    responder: {
+      id: response.responder_id,
+      name: response.responder_name
+    },
+    submittedAt: response.submitted_at
+  };
+}
+
+// Get a template version belonging to the user's organization
+async function getTemplate(templateId, organizationId) {
+  return getQuery(`
+    SELECT ft.*, u.name as created_by_name
+    FROM form_templates ft
+    LEFT JOIN users u ON ft.created_by = u.id
+    WHERE ft.id = ? AND ft.organization_id = ?
+  `, [templateId, organizationId]);
+}
+
+function schemaErrorResponse(res, errors) {
+  return res.status(400).json({
+    error: 'Invalid form schema',
+    details: errors
+  });
+}
+
+// List the organization's templates (latest active versions by default)
+router.get('/templates', [
+  query('includeInactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+
+    const templates = await allQuery(`
+      SELECT ft.*, u.name as created_by_name
+      FROM form_templates ft
+      LEFT JOIN users u ON ft.created_by = u.id
+      WHERE ft.organization_id = ? AND (ft.is_active = 1 OR ? = 1)
+      ORDER BY ft.name, ft.version DESC
+    `, [req.user.organization_id, includeInactive ? 1 : 0]);
+
+    res.json({ templates: templates.map(formatTemplate) });
+
+  } catch (error) {
+    console.error('Error fetching form templates:', error);
+    res.status(500).json({ error: 'Failed to fetch form templates' });
+  }
+});
+
+// Create a form template (Admin only)
+router.post('/templates', requireRole('admin'), [
+  body('name').isLength({ min: 2, max: 100 }).trim(),
+  body('description').optional().isLength({ max: 500 }).trim(),
+  body('schema').isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, schema } = req.body;
+
+    const schemaErrors = validateTemplateSchema(schema);
+    if (schemaErrors.length > 0) {
+      return schemaErrorResponse(res, schemaErrors);
+    }
+
+    const existing = await getQuery(`
+      SELECT id FROM form_templates
+      WHERE name = ? AND organization_id = ? AND is_active = 1
+    `, [name, req.user.organization_id]);
+
+    if (existing) {
+      return res.status(409).json({ error: 'An active template with this name already exists' });
+    }
+
+    const result = await runQuery(`
+      INSERT INTO form_templates (name, description, schema, organization_id, created_by, version)
+      VALUES (?, ?, ?, ?, ?, 1)
+    `, [name, description || null, JSON.stringify(schema), req.user.organization_id, req.user.id]);
+
+    const template = await getTemplate(result.id, req.user.organization_id);
+
+    res.status(201).json({
+      message: 'Form template created successfully',
+      template: formatTemplate(template)
+    });
+
+  } catch (error) {
+    console.error('Error creating form template:', error);
+    res.status(500).json({ error: 'Failed to create form template' });
+  }
+});
+
+// Get a template version
+router.get('/templates/:templateId', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.templateId, req.user.organization_id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Form template not found' });
+    }
+
+    res.json({ template: formatTemplate(template) });
+
+  } catch (error) {
+    console.error('Error fetching form template:', error);
+    res.status(500).json({ error: 'Failed to fetch form template' });
+  }
+});
+
+// List every version of a template
+router.get('/templates/:templateId/versions', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.templateId, req.user.organization_id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Form template not found' });
+    }
+
+    const rootId = template.root_template_id || template.id;
+
+    const versions = await allQuery(`
+      SELECT ft.*, u.name as created_by_name
+      FROM form_templates ft
+      LEFT JOIN users u ON ft.created_by = u.id
+      WHERE ft.id = ? OR ft.root_template_id = ?
+      ORDER BY ft.version DESC
+    `, [rootId, rootId]);
+
+    res.json({ versions: versions.map(formatTemplate) });
+
+  } catch (error) {
+    console.error('Error fetching form template versions:', error);
+    res.status(500).json({ error: 'Failed to fetch form template versions' });
+  }
+});
+
+// Publish a new version of a template (Admin only). Earlier versions are kept
+// so existing responses still refer to the schema they were submitted against.
+router.put('/templates/:templateId', requireRole('admin'), [
+  body('name').optional().isLength({ min: 2, max: 100 }).trim(),
+  body('description').optional().isLength({ max: 500 }).trim(),
+  body('schema').isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const current = await getTemplate(req.params.templateId, req.user.organization_id);
+
+    if (!current) {
+      return res.status(404).json({ error: 'Form template not found' });
+    }
+
+    if (!current.is_active) {
+      return res.status(409).json({ error: 'Only the active version of a template can be updated' });
+    }
+
+    const { name = current.name, description = current.description, schema } = req.body;
+
+    const schemaErrors = validateTemplateSchema(schema);
+    if (schemaErrors.length > 0) {
+      return schemaErrorResponse(res, schemaErrors);
+    }
+
+    // Retire the current version and add the new one together, so a failure
+    // or a concurrent update can't leave two active versions (or none)
+    const result = await withTransaction(async (tx) => {
+      const retired = await tx.runQuery(
+        'UPDATE form_templates SET is_active = 0 WHERE id = ? AND is_active = 1',
+        [current.id]
+      );
+
+      if (retired.changes === 0) {
+        throw messageError(409, 'Only the active version of a template can be updated');
+      }
+
+      return tx.runQuery(`
+        INSERT INTO form_templates
+          (name, description, schema, organization_id, created_by, version, root_template_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        name,
+        description || null,
+        JSON.stringify(schema),
+        req.user.organization_id,
+        req.user.id,
+        current.version + 1,
+        current.root_template_id || current.id
+      ]);
+    });
+
+    const template = await getTemplate(result.id, req.user.organization_id);
+
+    res.json({
+      message: 'Form template updated successfully',
+      template: formatTemplate(template)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating form template:', error);
+    res.status(500).json({ error: 'Failed to update form template' });
+  }
+});
+
+// Retire a template (Admin only)
+router.delete('/templates/:templateId', requireRole('admin'), async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.templateId, req.user.organization_id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Form template not found' });
+    }
+
+    await runQuery('UPDATE form_templates SET is_active = 0 WHERE id = ?', [template.id]);
+
+    res.json({
+      message: 'Form template deactivated successfully',
+      templateId: template.id
+    });
+
+  } catch (error) {
+    console.error('Error deactivating form template:', error);
+    res.status(500).json({ error: 'Failed to deactivate form template' });
+  }
+});
+
+// Submit a response into a group (Admin and Field Staff)
+router.post('/templates/:templateId/responses', requireRole(['admin', 'field_staff']), [
+  body('groupId').isInt(),
+  body('data').isObject(),
+  body('location.lat').optional().isFloat({ min: -90, max: 90 }),
+  body('location.lng').optional().isFloat({ min: -180, max: 180 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { groupId, data, location } = req.body;
+
+    const template = await getTemplate(req.params.templateId, req.user.organization_id);
+
+    if (!template || !template.is_active) {
+      return res.status(404).json({ error: 'Form template not found or inactive' });
+    }
+
+    const hasAccess = await canAccessGroup(req.user.id, groupId, 'write');
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied to this group' });
+    }
+
+    const schema = JSON.parse(template.schema);
+    const { errors: dataErrors, values } = validateFormData(schema, data);
+
+    if (dataErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Form data does not match the template',
+        details: dataErrors
+      });
+    }
+
+    const hasLocation = location && location.lat !== undefined && location.lng !== undefined;
+
+    // Let the team see the submission in the chat. The message goes first so
+    // a rejected post doesn't leave a response row behind without one.
+    const message = await createMessage(req.user, {
+      groupId,
+      content: summarizeResponse({ name: template.name, schema }, values),
+      type: 'form'
+    });
+
+    const result = await runQuery(`
+      INSERT INTO form_responses (template_id, responder_id, group_id, message_id, data, location_lat, location_lng)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      template.id,
+      req.user.id,
+      groupId,
+      message.id,
+      JSON.stringify(values),
+      hasLocation ? location.lat : null,
+      hasLocation ? location.lng : null
+    ]);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`group_${message.groupId}`).emit('new-message', { ...message, formResponseId: result.id });
+    }
+
+    const response = await getQuery(`
+      SELECT fr.*, ft.name as template_name, ft.version as template_version, u.name as responder_name
+      FROM form_responses fr
+      JOIN form_templates ft ON fr.template_id = ft.id
+      JOIN users u ON fr.responder_id = u.id
+      WHERE fr.id = ?
+    `, [result.id]);
+
+    res.status(201).json({
+      message: 'Form submitted successfully',
+      response: formatResponse(response),
+      data: message
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error submitting form:', error);
+    res.status(500).json({ error: 'Failed to submit form' });
+  }
+});
+
+// List responses in groups the user belongs to
+router.get('/responses', [
+  query('groupId').optional().isInt(),
+  query('templateId').optional().isInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { groupId, templateId } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    let responsesQuery = `
+      SELECT fr.*, ft.name as template_name, ft.version as template_version, u.name as responder_name
+      FROM form_responses fr
+      JOIN form_templates ft ON fr.template_id = ft.id
+      JOIN users u ON fr.responder_id = u.id
+      JOIN group_members gm ON fr.group_id = gm.group_id AND gm.user_id = ?
+      WHERE ft.organization_id = ?
+    `;
+    const params = [req.user.id, req.user.organization_id];
+
+    if (groupId) {
+      responsesQuery += ` AND fr.group_id = ?`;
+      params.push(groupId);
+    }
+
+    // A template id matches responses to any of its versions
+    if (templateId) {
+      responsesQuery += ` AND (ft.id = ? OR ft.root_template_id = ?
+        OR ft.root_template_id = (SELECT root_template_id FROM form_templates WHERE id = ?))`;
+      params.push(templateId, templateId, templateId);
+    }
+
+    responsesQuery += `
+      ORDER BY fr.submitted_at DESC
+      LIMIT ? OFFSET ?
+    `;
+    params.push(limit, offset);
+
+    const responses = await allQuery(responsesQuery, params);
+
+    res.json({
+      responses: responses.map(formatResponse),
+      pagination: {
+        limit,
+        offset,
+        hasMore: responses.length === limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching form responses:', error);
+    res.status(500).json({ error: 'Failed to fetch form responses' });
+  }
+});
+
+// Get a single response
+router.get('/responses/:responseId', async (req, res) => {
+  try {
+    const response = await getQuery(`
+      SELECT fr.*, ft.name as template_name, ft.version as template_version, u.name as responder_name
+      FROM form_responses fr
+      JOIN form_templates ft ON fr.template_id = ft.id
+      JOIN users u ON fr.responder_id = u.id
+      WHERE fr.id = ? AND ft.organization_id = ?
+    `, [req.params.responseId, req.user.organization_id]);
+
+    if (!response || !(await canAccessGroup(req.user.id, response.group_id, 'read'))) {
+      return res.status(404).json({ error: 'Form response not found or access denied' });
+    }
+
+    res.json({ response: formatResponse(response) });
+
+  } catch (error) {
+    console.error('Error fetching form response:', error);
+    res.status(500).json({ error: 'Failed to fetch form response' });
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,67 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { runQuery, getQuery, allQuery } = require('../config/database');
-const { requireRole } = require('../middleware/auth');
+const fs = require('fs');
+const path = require('path');
+const { body, query, validationResult } = require('express-validator');
+const { runQuery, getQuery, allQuery, withTransaction } = require('../config/database');
+const { requireRole, canAccessGroup } = require('../middleware/auth');
+const { getAuditLog, getOrganizationAuditLog } = require('../services/revisions');
+const { getPinnedMessages, pinMessage, unpinMessage } = require('../services/pins');
 
 const router = express.Router();
 
+const GROUP_TYPES = ['team', 'project', 'emergency', 'general'];
+const GROUP_ROLES = ['member', 'moderator', 'admin'];
+
+// Get a user's membership together with the group's owner and state
+async function getMembership(groupId, userId) {
+  return getQuery(`
+    SELECT gm.role, g.created_by, g.archived_at, g.type
+    FROM group_members gm
+    JOIN groups g ON gm.group_id = g.id
+    WHERE gm.group_id = ? AND gm.user_id = ?
+  `, [groupId, userId]);
+}
+
+// Group admins, group creators and organization admins may manage admin roles
+function isGroupAdmin(user, membership) {
+  return !!membership && (
+    user.role === 'admin' ||
+    membership.role === 'admin' ||
+    membership.created_by === user.id
+  );
+}
+
+function notifyGroup(req, groupId, event, data) {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`group_${groupId}`).emit(event, data);
+  }
+}
+
 // Get all groups for current user
 router.get('/', async (req, res) => {
   try {
     const groups = await allQuery(`
       SELECT 
-        g.id, g.name, g.type, g.description, g.created_at,
+        g.id, g.name, g.type, g.description, g.created_at, g.archived_at,
         gm.role as membership_role,
-        COUNT(DISTINCT gm2.user_id) as member_count,
-        COUNT(DISTINCT CASE WHEN ms.read_at IS NULL AND m.sender_id != ? THEN m.id END) as unread_count
+        (SELECT COUNT(*) FROM group_members gm2 WHERE gm2.group_id = g.id) as member_count,
+        (
+          SELECT COUNT(*) FROM messages m
+          WHERE m.group_id = g.id AND m.sender_id != gm.user_id
+            AND m.id > COALESCE(rs.last_read_message_id, 0)
+        ) as unread_count,
+        COALESCE(rs.last_read_message_id, 0) as last_read_message_id
       FROM groups g
       JOIN group_members gm ON g.id = gm.group_id
-      JOIN group_members gm2 ON g.id = gm2.group_id
-      LEFT JOIN messages m ON g.id = m.group_id
-      LEFT JOIN message_status ms ON m.id = ms.message_id AND ms.user_id = ?
-      WHERE gm.user_id = ? AND g.organization_id = ?
-      GROUP BY g.id, gm.role
+      LEFT JOIN group_read_state rs ON rs.group_id = g.id AND rs.user_id = gm.user_id
+      WHERE gm.user_id = ? AND g.organization_id = ? AND g.type != 'direct'
+        AND (g.archived_at IS NULL OR ? = 1)
       ORDER BY g.name
-    `, [req.user.id, req.user.id, req.user.id, req.user.organization_id]);
+    `, [
+      req.user.id, req.user.organization_id,
+      req.query.includeArchived === 'true' ? 1 : 0
+    ]);
 
     res.json({ groups });
 
@@ -36,7 +75,7 @@ router.get('/', async (req, res) => {
 router.post('/', requireRole('admin'), [
   body('name').isLength({ min: 2, max: 100 }).trim(),
   body('description').optional().isLength({ max: 500 }).trim(),
-  body('type').optional().isIn(['team', 'project', 'emergency', 'general'])
+  body('type').optional().isIn(GROUP_TYPES)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -51,7 +90,7 @@ router.post('/', requireRole('admin'), [
 
     // Check if group with same name exists in organization
     const existingGroup = await getQuery(
-      'SELECT id FROM groups WHERE name = ? AND organization_id = ?',
+      "SELECT id FROM groups WHERE name = ? AND organization_id = ? AND type != 'direct'",
       [name, req.user.organization_id]
     );
 
@@ -95,6 +134,46 @@ router.post('/', requireRole('admin'), [
   }
 });
 
+// Organization-wide moderation audit log, including deleted groups (Admins)
+router.get('/audit', requireRole(['admin']), [
+  query('groupId').optional().isInt({ min: 1 }).toInt(),
+  query('before').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const limit = req.query.limit || 50;
+    const { entries, nextBefore } = await getOrganizationAuditLog(req.user, {
+      groupId: req.query.groupId || null,
+      before: req.query.before || null,
+      limit
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        limit,
+        nextBefore,
+        hasMore: nextBefore !== null
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching organization audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
 // Get group details
 router.get('/:groupId', async (req, res) => {
   try {
@@ -114,7 +193,7 @@ router.get('/:groupId', async (req, res) => {
     // Get group details
     const group = await getQuery(`
       SELECT 
-        g.id, g.name, g.type, g.description, g.created_at,
+        g.id, g.name, g.type, g.description, g.created_at, g.archived_at,
         u.name as created_by_name
       FROM groups g
       JOIN users u ON g.created_by = u.id
@@ -142,12 +221,15 @@ router.get('/:groupId', async (req, res) => {
         u.name
     `, [groupId]);
 
+    const pinnedMessages = await getPinnedMessages(groupId);
+
     res.json({
       group: {
         ...group,
         membershipRole: membership.role
       },
-      members
+      members,
+      pinnedMessages
     });
 
   } catch (error) {
@@ -156,10 +238,323 @@ router.get('/:groupId', async (req, res) => {
   }
 });
 
+// Pinned messages of a group
+router.get('/:groupId/pins', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    if (!(await canAccessGroup(req.user.id, groupId, 'read'))) {
+      return res.status(403).json({ error: 'Access denied to this group' });
+    }
+
+    const pins = await getPinnedMessages(groupId);
+    const canManage = await canAccessGroup(req.user.id, groupId, 'manage');
+
+    res.json({ pins, canManage });
+
+  } catch (error) {
+    console.error('Error fetching pinned messages:', error);
+    res.status(500).json({ error: 'Failed to fetch pinned messages' });
+  }
+});
+
+// Pin a message (Admin and Moderators)
+router.post('/:groupId/pins', [
+  body('messageId').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const groupId = parseInt(req.params.groupId);
+    const pin = await pinMessage(req.user, groupId, req.body.messageId);
+    const pins = await getPinnedMessages(groupId);
+
+    if (pin.changed) {
+      notifyGroup(req, groupId, 'pins-updated', {
+        groupId,
+        action: 'pinned',
+        messageId: pin.messageId,
+        userId: req.user.id,
+        pins
+      });
+    }
+
+    res.status(pin.changed ? 201 : 200).json({
+      message: pin.changed ? 'Message pinned' : 'Message already pinned',
+      pins
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error pinning message:', error);
+    res.status(500).json({ error: 'Failed to pin message' });
+  }
+});
+
+// Unpin a message (Admin and Moderators)
+router.delete('/:groupId/pins/:messageId', async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.groupId);
+    const pin = await unpinMessage(req.user, groupId, req.params.messageId);
+
+    if (!pin.changed) {
+      return res.status(404).json({ error: 'Message is not pinned' });
+    }
+
+    const pins = await getPinnedMessages(groupId);
+
+    notifyGroup(req, groupId, 'pins-updated', {
+      groupId,
+      action: 'unpinned',
+      messageId: pin.messageId,
+      userId: req.user.id,
+      pins
+    });
+
+    res.json({ message: 'Message unpinned', pins });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error unpinning message:', error);
+    res.status(500).json({ error: 'Failed to unpin message' });
+  }
+});
+
+// Moderation audit log: message edits and deletes (group admins)
+router.get('/:groupId/audit', [
+  query('before').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const limit = req.query.limit || 50;
+    const { entries, nextBefore } = await getAuditLog(req.user, req.params.groupId, {
+      before: req.query.before || null,
+      limit
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        limit,
+        nextBefore,
+        hasMore: nextBefore !== null
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Update group details (Admin and Moderators)
+router.put('/:groupId', [
+  body('name').optional().isLength({ min: 2, max: 100 }).trim(),
+  body('description').optional({ values: 'null' }).isLength({ max: 500 }).trim(),
+  body('type').optional().isIn(GROUP_TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { groupId } = req.params;
+    const { name, description, type } = req.body;
+
+    const canManage = await canAccessGroup(req.user.id, groupId, 'manage');
+    if (!canManage) {
+      return res.status(403).json({ error: 'Insufficient permissions to edit this group' });
+    }
+
+    if (name) {
+      const existingGroup = await getQuery(
+        "SELECT id FROM groups WHERE name = ? AND organization_id = ? AND id != ? AND type != 'direct'",
+        [name, req.user.organization_id, groupId]
+      );
+
+      if (existingGroup) {
+        return res.status(409).json({ error: 'Group with this name already exists' });
+      }
+    }
+
+    await runQuery(`
+      UPDATE groups
+      SET name = COALESCE(?, name),
+        description = CASE WHEN ? THEN ? ELSE description END,
+        type = COALESCE(?, type)
+      WHERE id = ?
+    `, [name || null, description !== undefined ? 1 : 0, description || null, type || null, groupId]);
+
+    const group = await getQuery(`
+      SELECT g.id, g.name, g.type, g.description, g.created_at, g.archived_at
+      FROM groups g
+      WHERE g.id = ?
+    `, [groupId]);
+
+    notifyGroup(req, groupId, 'group-updated', group);
+
+    res.json({
+      message: 'Group updated successfully',
+      group
+    });
+
+  } catch (error) {
+    console.error('Error updating group:', error);
+    res.status(500).json({ error: 'Failed to update group' });
+  }
+});
+
+// Archive a group, making it read-only (Admin and Moderators)
+router.post('/:groupId/archive', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const canManage = await canAccessGroup(req.user.id, groupId, 'manage');
+    if (!canManage) {
+      return res.status(403).json({ error: 'Insufficient permissions to archive this group' });
+    }
+
+    await runQuery(`
+      UPDATE groups SET archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP)
+      WHERE id = ?
+    `, [groupId]);
+
+    const group = await getQuery('SELECT id, archived_at FROM groups WHERE id = ?', [groupId]);
+
+    notifyGroup(req, groupId, 'group-archived', { groupId: group.id, archivedAt: group.archived_at });
+
+    res.json({
+      message: 'Group archived successfully',
+      groupId: group.id,
+      archivedAt: group.archived_at
+    });
+
+  } catch (error) {
+    console.error('Error archiving group:', error);
+    res.status(500).json({ error: 'Failed to archive group' });
+  }
+});
+
+// Restore an archived group (Admin and Moderators)
+router.post('/:groupId/unarchive', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const canManage = await canAccessGroup(req.user.id, groupId, 'manage');
+    if (!canManage) {
+      return res.status(403).json({ error: 'Insufficient permissions to unarchive this group' });
+    }
+
+    await runQuery('UPDATE groups SET archived_at = NULL WHERE id = ?', [groupId]);
+
+    notifyGroup(req, groupId, 'group-unarchived', { groupId: parseInt(groupId) });
+
+    res.json({
+      message: 'Group unarchived successfully',
+      groupId: parseInt(groupId)
+    });
+
+  } catch (error) {
+    console.error('Error unarchiving group:', error);
+    res.status(500).json({ error: 'Failed to unarchive group' });
+  }
+});
+
+// Delete a group and its conversation history (Group Admins)
+router.delete('/:groupId', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await getMembership(groupId, req.user.id);
+    const canManage = await canAccessGroup(req.user.id, groupId, 'manage');
+
+    if (!canManage || !isGroupAdmin(req.user, membership)) {
+      return res.status(403).json({ error: 'Only group admins can delete a group' });
+    }
+
+    const messageIds = 'SELECT id FROM messages WHERE group_id = ?';
+    const files = await allQuery('SELECT id, path FROM files WHERE group_id = ?', [groupId]);
+
+    // All or nothing, so a failure can't leave the group half-deleted. The
+    // audit log is kept; its entries carry their own snapshots and stay
+    // readable through GET /api/groups/audit.
+    await withTransaction(async (tx) => {
+      await tx.runQuery(`DELETE FROM message_tags WHERE message_id IN (${messageIds})`, [groupId]);
+      await tx.runQuery(`DELETE FROM message_status WHERE message_id IN (${messageIds})`, [groupId]);
+      await tx.runQuery(`DELETE FROM message_acknowledgements WHERE message_id IN (${messageIds})`, [groupId]);
+      await tx.runQuery(`DELETE FROM message_reactions WHERE message_id IN (${messageIds})`, [groupId]);
+      await tx.runQuery(`DELETE FROM message_mentions WHERE message_id IN (${messageIds})`, [groupId]);
+      await tx.runQuery(`DELETE FROM message_revisions WHERE message_id IN (${messageIds})`, [groupId]);
+      await tx.runQuery('DELETE FROM pinned_messages WHERE group_id = ?', [groupId]);
+      await tx.runQuery('DELETE FROM scheduled_messages WHERE group_id = ?', [groupId]);
+      await tx.runQuery(`DELETE FROM message_idempotency_keys WHERE message_id IN (${messageIds})`, [groupId]);
+      await tx.runQuery(`DELETE FROM tag_routing_log WHERE message_id IN (${messageIds})`, [groupId]);
+      await tx.runQuery(`UPDATE tag_routing_log SET forwarded_message_id = NULL WHERE forwarded_message_id IN (${messageIds})`, [groupId]);
+      await tx.runQuery('DELETE FROM tag_routing_rules WHERE target_group_id = ?', [groupId]);
+      await tx.runQuery(`UPDATE tasks SET message_id = NULL WHERE message_id IN (${messageIds})`, [groupId]);
+      // Form responses and attachments are only reachable through the group
+      await tx.runQuery('DELETE FROM form_responses WHERE group_id = ?', [groupId]);
+      await tx.runQuery('DELETE FROM files WHERE group_id = ?', [groupId]);
+      await tx.runQuery('DELETE FROM messages WHERE group_id = ?', [groupId]);
+      await tx.runQuery('DELETE FROM group_read_state WHERE group_id = ?', [groupId]);
+      await tx.runQuery('DELETE FROM group_members WHERE group_id = ?', [groupId]);
+      await tx.runQuery('DELETE FROM groups WHERE id = ?', [groupId]);
+    });
+
+    // Stored files go once the rows are gone for good
+    for (const file of files) {
+      fs.unlink(path.join(__dirname, '..', file.path), (err) => {
+        if (err && err.code !== 'ENOENT') console.error('Error removing group file:', err);
+      });
+    }
+
+    notifyGroup(req, groupId, 'group-deleted', { groupId: parseInt(groupId) });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.in(`group_${groupId}`).socketsLeave(`group_${groupId}`);
+    }
+
+    res.json({
+      message: 'Group deleted successfully',
+      groupId: parseInt(groupId)
+    });
+
+  } catch (error) {
+    console.error('Error deleting group:', error);
+    res.status(500).json({ error: 'Failed to delete group' });
+  }
+});
+
 // Add member to group (Admin and Moderators)
 router.post('/:groupId/members', [
   body('userId').isInt(),
-  body('role').optional().isIn(['member', 'moderator', 'admin'])
+  body('role').optional().isIn(GROUP_ROLES)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -174,16 +569,17 @@ router.post('/:groupId/members', [
     const { userId, role = 'member' } = req.body;
 
     // Check if current user can add members
-    const membership = await getQuery(`
-      SELECT gm.role
-      FROM group_members gm
-      WHERE gm.group_id = ? AND gm.user_id = ?
-    `, [groupId, req.user.id]);
+    const membership = await getMembership(groupId, req.user.id);
+    const canManage = await canAccessGroup(req.user.id, groupId, 'manage');
 
-    if (!membership || !['admin', 'moderator'].includes(membership.role)) {
+    if (!canManage) {
       return res.status(403).json({ error: 'Insufficient permissions to add members' });
     }
 
+    if (role === 'admin' && !isGroupAdmin(req.user, membership)) {
+      return res.status(403).json({ error: 'Only group admins can add admins' });
+    }
+
     // Check if target user exists and is in same organization
     const targetUser = await getQuery(
       'SELECT id, name FROM users WHERE id = ? AND organization_id = ?',
@@ -210,17 +606,183 @@ router.post('/:groupId/members', [
       VALUES (?, ?, ?)
     `, [groupId, userId, role]);
 
+    const member = {
+      id: targetUser.id,
+      name: targetUser.name,
+      groupRole: role,
+      joinedAt: new Date().toISOString()
+    };
+
+    notifyGroup(req, groupId, 'member-added', { groupId: parseInt(groupId), member });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${targetUser.id}`).emit('added-to-group', { groupId: parseInt(groupId) });
+    }
+
     res.json({
       message: 'Member added successfully',
-      member: {
-        id: targetUser.id,
-        name: targetUser.name,
-        groupRole: role,
-        joinedAt: new Date().toISOString()
-      }
+      member
     });
 
   } catch (error) {
     console.error('Error adding member:', error);
     res.status(500).json({ error: 'Failed to add member' });
   }
+});
+
+// Change a member's group role (Admin and Moderators)
+router.put('/:groupId/members/:userId', [
+  body('role').isIn(GROUP_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { groupId, userId } = req.params;
+    const { role } = req.body;
+
+    const membership = await getMembership(groupId, req.user.id);
+    const canManage = await canAccessGroup(req.user.id, groupId, 'manage');
+
+    if (!canManage) {
+      return res.status(403).json({ error: 'Insufficient permissions to change member roles' });
+    }
+
+    const targetMembership = await getMembership(groupId, userId);
+    if (!targetMembership) {
+      return res.status(404).json({ error: 'User is not a member of this group' });
+    }
+
+    // Moderators can't grant admin or change an existing admin
+    if ((role === 'admin' || targetMembership.role === 'admin') && !isGroupAdmin(req.user, membership)) {
+      return res.status(403).json({ error: 'Only group admins can change admin roles' });
+    }
+
+    await runQuery(
+      'UPDATE group_members SET role = ? WHERE group_id = ? AND user_id = ?',
+      [role, groupId, userId]
+    );
+
+    notifyGroup(req, groupId, 'member-role-changed', {
+      groupId: parseInt(groupId),
+      userId: parseInt(userId),
+      role
+    });
+
+    res.json({
+      message: 'Member role updated successfully',
+      member: {
+        id: parseInt(userId),
+        groupRole: role
+      }
+    });
+
+  } catch (error) {
+    console.error('Error changing member role:', error);
+    res.status(500).json({ error: 'Failed to change member role' });
+  }
+});
+
+// Remove a member from a group, disconnecting them from its room
+async function removeMember(req, groupId, userId) {
+  await runQuery(
+    'DELETE FROM group_members WHERE group_id = ? AND user_id = ?',
+    [groupId, userId]
+  );
+
+  notifyGroup(req, groupId, 'member-removed', {
+    groupId: parseInt(groupId),
+    userId: parseInt(userId)
+  });
+
+  const io = req.app.get('io');
+  if (io) {
+    io.in(`user_${userId}`).socketsLeave(`group_${groupId}`);
+    io.to(`user_${userId}`).emit('removed-from-group', { groupId: parseInt(groupId) });
+  }
+}
+
+// Remove member from group (Admin and Moderators)
+router.delete('/:groupId/members/:userId', async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const membership = await getMembership(groupId, req.user.id);
+    const canManage = await canAccessGroup(req.user.id, groupId, 'manage');
+
+    if (!canManage) {
+      return res.status(403).json({ error: 'Insufficient permissions to remove members' });
+    }
+
+    const targetMembership = await getMembership(groupId, userId);
+    if (!targetMembership) {
+      return res.status(404).json({ error: 'User is not a member of this group' });
+    }
+
+    if (targetMembership.role === 'admin' && !isGroupAdmin(req.user, membership)) {
+      return res.status(403).json({ error: 'Only group admins can remove admins' });
+    }
+
+    await removeMember(req, groupId, userId);
+
+    res.json({
+      message: 'Member removed successfully',
+      groupId: parseInt(groupId),
+      userId: parseInt(userId)
+    });
+
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Leave a group
+router.post('/:groupId/leave', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await getMembership(groupId, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'You are not a member of this group' });
+    }
+
+    if (membership.type === 'direct') {
+      return res.status(400).json({ error: 'Direct conversations cannot be left' });
+    }
+
+    // Don't leave a group without anyone to manage it
+    if (membership.role === 'admin') {
+      const counts = await getQuery(`
+        SELECT
+          COUNT(*) as members,
+          COUNT(CASE WHEN role = 'admin' THEN 1 END) as admins
+        FROM group_members
+        WHERE group_id = ?
+      `, [groupId]);
+
+      if (counts.admins === 1 && counts.members > 1) {
+        return res.status(409).json({ error: 'Assign another group admin before leaving' });
+      }
+    }
+
+    await removeMember(req, groupId, req.user.id);
+
+    res.json({
+      message: 'Left group successfully',
+      groupId: parseInt(groupId)
+    });
+
+  } catch (error) {
+    console.error('Error leaving group:', error);
+    res.status(500).json({ error: 'Failed to leave group' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const {
+  getMentions,
+  getUnreadMentionCount,
+  markMentionRead,
+  markMentionsRead
+} = require('../services/mentions');
+
+const router = express.Router();
+
+// Mentions inbox for the current user, newest first
+router.get('/', [
+  query('unread').optional().isBoolean().toBoolean(),
+  query('before').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const limit = req.query.limit || 50;
+    const { mentions, nextBefore } = await getMentions(req.user.id, {
+      unreadOnly: req.query.unread === true,
+      before: req.query.before || null,
+      limit
+    });
+    const unreadCount = await getUnreadMentionCount(req.user.id);
+
+    res.json({
+      mentions,
+      unreadCount,
+      pagination: {
+        limit,
+        nextBefore,
+        hasMore: nextBefore !== null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching mentions:', error);
+    res.status(500).json({ error: 'Failed to fetch mentions' });
+  }
+});
+
+// Mark all mentions read, or only those in one group
+router.post('/read', [
+  body('groupId').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const updated = await markMentionsRead(req.user.id, { groupId: req.body.groupId || null });
+    const unreadCount = await getUnreadMentionCount(req.user.id);
+
+    res.json({ message: 'Mentions marked as read', updated, unreadCount });
+
+  } catch (error) {
+    console.error('Error marking mentions read:', error);
+    res.status(500).json({ error: 'Failed to mark mentions read' });
+  }
+});
+
+// Mark a single mention read
+router.post('/:mentionId/read', async (req, res) => {
+  try {
+    const found = await markMentionRead(req.user.id, req.params.mentionId);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Mention not found' });
+    }
+
+    const unreadCount = await getUnreadMentionCount(req.user.id);
+
+    res.json({ message: 'Mention marked as read', mentionId: parseInt(req.params.mentionId), unreadCount });
+
+  } catch (error) {
+    console.error('Error marking mention read:', error);
+    res.status(500).json({ error: 'Failed to mark mention read' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,19 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { runQuery, getQuery, allQuery } = require('../config/database');
-const { requireGroupAccess, canAccessGroup } = require('../middleware/auth');
+const { requireGroupAccess, requireRole } = require('../middleware/auth');
+const { createMessage, normalizeTags, MESSAGE_TYPES, THREAD_STATS } = require('../services/messages');
+const { searchMessages, decodeCursor, SORT_ORDERS } = require('../services/search');
+const { markDelivered, markRead, getMessageReceipts } = require('../services/receipts');
+const { getThread, notifyThreadReply } = require('../services/threads');
+const { notifyAlertRecipients } = require('../services/alerts');
+const { notifyMentions } = require('../services/mentions');
+const { applyRoutingRules, getMessageRoutingLog } = require('../services/routing');
+const { editMessage, deleteMessage, getRevisions } = require('../services/revisions');
+const { getPinnedMessages } = require('../services/pins');
+const { attachReactions, addReaction, removeReaction } = require('../services/reactions');
+const { resolveTags } = require('../services/tags');
+const { TASK_PRIORITIES, createTaskFromMessage } = require('../services/tasks');
 
 const router = express.Router();
 
@@ -10,6 +22,7 @@ router.get('/group/:groupId', [
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('offset').optional().isInt({ min: 0 }),
   query('since').optional().isISO8601(),
+  query('rootsOnly').optional().isBoolean(),
   requireGroupAccess('read')
 ], async (req, res) => {
   try {
@@ -28,8 +41,9 @@ router.get('/group/:groupId', [
 
     let query = `
       SELECT 
-        m.id, m.content, m.type, m.reply_to, m.created_at, m.edited_at,
+        m.id, m.content, m.type, m.reply_to, m.created_at, m.edited_at, m.deleted_at, m.deleted_by,
         u.id as sender_id, u.name as sender_name, u.role as sender_role,
+        ${THREAD_STATS},
         GROUP_CONCAT(mt.tag_type || ':' || COALESCE(mt.tag_value, '')) as tags
       FROM messages m
       JOIN users u ON m.sender_id = u.id
@@ -39,6 +53,12 @@ router.get('/group/:groupId', [
     
     const params = [groupId];
 
+    // Thread replies can be left to the thread view
+    const rootsOnly = req.query.rootsOnly === 'true';
+    if (rootsOnly) {
+      query += ` AND m.reply_to IS NULL`;
+    }
+
     if (since) {
       query += ` AND m.created_at > ?`;
       params.push(since);
@@ -55,13 +75,17 @@ router.get('/group/:groupId', [
     const messages = await allQuery(query, params);
 
     // Process tags and format response
-    const formattedMessages = messages.map(msg => ({
+    const formattedMessages = await attachReactions(messages.map(msg => ({
       id: msg.id,
       content: msg.content,
       type: msg.type,
       replyTo: msg.reply_to,
+      replyCount: msg.reply_count,
+      lastReplyAt: msg.last_reply_at,
       timestamp: msg.created_at,
       editedAt: msg.edited_at,
+      deletedAt: msg.deleted_at,
+      deletedBy: msg.deleted_by,
       sender: {
         id: msg.sender_id,
         name: msg.sender_name,
@@ -71,24 +95,26 @@ router.get('/group/:groupId', [
         const [type, value] = tag.split(':');
         return { type, value: value || null };
       }).filter(tag => tag.type) : []
-    }));
+    })));
 
     // Get total count for pagination
     const countResult = await getQuery(
-      'SELECT COUNT(*) as total FROM messages WHERE group_id = ?',
+      `SELECT COUNT(*) as total FROM messages WHERE group_id = ?${rootsOnly ? ' AND reply_to IS NULL' : ''}`,
       [groupId]
     );
 
-    // Mark messages as read for current user
-    await runQuery(`
-      INSERT OR REPLACE INTO message_status (message_id, user_id, read_at)
-      SELECT m.id, ?, CURRENT_TIMESTAMP
-      FROM messages m
-      WHERE m.group_id = ? AND m.sender_id != ?
-    `, [req.user.id, groupId, req.user.id]);
+    // Fetched messages have been delivered; they are only read once the
+    // client reports it (mark-read)
+    await markDelivered(req.user.id, messages.map(msg => msg.id));
+
+    const readState = await getQuery(
+      'SELECT last_read_message_id FROM group_read_state WHERE group_id = ? AND user_id = ?',
+      [groupId, req.user.id]
+    );
 
     res.json({
       messages: formattedMessages.reverse(), // Return in chronological order
+      lastReadMessageId: readState ? readState.last_read_message_id : 0,
       pagination: {
         total: countResult.total,
         limit,
@@ -103,13 +129,10 @@ router.get('/group/:groupId', [
   }
 });
 
-// Send a new message
-router.post('/', [
-  body('groupId').isInt(),
-  body('content').isLength({ min: 1, max: 5000 }).trim(),
-  body('type').optional().isIn(['text', 'file', 'image', 'form']),
-  body('replyTo').optional().isInt(),
-  body('tags').optional().isArray()
+// Mark a group as read up to a message
+router.post('/group/:groupId/read', [
+  body('messageId').isInt({ min: 1 }).toInt(),
+  requireGroupAccess('read')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -120,106 +143,87 @@ router.post('/', [
       });
     }
 
-    const { groupId, content, type = 'text', replyTo, tags = [] } = req.body;
+    const groupId = parseInt(req.params.groupId);
+    const receipt = await markRead(req.user, groupId, req.body.messageId);
 
-    // Check group access
-    const hasAccess = await canAccessGroup(req.user.id, groupId, 'write');
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Access denied to this group' });
+    const io = req.app.get('io');
+    if (io && receipt.changed) {
+      io.to(`group_${groupId}`).emit('message-read', {
+        groupId,
+        messageId: receipt.lastReadMessageId,
+        userId: req.user.id,
+        readAt: receipt.readAt
+      });
     }
 
-    // Validate reply_to if provided
-    if (replyTo) {
-      const parentMessage = await getQuery(
-        'SELECT id FROM messages WHERE id = ? AND group_id = ?',
-        [replyTo, groupId]
-      );
-      if (!parentMessage) {
-        return res.status(400).json({ error: 'Invalid reply target' });
-      }
+    res.json({
+      groupId,
+      lastReadMessageId: receipt.lastReadMessageId,
+      readAt: receipt.readAt
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Error marking messages read:', error);
+    res.status(500).json({ error: 'Failed to mark messages read' });
+  }
+});
 
-    // Create message
-    const messageResult = await runQuery(`
-      INSERT INTO messages (sender_id, group_id, content, type, reply_to)
-      VALUES (?, ?, ?, ?, ?)
-    `, [req.user.id, groupId, content, type, replyTo || null]);
-
-    const messageId = messageResult.id;
-
-    // Add tags if provided
-    if (tags && tags.length > 0) {
-      for (const tag of tags) {
-        if (typeof tag === 'string') {
-          await runQuery(`
-            INSERT INTO message_tags (message_id, tag_type, created_by)
-            VALUES (?, ?, ?)
-          `, [messageId, tag, req.user.id]);
-        } else if (tag.type) {
-          await runQuery(`
-            INSERT INTO message_tags (message_id, tag_type, tag_value, created_by)
-            VALUES (?, ?, ?, ?)
-          `, [messageId, tag.type, tag.value || null, req.user.id]);
-        }
-      }
+// Send a new message
+router.post('/', [
+  body('groupId').isInt(),
+  body('content').isLength({ min: 1, max: 5000 }).trim(),
+  body('type').optional().isIn(MESSAGE_TYPES),
+  body('replyTo').optional().isInt(),
+  body('tags').optional().isArray(),
+  body('idempotencyKey').optional().isString().isLength({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
     }
 
-    // Create message status entries for all group members
-    await runQuery(`
-      INSERT INTO message_status (message_id, user_id, delivered_at, read_at)
-      SELECT ?, gm.user_id, CURRENT_TIMESTAMP, 
-        CASE WHEN gm.user_id = ? THEN CURRENT_TIMESTAMP ELSE NULL END
-      FROM group_members gm
-      WHERE gm.group_id = ?
-    `, [messageId, req.user.id, groupId]);
-
-    // Get the complete message with sender info
-    const newMessage = await getQuery(`
-      SELECT 
-        m.id, m.content, m.type, m.reply_to, m.created_at,
-        u.id as sender_id, u.name as sender_name, u.role as sender_role,
-        GROUP_CONCAT(mt.tag_type || ':' || COALESCE(mt.tag_value, '')) as tags
-      FROM messages m
-      JOIN users u ON m.sender_id = u.id
-      LEFT JOIN message_tags mt ON m.id = mt.message_id
-      WHERE m.id = ?
-      GROUP BY m.id
-    `, [messageId]);
-
-    const formattedMessage = {
-      id: newMessage.id,
-      content: newMessage.content,
-      type: newMessage.type,
-      replyTo: newMessage.reply_to,
-      timestamp: newMessage.created_at,
-      senderId: newMessage.sender_id,
-      senderName: newMessage.sender_name,
-      senderRole: newMessage.sender_role,
-      groupId: parseInt(groupId),
-      tags: newMessage.tags ? newMessage.tags.split(',').map(tag => {
-        const [type, value] = tag.split(':');
-        return value ? { type, value } : type;
-      }).filter(Boolean) : []
-    };
+    const message = await createMessage(req.user, req.body);
 
-    res.status(201).json({
-      message: 'Message sent successfully',
-      data: formattedMessage
+    if (!message.duplicate) {
+      await notifyThreadReply(req.app.get('io'), message);
+      await notifyAlertRecipients(req.app.get('io'), message);
+      await notifyMentions(req.app.get('io'), message);
+      await applyRoutingRules(req.app.get('io'), message.id, message.tags, req.user);
+    }
+
+    // A resend with a known idempotency key returns the stored message
+    res.status(message.duplicate ? 200 : 201).json({
+      message: message.duplicate ? 'Message already sent' : 'Message sent successfully',
+      data: message
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error sending message:', error);
     res.status(500).json({ error: 'Failed to send message' });
   }
 });
 
-// Search messages
+// Search messages (full-text, ranked, cursor-paginated)
 router.get('/search', [
   query('q').isLength({ min: 1, max: 100 }),
   query('groupId').optional().isInt(),
+  query('senderId').optional().isInt(),
+  query('type').optional().isIn(MESSAGE_TYPES),
   query('tags').optional(),
   query('from').optional().isISO8601(),
   query('to').optional().isISO8601(),
+  query('sort').optional().isIn(SORT_ORDERS),
+  query('cursor').optional().custom(value => decodeCursor(value) !== null),
   query('limit').optional().isInt({ min: 1, max: 50 })
 ], async (req, res) => {
   try {
@@ -231,80 +235,24 @@ router.get('/search', [
       });
     }
 
-    const { q, groupId, tags, from, to, limit = 20 } = req.query;
-
-    // Get user's accessible groups
-    const userGroups = await allQuery(`
-      SELECT gm.group_id
-      FROM group_members gm
-      WHERE gm.user_id = ?
-    `, [req.user.id]);
-
-    const groupIds = userGroups.map(g => g.group_id);
-    
-    if (groupIds.length === 0) {
-      return res.json({ messages: [], total: 0 });
-    }
-
-    let searchQuery = `
-      SELECT 
-        m.id, m.content, m.type, m.group_id, m.created_at,
-        u.name as sender_name, g.name as group_name,
-        GROUP_CONCAT(mt.tag_type) as tags
-      FROM messages m
-      JOIN users u ON m.sender_id = u.id
-      JOIN groups g ON m.group_id = g.id
-      LEFT JOIN message_tags mt ON m.id = mt.message_id
-      WHERE m.group_id IN (${groupIds.map(() => '?').join(',')})
-        AND m.content LIKE ?
-    `;
-
-    const params = [...groupIds, `%${q}%`];
-
-    // Add optional filters
-    if (groupId && groupIds.includes(parseInt(groupId))) {
-      searchQuery += ` AND m.group_id = ?`;
-      params.push(groupId);
-    }
-
-    if (tags) {
-      searchQuery += ` AND mt.tag_type IN (${tags.split(',').map(() => '?').join(',')})`;
-      params.push(...tags.split(','));
-    }
-
-    if (from) {
-      searchQuery += ` AND m.created_at >= ?`;
-      params.push(from);
-    }
-
-    if (to) {
-      searchQuery += ` AND m.created_at <= ?`;
-      params.push(to);
-    }
-
-    searchQuery += `
-      GROUP BY m.id
-      ORDER BY m.created_at DESC
-      LIMIT ?
-    `;
-    params.push(parseInt(limit));
-
-    const results = await allQuery(searchQuery, params);
-
-    const formattedResults = results.map(msg => ({
-      id: msg.id,
-      content: msg.content,
-      type: msg.type,
-      groupId: msg.group_id,
-      groupName: msg.group_name,
-      senderName: msg.sender_name,
-      timestamp: msg.created_at,
-      tags: msg.tags ? msg.tags.split(',') : []
-    }));
+    const { q, groupId, senderId, type, tags, from, to, sort, cursor } = req.query;
+
+    const results = await searchMessages(req.user, {
+      q,
+      groupId,
+      senderId,
+      type,
+      tags: tags ? tags.split(',').filter(Boolean) : [],
+      from,
+      to,
+      sort,
+      cursor,
+      limit: parseInt(req.query.limit) || 20
+    });
 
     res.json({
-      messages: formattedResults,
-      total: results.length,
+      messages: results.messages,
+      nextCursor: results.nextCursor,
       query: q
     });
 
@@ -314,7 +262,7 @@ router.get('/search', [
   }
 });
 
-// Edit a message
+// Edit a message; the previous content is kept as a revision
 router.put('/:messageId', [
   body('content').isLength({ min: 1, max: 5000 }).trim()
 ], async (req, res) => {
@@ -327,94 +275,158 @@ router.put('/:messageId', [
       });
     }
 
-    const { messageId } = req.params;
-    const { content } = req.body;
+    const edit = await editMessage(req.user, req.params.messageId, req.body.content);
+
+    if (edit.changed) {
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`group_${edit.groupId}`).emit('message-edited', {
+          messageId: edit.messageId,
+          groupId: edit.groupId,
+          content: edit.content,
+          editedAt: edit.editedAt,
+          editedBy: edit.editedBy,
+          revision: edit.revision
+        });
+      }
+    }
 
-    // Check if message exists and user can edit it
-    const message = await getQuery(`
-      SELECT m.*, gm.role as user_role
-      FROM messages m
-      JOIN group_members gm ON m.group_id = gm.group_id
-      WHERE m.id = ? AND gm.user_id = ?
-    `, [messageId, req.user.id]);
+    res.json({ 
+      message: edit.changed ? 'Message updated successfully' : 'Message unchanged',
+      messageId: edit.messageId,
+      editedAt: edit.editedAt || null,
+      revision: edit.revision || null
+    });
 
-    if (!message) {
-      return res.status(404).json({ error: 'Message not found' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Error editing message:', error);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+});
 
-    // Check permissions (own message or admin)
-    const canEdit = message.sender_id === req.user.id || 
-                   req.user.role === 'admin' || 
-                   message.user_role === 'admin';
-
-    if (!canEdit) {
-      return res.status(403).json({ error: 'Cannot edit this message' });
+// Delete a message, leaving a tombstone in the timeline
+router.delete('/:messageId', [
+  body('reason').optional().isString().isLength({ max: 500 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
     }
 
-    // Update message
-    await runQuery(`
-      UPDATE messages 
-      SET content = ?, edited_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `, [content, messageId]);
+    const deletion = await deleteMessage(req.user, req.params.messageId, req.body.reason || null);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`group_${deletion.groupId}`).emit('message-deleted', deletion);
+
+      if (deletion.unpinned) {
+        io.to(`group_${deletion.groupId}`).emit('pins-updated', {
+          groupId: deletion.groupId,
+          action: 'unpinned',
+          messageId: deletion.messageId,
+          userId: req.user.id,
+          pins: await getPinnedMessages(deletion.groupId)
+        });
+      }
+    }
 
     res.json({ 
-      message: 'Message updated successfully',
-      messageId: parseInt(messageId),
-      editedAt: new Date().toISOString()
+      message: 'Message deleted successfully',
+      messageId: deletion.messageId,
+      deletedAt: deletion.deletedAt
     });
 
   } catch (error) {
-    console.error('Error editing message:', error);
-    res.status(500).json({ error: 'Failed to edit message' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting message:', error);
+    res.status(500).json({ error: 'Failed to delete message' });
   }
 });
 
-// Delete a message
-router.delete('/:messageId', async (req, res) => {
+// Edit history of a message (group admins)
+router.get('/:messageId/revisions', async (req, res) => {
   try {
-    const { messageId } = req.params;
+    const history = await getRevisions(req.user, req.params.messageId);
+    res.json(history);
 
-    // Check if message exists and user can delete it
-    const message = await getQuery(`
-      SELECT m.*, gm.role as user_role
-      FROM messages m
-      JOIN group_members gm ON m.group_id = gm.group_id
-      WHERE m.id = ? AND gm.user_id = ?
-    `, [messageId, req.user.id]);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching message revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch message revisions' });
+  }
+});
 
-    if (!message) {
-      return res.status(404).json({ error: 'Message not found' });
+// Turn a message into a task (Admin and Field Staff). The title and
+// description default to the message content.
+router.post('/:messageId/tasks', requireRole(['admin', 'field_staff']), [
+  body('title').optional().isLength({ min: 1, max: 200 }).trim(),
+  body('description').optional().isLength({ max: 2000 }).trim(),
+  body('assigneeId').optional({ values: 'falsy' }).isInt(),
+  body('priority').optional().isIn(TASK_PRIORITIES),
+  body('dueDate').optional({ values: 'falsy' }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
     }
 
-    // Check permissions (own message or admin)
-    const canDelete = message.sender_id === req.user.id || 
-                     req.user.role === 'admin';
+    const { task, systemMessage } = await createTaskFromMessage(
+      req.app.get('io'), req.user, req.params.messageId, req.body
+    );
+
+    res.status(201).json({
+      message: 'Task created successfully',
+      task,
+      systemMessage
+    });
 
-    if (!canDelete) {
-      return res.status(403).json({ error: 'Cannot delete this message' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Error creating task from message:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
 
-    // Delete message and related data
-    await runQuery('DELETE FROM message_tags WHERE message_id = ?', [messageId]);
-    await runQuery('DELETE FROM message_status WHERE message_id = ?', [messageId]);
-    await runQuery('DELETE FROM messages WHERE id = ?', [messageId]);
+// Routing rules that fired for a message's tags
+router.get('/:messageId/routing', async (req, res) => {
+  try {
+    const entries = await getMessageRoutingLog(req.user, req.params.messageId);
 
-    res.json({ 
-      message: 'Message deleted successfully',
-      messageId: parseInt(messageId)
+    res.json({
+      messageId: parseInt(req.params.messageId),
+      entries
     });
 
   } catch (error) {
-    console.error('Error deleting message:', error);
-    res.status(500).json({ error: 'Failed to delete message' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching message routing:', error);
+    res.status(500).json({ error: 'Failed to fetch message routing' });
   }
 });
 
 // Add tags to a message
 router.post('/:messageId/tags', [
   body('tags').isArray({ min: 1 }),
-  body('tags.*').isString()
+  body('tags.*').custom(tag => typeof tag === 'string' || (tag && typeof tag.type === 'string'))
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -430,7 +442,7 @@ router.post('/:messageId/tags', [
 
     // Check if message exists and user has access
     const message = await getQuery(`
-      SELECT m.id
+      SELECT m.id, m.deleted_at
       FROM messages m
       JOIN group_members gm ON m.group_id = gm.group_id
       WHERE m.id = ? AND gm.user_id = ?
@@ -440,23 +452,35 @@ router.post('/:messageId/tags', [
       return res.status(404).json({ error: 'Message not found or access denied' });
     }
 
-    // Add tags
-    const validTags = ['urgent', 'follow-up', 'financial', 'logistics', 'medical', 'security'];
-    
-    for (const tag of tags) {
-      if (validTags.includes(tag)) {
-        // Use INSERT OR IGNORE to avoid duplicates
-        await runQuery(`
-          INSERT OR IGNORE INTO message_tags (message_id, tag_type, created_by)
-          VALUES (?, ?, ?)
-        `, [messageId, tag, req.user.id]);
-      }
+    if (message.deleted_at) {
+      return res.status(409).json({ error: 'Message has been deleted' });
+    }
+
+    // Tags must come from the organization's taxonomy
+    const resolved = await resolveTags(req.user, normalizeTags(tags));
+    if (resolved.error) {
+      return res.status(resolved.error.status).json({ error: resolved.error.message });
+    }
+
+    for (const tag of resolved.tags) {
+      // Skip tags the message already has
+      await runQuery(`
+        INSERT INTO message_tags (message_id, tag_type, tag_value, created_by)
+        SELECT ?, ?, ?, ?
+        WHERE NOT EXISTS (
+          SELECT 1 FROM message_tags WHERE message_id = ? AND tag_type = ? AND tag_value IS ?
+        )
+      `, [messageId, tag.type, tag.value, req.user.id, messageId, tag.type, tag.value]);
     }
 
+    // Rules that already fired for this message don't fire again
+    const routing = await applyRoutingRules(req.app.get('io'), messageId, resolved.tags, req.user);
+
     res.json({ 
       message: 'Tags added successfully',
       messageId: parseInt(messageId),
-      tags: tags.filter(tag => validTags.includes(tag))
+      tags: resolved.tags,
+      routing
     });
 
   } catch (error) {
@@ -465,6 +489,112 @@ router.post('/:messageId/tags', [
   }
 });
 
+// Get a message's thread: the root message and its replies
+router.get('/:messageId/thread', [
+  query('after').optional().isInt({ min: 0 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const thread = await getThread(req.user, req.params.messageId, {
+      after: parseInt(req.query.after) || 0,
+      limit
+    });
+
+    const [root, ...replies] = await attachReactions([thread.root, ...thread.replies]);
+
+    res.json({
+      root,
+      replies,
+      pagination: {
+        limit,
+        nextAfter: thread.nextAfter,
+        hasMore: thread.nextAfter !== null
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching thread:', error);
+    res.status(500).json({ error: 'Failed to fetch thread' });
+  }
+});
+
+// Send reaction changes to everyone viewing the group
+function notifyReactions(req, update) {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`group_${update.groupId}`).emit('reaction-updated', {
+      messageId: update.messageId,
+      groupId: update.groupId,
+      userId: req.user.id,
+      reactions: update.reactions
+    });
+  }
+}
+
+// Add a reaction to a message
+router.post('/:messageId/reactions', [
+  body('reaction').isString().isLength({ min: 1, max: 32 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const update = await addReaction(req.user, req.params.messageId, req.body.reaction);
+    notifyReactions(req, update);
+
+    res.status(201).json({
+      message: 'Reaction added',
+      messageId: update.messageId,
+      reactions: update.reactions
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error adding reaction:', error);
+    res.status(500).json({ error: 'Failed to add reaction' });
+  }
+});
+
+// Remove the current user's reaction from a message
+router.delete('/:messageId/reactions/:reaction', async (req, res) => {
+  try {
+    const update = await removeReaction(req.user, req.params.messageId, req.params.reaction);
+    notifyReactions(req, update);
+
+    res.json({
+      message: 'Reaction removed',
+      messageId: update.messageId,
+      reactions: update.reactions
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error removing reaction:', error);
+    res.status(500).json({ error: 'Failed to remove reaction' });
+  }
+});
+
 // Get message read status
 router.get('/:messageId/status', async (req, res) => {
   try {
@@ -482,25 +612,27 @@ router.get('/:messageId/status', async (req, res) => {
       return res.status(404).json({ error: 'Message not found or access denied' });
     }
 
-    // Get read status
-    const readStatus = await allQuery(`
-      SELECT 
-        u.id, u.name, 
-        ms.read_at, ms.delivered_at
-      FROM message_status ms
-      JOIN users u ON ms.user_id = u.id
-      WHERE ms.message_id = ?
-      ORDER BY ms.read_at DESC
-    `, [messageId]);
+    const members = await getMessageReceipts(message.id);
+
+    const formatMember = member => ({
+      userId: member.id,
+      userName: member.name,
+      readAt: member.read_at,
+      deliveredAt: member.delivered_at
+    });
+
+    const readBy = members.filter(member => member.read_at).map(formatMember);
+    const unread = members.filter(member => !member.read_at).map(formatMember);
 
     res.json({
       messageId: parseInt(messageId),
-      readBy: readStatus.map(status => ({
-        userId: status.id,
-        userName: status.name,
-        readAt: status.read_at,
-        deliveredAt: status.delivered_at
-      }))
+      readBy,
+      unread,
+      summary: {
+        recipients: members.length,
+        delivered: members.filter(member => member.delivered_at).length,
+        read: readBy.length
+      }
     });
 
   } catch (error) {
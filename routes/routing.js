@@ -0,0 +1,184 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const {
+  ROUTING_ACTIONS,
+  ROUTABLE_GROUP_TYPES,
+  getRule,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getRuleLog
+} = require('../services/routing');
+
+const router = express.Router();
+
+// Routing rules are organization configuration (Admin only)
+router.use(requireRole('admin'));
+
+// Targets are checked against the action in the service
+const ruleValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name').isLength({ min: 1, max: 100 }).trim(),
+    field('tagKey').isString().trim().toLowerCase(),
+    field('action').isIn(ROUTING_ACTIONS),
+    body('tagValue').optional({ values: 'null' }).isString().trim(),
+    body('groupType').optional({ values: 'null' }).isIn(ROUTABLE_GROUP_TYPES),
+    body('targetGroupId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('targetRole').optional({ values: 'null' }).isString(),
+    body('targetUserId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('taskPriority').optional({ values: 'null' }).isString(),
+    body('enabled').optional().isBoolean().toBoolean()
+  ];
+};
+
+// The organization's routing rules
+router.get('/', [
+  query('tagKey').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rules = await listRules(req.user.organization_id, { tagKey: req.query.tagKey });
+    res.json({ rules });
+
+  } catch (error) {
+    console.error('Error fetching routing rules:', error);
+    res.status(500).json({ error: 'Failed to fetch routing rules' });
+  }
+});
+
+// Add a rule: on tag X (optionally in group type Y), forward to a group,
+// notify a role or create a task for a user
+router.post('/', ruleValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rule = await createRule(req.user, req.body);
+
+    res.status(201).json({
+      message: 'Routing rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating routing rule:', error);
+    res.status(500).json({ error: 'Failed to create routing rule' });
+  }
+});
+
+router.get('/:ruleId', async (req, res) => {
+  try {
+    const rule = await getRule(req.user.organization_id, req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Routing rule not found' });
+    }
+
+    res.json({ rule });
+
+  } catch (error) {
+    console.error('Error fetching routing rule:', error);
+    res.status(500).json({ error: 'Failed to fetch routing rule' });
+  }
+});
+
+// Update a rule; `enabled: false` pauses it
+router.put('/:ruleId', ruleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rule = await updateRule(req.user, req.params.ruleId, req.body);
+
+    res.json({
+      message: 'Routing rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating routing rule:', error);
+    res.status(500).json({ error: 'Failed to update routing rule' });
+  }
+});
+
+router.delete('/:ruleId', async (req, res) => {
+  try {
+    const deleted = await deleteRule(req.user.organization_id, req.params.ruleId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Routing rule not found' });
+    }
+
+    res.json({
+      message: 'Routing rule deleted successfully',
+      ruleId: parseInt(req.params.ruleId)
+    });
+
+  } catch (error) {
+    console.error('Error deleting routing rule:', error);
+    res.status(500).json({ error: 'Failed to delete routing rule' });
+  }
+});
+
+// Messages a rule has fired for, newest first
+router.get('/:ruleId/log', [
+  query('before').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const entries = await getRuleLog(req.user.organization_id, req.params.ruleId, {
+      limit,
+      before: parseInt(req.query.before) || null
+    });
+
+    res.json({
+      ruleId: parseInt(req.params.ruleId),
+      entries,
+      pagination: {
+        limit,
+        hasMore: entries.length === limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching routing log:', error);
+    res.status(500).json({ error: 'Failed to fetch routing log' });
+  }
+});
+
+module.exports = router;
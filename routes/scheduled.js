@@ -0,0 +1,143 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { MESSAGE_TYPES } = require('../services/messages');
+const {
+  RECURRENCES,
+  SCHEDULE_STATUSES,
+  getScheduledMessage,
+  listScheduledMessages,
+  createScheduledMessage,
+  updateScheduledMessage,
+  cancelScheduledMessage
+} = require('../services/scheduler');
+
+const router = express.Router();
+
+// Send times may carry a UTC offset, or be a local time in `timezone`
+const scheduleValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('content').isLength({ min: 1, max: 5000 }).trim(),
+    field('sendAt').isISO8601(),
+    body('type').optional().isIn(MESSAGE_TYPES),
+    body('replyTo').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('tags').optional().isArray(),
+    body('timezone').optional().isString().isLength({ min: 1, max: 64 }),
+    body('recurrence').optional({ values: 'null' }).isIn(RECURRENCES),
+    body('endsAt').optional({ values: 'null' }).isISO8601()
+  ];
+};
+
+// The current user's scheduled messages, next due first
+router.get('/', [
+  query('status').optional().isIn(SCHEDULE_STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const scheduledMessages = await listScheduledMessages(req.user, { status: req.query.status });
+    res.json({ scheduledMessages });
+
+  } catch (error) {
+    console.error('Error fetching scheduled messages:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled messages' });
+  }
+});
+
+// Schedule a message, optionally repeating daily, on weekdays or weekly
+router.post('/', [
+  body('groupId').isInt({ min: 1 }),
+  ...scheduleValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const scheduledMessage = await createScheduledMessage(req.user, req.body);
+
+    res.status(201).json({
+      message: 'Message scheduled',
+      scheduledMessage
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error scheduling message:', error);
+    res.status(500).json({ error: 'Failed to schedule message' });
+  }
+});
+
+router.get('/:scheduledId', async (req, res) => {
+  try {
+    const scheduledMessage = await getScheduledMessage(req.user, req.params.scheduledId);
+    res.json({ scheduledMessage });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching scheduled message:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled message' });
+  }
+});
+
+// Edit a pending scheduled message
+router.put('/:scheduledId', scheduleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const scheduledMessage = await updateScheduledMessage(req.user, req.params.scheduledId, req.body);
+
+    res.json({
+      message: 'Scheduled message updated',
+      scheduledMessage
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating scheduled message:', error);
+    res.status(500).json({ error: 'Failed to update scheduled message' });
+  }
+});
+
+// Cancel a pending scheduled message
+router.delete('/:scheduledId', async (req, res) => {
+  try {
+    const scheduledMessage = await cancelScheduledMessage(req.user, req.params.scheduledId);
+
+    res.json({
+      message: 'Scheduled message cancelled',
+      scheduledMessage
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error cancelling scheduled message:', error);
+    res.status(500).json({ error: 'Failed to cancel scheduled message' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const { USER_ROLES } = require('../services/broadcasts');
+const {
+  TAG_KEY_PATTERN,
+  TAG_VALUE_PATTERN,
+  getTaxonomy,
+  getTagDefinition,
+  createTag,
+  updateTag,
+  archiveTag
+} = require('../services/tags');
+
+const router = express.Router();
+
+const tagValidators = [
+  body('label').optional().isLength({ min: 1, max: 50 }).trim(),
+  body('color').optional({ values: 'null' }).matches(/^#[0-9a-fA-F]{6}$/),
+  body('icon').optional({ values: 'null' }).isLength({ max: 8 }),
+  body('allowsValue').optional().isBoolean().toBoolean(),
+  body('allowedValues').optional({ values: 'null' }).isArray({ max: 50 }),
+  body('allowedValues.*').isString().trim().matches(TAG_VALUE_PATTERN),
+  body('allowedRoles').optional({ values: 'null' }).isArray(),
+  body('allowedRoles.*').isIn(USER_ROLES),
+  body('sortOrder').optional().isInt().toInt()
+];
+
+// The organization's tag taxonomy
+router.get('/', [
+  query('includeArchived').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const tags = await getTaxonomy(req.user.organization_id, {
+      includeArchived: req.query.includeArchived === true
+    });
+
+    res.json({ tags });
+
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Add a tag (Admin only)
+router.post('/', requireRole('admin'), [
+  body('key').isString().trim().toLowerCase().matches(TAG_KEY_PATTERN),
+  body('label').isLength({ min: 1, max: 50 }).trim(),
+  ...tagValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    if (await getTagDefinition(req.user.organization_id, req.body.key)) {
+      return res.status(409).json({ error: 'A tag with this key already exists' });
+    }
+
+    const tag = await createTag(req.user.organization_id, req.body);
+
+    res.status(201).json({
+      message: 'Tag created successfully',
+      tag
+    });
+
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+// Update a tag (Admin only)
+router.put('/:key', requireRole('admin'), [
+  ...tagValidators,
+  body('archived').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const tag = await updateTag(req.user.organization_id, req.params.key, req.body);
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({
+      message: 'Tag updated successfully',
+      tag
+    });
+
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+// Archive a tag: existing messages keep it, new messages can't use it (Admin only)
+router.delete('/:key', requireRole('admin'), async (req, res) => {
+  try {
+    const tag = await archiveTag(req.user.organization_id, req.params.key);
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({
+      message: 'Tag archived successfully',
+      tag
+    });
+
+  } catch (error) {
+    console.error('Error archiving tag:', error);
+    res.status(500).json({ error: 'Failed to archive tag' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,335 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { requireRole, canAccessGroup } = require('../middleware/auth');
+const {
+  TASK_PRIORITIES,
+  TASK_STATUSES,
+  TASK_SELECT,
+  formatTask,
+  getTask,
+  getAccessibleTask,
+  notifyTaskParticipants,
+  updateTaskStatus,
+  reassignTask
+} = require('../services/tasks');
+const { MAX_THRESHOLD_HOURS, getTaskSettings, updateTaskSettings } = require('../services/reminders');
+
+const router = express.Router();
+
+// List tasks visible to the current user
+router.get('/', [
+  query('assigneeId').optional().isInt(),
+  query('mine').optional().isBoolean(),
+  query('status').optional().isIn(TASK_STATUSES),
+  query('priority').optional().isIn(TASK_PRIORITIES),
+  query('dueBefore').optional().isISO8601(),
+  query('dueAfter').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { assigneeId, status, priority, dueBefore, dueAfter } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    let tasksQuery = `
+      ${TASK_SELECT}
+      WHERE b.organization_id = ?
+    `;
+    const params = [req.user.organization_id];
+
+    // Admins see every task in their organization unless they ask for
+    // just the ones assigned to or created by them
+    if (req.user.role !== 'admin' || req.query.mine === 'true') {
+      tasksQuery += ` AND (t.assignee_id = ? OR t.assigned_by = ?)`;
+      params.push(req.user.id, req.user.id);
+    }
+
+    if (assigneeId) {
+      tasksQuery += ` AND t.assignee_id = ?`;
+      params.push(assigneeId);
+    }
+
+    if (status) {
+      tasksQuery += ` AND t.status = ?`;
+      params.push(status);
+    }
+
+    if (priority) {
+      tasksQuery += ` AND t.priority = ?`;
+      params.push(priority);
+    }
+
+    if (dueBefore) {
+      tasksQuery += ` AND t.due_date <= ?`;
+      params.push(dueBefore);
+    }
+
+    if (dueAfter) {
+      tasksQuery += ` AND t.due_date >= ?`;
+      params.push(dueAfter);
+    }
+
+    tasksQuery += `
+      ORDER BY
+        CASE WHEN t.due_date IS NULL THEN 1 ELSE 0 END,
+        t.due_date ASC,
+        t.created_at DESC
+      LIMIT ? OFFSET ?
+    `;
+    params.push(limit, offset);
+
+    const tasks = await allQuery(tasksQuery, params);
+
+    res.json({
+      tasks: tasks.map(formatTask),
+      pagination: {
+        limit,
+        offset,
+        hasMore: tasks.length === limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// Create a task (Admin and Field Staff)
+router.post('/', requireRole(['admin', 'field_staff']), [
+  body('title').isLength({ min: 1, max: 200 }).trim(),
+  body('description').optional().isLength({ max: 2000 }).trim(),
+  body('assigneeId').optional({ values: 'falsy' }).isInt(),
+  body('priority').optional().isIn(TASK_PRIORITIES),
+  body('dueDate').optional({ values: 'falsy' }).isISO8601(),
+  body('messageId').optional({ values: 'falsy' }).isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { title, description, assigneeId, priority = 'medium', dueDate, messageId } = req.body;
+
+    // Source message must be in a group the user can read
+    if (messageId) {
+      const message = await getQuery('SELECT id, group_id FROM messages WHERE id = ?', [messageId]);
+      if (!message || !(await canAccessGroup(req.user.id, message.group_id, 'read'))) {
+        return res.status(404).json({ error: 'Message not found or access denied' });
+      }
+    }
+
+    // Assignee must be an active user in the same organization
+    if (assigneeId) {
+      const assignee = await getQuery(`
+        SELECT id FROM users
+        WHERE id = ? AND organization_id = ? AND status = 'active'
+      `, [assigneeId, req.user.organization_id]);
+
+      if (!assignee) {
+        return res.status(404).json({ error: 'Assignee not found in your organization' });
+      }
+    }
+
+    const taskResult = await runQuery(`
+      INSERT INTO tasks (message_id, title, description, assignee_id, assigned_by, priority, due_date)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [messageId || null, title, description || null, assigneeId || null, req.user.id, priority, dueDate || null]);
+
+    await runQuery(`
+      INSERT INTO task_updates (task_id, user_id, status, comment)
+      VALUES (?, ?, 'pending', 'Task created')
+    `, [taskResult.id, req.user.id]);
+
+    const task = await getTask(taskResult.id);
+    notifyTaskParticipants(req.app.get('io'), task, 'task-assigned', req.user.id);
+
+    res.status(201).json({
+      message: 'Task created successfully',
+      task
+    });
+
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+// The organization's reminder and escalation thresholds
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await getTaskSettings(req.user.organization_id);
+    res.json({ settings });
+
+  } catch (error) {
+    console.error('Error fetching task settings:', error);
+    res.status(500).json({ error: 'Failed to fetch task settings' });
+  }
+});
+
+// Change when reminders go out and which overdue tasks escalate (Admin only)
+router.put('/settings', requireRole('admin'), [
+  body('reminderLeadHours').optional().isFloat({ min: 0, max: MAX_THRESHOLD_HOURS }).toFloat(),
+  body('escalationDelayHours').optional().isFloat({ min: 0, max: MAX_THRESHOLD_HOURS }).toFloat(),
+  body('escalationPriorities').optional().isArray(),
+  body('escalationPriorities.*').isIn(TASK_PRIORITIES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const settings = await updateTaskSettings(req.user.organization_id, req.body);
+
+    res.json({
+      message: 'Task settings updated successfully',
+      settings
+    });
+
+  } catch (error) {
+    console.error('Error updating task settings:', error);
+    res.status(500).json({ error: 'Failed to update task settings' });
+  }
+});
+
+// Get task details
+router.get('/:taskId', async (req, res) => {
+  try {
+    const task = await getAccessibleTask(req.params.taskId, req.user);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found or access denied' });
+    }
+
+    res.json({ task: formatTask(task) });
+
+  } catch (error) {
+    console.error('Error fetching task:', error);
+    res.status(500).json({ error: 'Failed to fetch task' });
+  }
+});
+
+// Update task status with an optional comment. Tasks made from a message
+// post the change into that message's thread.
+router.put('/:taskId/status', [
+  body('status').isIn(TASK_STATUSES),
+  body('comment').optional().isLength({ max: 1000 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, comment } = req.body;
+    const task = await updateTaskStatus(req.app.get('io'), req.user, req.params.taskId, status, comment);
+
+    res.json({
+      message: 'Task status updated successfully',
+      task
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating task status:', error);
+    res.status(500).json({ error: 'Failed to update task status' });
+  }
+});
+
+// Reassign a task (its assigner or an admin) with an optional comment
+router.put('/:taskId/assignee', [
+  body('assigneeId').isInt({ min: 1 }).toInt(),
+  body('comment').optional().isLength({ max: 1000 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { assigneeId, comment } = req.body;
+    const task = await reassignTask(req.app.get('io'), req.user, req.params.taskId, assigneeId, comment);
+
+    res.json({
+      message: 'Task reassigned successfully',
+      task
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error reassigning task:', error);
+    res.status(500).json({ error: 'Failed to reassign task' });
+  }
+});
+
+// Get task history
+router.get('/:taskId/history', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await getAccessibleTask(taskId, req.user);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found or access denied' });
+    }
+
+    const updates = await allQuery(`
+      SELECT
+        tu.id, tu.status, tu.update_type, tu.comment, tu.created_at,
+        u.id as user_id, u.name as user_name
+      FROM task_updates tu
+      LEFT JOIN users u ON tu.user_id = u.id
+      WHERE tu.task_id = ?
+      ORDER BY tu.created_at ASC, tu.id ASC
+    `, [taskId]);
+
+    res.json({
+      taskId: parseInt(taskId),
+      history: updates.map(update => ({
+        id: update.id,
+        status: update.status,
+        type: update.update_type,
+        comment: update.comment,
+        createdAt: update.created_at,
+        user: update.user_id ? {
+          id: update.user_id,
+          name: update.user_name
+        } : null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching task history:', error);
+    res.status(500).json({ error: 'Failed to fetch task history' });
+  }
+});
+
+module.exports = router;
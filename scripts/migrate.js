@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Database migration CLI
+//
+//   node scripts/migrate.js status   Show applied and pending migrations
+//   node scripts/migrate.js up       Apply pending migrations
+
+const { db } = require('../config/database');
+const { getMigrationStatus, runMigrations } = require('../config/migrations');
+
+async function showStatus() {
+  const { migrations, unknown } = await getMigrationStatus();
+
+  for (const migration of migrations) {
+    const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`${String(migration.version).padStart(3, '0')}  ${migration.name.padEnd(40)} ${state}`);
+  }
+
+  for (const migration of unknown) {
+    console.log(`${String(migration.version).padStart(3, '0')}  ${migration.name.padEnd(40)} applied ${migration.appliedAt} (file missing)`);
+  }
+
+  const pending = migrations.filter(migration => !migration.appliedAt).length;
+  console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+}
+
+async function applyPending() {
+  const applied = await runMigrations();
+
+  if (applied.length === 0) {
+    console.log('Database is up to date');
+  } else {
+    console.log(`Applied ${applied.length} migration(s)`);
+  }
+}
+
+async function main() {
+  const command = process.argv[2] || 'status';
+
+  switch (command) {
+    case 'status':
+      return showStatus();
+    case 'up':
+      return applyPending();
+    default:
+      console.error(`Unknown command: ${command}`);
+      console.error('Usage: node scripts/migrate.js [status|up]');
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -10,11 +10,31 @@ const fs = require('fs');
 // Import routes
 const authRoutes = require('./routes/auth');
 const messageRoutes = require('./routes/messages');
+const groupRoutes = require('./routes/groups');
 const taskRoutes = require('./routes/tasks');
 const fileRoutes = require('./routes/files');
+const formRoutes = require('./routes/forms');
+const alertRoutes = require('./routes/alerts');
+const broadcastRoutes = require('./routes/broadcasts');
+const directRoutes = require('./routes/direct');
+const mentionRoutes = require('./routes/mentions');
+const scheduledRoutes = require('./routes/scheduled');
+const tagRoutes = require('./routes/tags');
+const routingRoutes = require('./routes/routing');
 
 // Import middleware
-const { authenticateToken, authenticateSocket } = require('./middleware/auth');
+const { authenticateToken, authenticateSocket, canAccessGroup } = require('./middleware/auth');
+
+// Import services
+const { createMessage } = require('./services/messages');
+const { markDelivered, markRead } = require('./services/receipts');
+const { notifyThreadReply } = require('./services/threads');
+const { notifyAlertRecipients, startAlertReminders } = require('./services/alerts');
+const { createBroadcast, deliverBroadcast, deliverQueuedBroadcasts } = require('./services/broadcasts');
+const { notifyMentions } = require('./services/mentions');
+const { applyRoutingRules } = require('./services/routing');
+const { startScheduler } = require('./services/scheduler');
+const { startTaskReminders } = require('./services/reminders');
 
 // Initialize database
 const { initDatabase } = require('./config/database');
@@ -32,6 +52,9 @@ const io = socketIo(server, {
 
 const PORT = process.env.PORT || 3000;
 
+// Let routes broadcast to connected clients via req.app.get('io')
+app.set('io', io);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -64,13 +87,21 @@ const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
-app.use('/uploads', express.static('uploads'));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/messages', authenticateToken, messageRoutes);
+app.use('/api/groups', authenticateToken, groupRoutes);
 app.use('/api/tasks', authenticateToken, taskRoutes);
-app.use('/api/files', authenticateToken, fileRoutes);
+app.use('/api/forms', authenticateToken, formRoutes);
+app.use('/api/alerts', authenticateToken, alertRoutes);
+app.use('/api/broadcasts', authenticateToken, broadcastRoutes);
+app.use('/api/direct', authenticateToken, directRoutes);
+app.use('/api/mentions', authenticateToken, mentionRoutes);
+app.use('/api/scheduled-messages', authenticateToken, scheduledRoutes);
+app.use('/api/tags', authenticateToken, tagRoutes);
+app.use('/api/routing-rules', authenticateToken, routingRoutes);
+app.use('/api/files', fileRoutes); // Authenticated per route; signed URLs carry their own check
 
 // Serve main app
 app.get('/', (req, res) => {
@@ -93,10 +124,25 @@ io.on('connection', (socket) => {
     lastSeen: new Date()
   });
 
+  // Personal room for notifications addressed to this user on any device,
+  // and a session room so revoking a session can disconnect it
+  socket.join(`user_${socket.user.id}`);
+  socket.join(`session_${socket.sessionId}`);
+
+  // Hand over broadcasts sent while this user was offline
+  deliverQueuedBroadcasts(socket).catch(error => {
+    console.error('Error delivering queued broadcasts:', error);
+  });
+
   // Join user to their groups
   socket.on('join-groups', async (groupIds) => {
     try {
       for (const groupId of groupIds) {
+        // Only members may listen to a group's room
+        if (!(await canAccessGroup(socket.user.id, groupId, 'read'))) {
+          continue;
+        }
+
         socket.join(`group_${groupId}`);
         
         // Track user rooms
@@ -110,32 +156,35 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Handle new messages
-  socket.on('send-message', async (data) => {
+  // Handle new messages. Clients may pass an acknowledgement callback, which
+  // receives { success, message } or { success: false, error, status }.
+  socket.on('send-message', async (data, ack) => {
+    const acknowledge = typeof ack === 'function' ? ack : () => {};
+
     try {
-      const { groupId, content, type = 'text', tags = [] } = data;
-      
-      // Save message to database (we'll implement this in messages route)
-      const message = {
-        id: Date.now(), // Temporary ID generation
-        senderId: socket.user.id,
-        senderName: socket.user.name,
-        groupId,
-        content,
-        type,
-        tags,
-        timestamp: new Date().toISOString()
-      };
-
-      // Broadcast to group members
-      socket.to(`group_${groupId}`).emit('new-message', message);
+      const message = await createMessage(socket.user, data);
+
+      // Resends of an already stored message were broadcast the first time
+      if (!message.duplicate) {
+        socket.to(`group_${message.groupId}`).emit('new-message', message);
+        await notifyThreadReply(io, message);
+        await notifyAlertRecipients(io, message);
+        await notifyMentions(io, message);
+        await applyRoutingRules(io, message.id, message.tags, socket.user);
+      }
       
       // Send back to sender for confirmation
       socket.emit('message-sent', message);
+      acknowledge({ success: true, message });
       
     } catch (error) {
+      if (error.status) {
+        socket.emit('message-error', { error: error.message });
+        return acknowledge({ success: false, error: error.message, status: error.status });
+      }
       console.error('Error sending message:', error);
       socket.emit('message-error', { error: 'Failed to send message' });
+      acknowledge({ success: false, error: 'Failed to send message', status: 500 });
     }
   });
 
@@ -155,13 +204,65 @@ io.on('connection', (socket) => {
     });
   });
 
-  // Handle message read receipts
-  socket.on('mark-read', (data) => {
-    socket.to(`group_${data.groupId}`).emit('message-read', {
-      messageId: data.messageId,
-      userId: socket.user.id,
-      readAt: new Date().toISOString()
-    });
+  // Send an announcement to the organization (or selected groups/roles)
+  socket.on('send-broadcast', async (data, ack) => {
+    const acknowledge = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const { broadcast, recipientIds } = await createBroadcast(socket.user, data);
+      const delivery = await deliverBroadcast(io, broadcast, recipientIds);
+
+      acknowledge({ success: true, broadcast, delivery });
+    } catch (error) {
+      if (error.status) {
+        return acknowledge({ success: false, error: error.message, status: error.status });
+      }
+      console.error('Error sending broadcast:', error);
+      acknowledge({ success: false, error: 'Failed to send broadcast', status: 500 });
+    }
+  });
+
+  // Devices report messages they received so senders can see delivery
+  socket.on('mark-delivered', async (data) => {
+    try {
+      const messageIds = Array.isArray(data && data.messageIds) ? data.messageIds : [];
+      await markDelivered(socket.user.id, messageIds.map(id => parseInt(id)));
+    } catch (error) {
+      console.error('Error marking messages delivered:', error);
+    }
+  });
+
+  // Handle message read receipts: moves the user's read watermark for the group
+  socket.on('mark-read', async (data, ack) => {
+    const acknowledge = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const groupId = parseInt(data && data.groupId);
+      const messageId = parseInt(data && data.messageId);
+
+      if (!groupId || !messageId) {
+        return acknowledge({ success: false, error: 'Group ID and message ID required', status: 400 });
+      }
+
+      const receipt = await markRead(socket.user, groupId, messageId);
+
+      if (receipt.changed) {
+        socket.to(`group_${groupId}`).emit('message-read', {
+          groupId,
+          messageId: receipt.lastReadMessageId,
+          userId: socket.user.id,
+          readAt: receipt.readAt
+        });
+      }
+
+      acknowledge({ success: true, lastReadMessageId: receipt.lastReadMessageId });
+    } catch (error) {
+      if (error.status) {
+        return acknowledge({ success: false, error: error.message, status: error.status });
+      }
+      console.error('Error marking messages read:', error);
+      acknowledge({ success: false, error: 'Failed to mark messages read', status: 500 });
+    }
   });
 
   // Handle disconnection
@@ -177,9 +278,12 @@ io.on('connection', (socket) => {
     // Clean up user rooms
     userRooms.delete(socket.user.id);
     
-    // Remove from active users after delay (in case of reconnection)
+    // Remove from active users after delay (in case of reconnection), unless
+    // they came back or still have another device connected
     setTimeout(() => {
-      activeUsers.delete(socket.user.id);
+      if (!io.sockets.adapter.rooms.has(`user_${socket.user.id}`)) {
+        activeUsers.delete(socket.user.id);
+      }
     }, 30000); // 30 second grace period
   });
 });
@@ -193,6 +297,15 @@ async function startServer() {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📱 Access your app at: http://localhost:${PORT}`);
     });
+
+    // Re-notify recipients who haven't acknowledged critical alerts
+    startAlertReminders(io);
+
+    // Send scheduled messages, including any that fell due while stopped
+    startScheduler(io);
+
+    // Remind assignees of due tasks, mark overdue ones and escalate them
+    startTaskReminders(io);
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
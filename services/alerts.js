@@ -0,0 +1,215 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { messageError, getFormattedMessage } = require('./messages');
+
+// Unacknowledged recipients are reminded every interval until they have been
+// notified MAX_RENOTIFICATIONS times, the original alert included
+const RENOTIFY_INTERVAL = parseInt(process.env.ALERT_RENOTIFY_INTERVAL) || 5 * 60; // seconds
+const MAX_RENOTIFICATIONS = parseInt(process.env.ALERT_MAX_RENOTIFICATIONS) || 12;
+const RENOTIFY_CHECK_INTERVAL = Math.min(RENOTIFY_INTERVAL, 60) * 1000;
+
+async function getAlert(messageId) {
+  return getQuery(`
+    SELECT m.id, m.group_id, m.sender_id, m.created_at
+    FROM messages m
+    WHERE m.id = ? AND m.type = 'alert'
+  `, [messageId]);
+}
+
+// The sender, group admins/moderators and organization admins may see who
+// has acknowledged an alert
+async function canViewRoster(user, alert) {
+  if (alert.sender_id === user.id) {
+    return true;
+  }
+
+  const membership = await getQuery(`
+    SELECT gm.role, g.organization_id, g.type
+    FROM groups g
+    LEFT JOIN group_members gm ON gm.group_id = g.id AND gm.user_id = ?
+    WHERE g.id = ?
+  `, [user.id, alert.group_id]);
+
+  if (!membership) {
+    return false;
+  }
+
+  // Direct conversations stay private to their participants
+  return ['admin', 'moderator'].includes(membership.role) ||
+    (user.role === 'admin' && membership.type !== 'direct' &&
+     membership.organization_id === user.organization_id);
+}
+
+function summarize(recipients) {
+  const acknowledged = recipients.filter(recipient => recipient.acknowledgedAt).length;
+  return {
+    total: recipients.length,
+    acknowledged,
+    pending: recipients.length - acknowledged
+  };
+}
+
+async function getRecipients(messageId) {
+  const rows = await allQuery(`
+    SELECT
+      ma.user_id, u.name as user_name, u.role as user_role,
+      ma.acknowledged_at, ma.notified_count, ma.last_notified_at
+    FROM message_acknowledgements ma
+    JOIN users u ON ma.user_id = u.id
+    WHERE ma.message_id = ?
+    ORDER BY ma.acknowledged_at IS NOT NULL, ma.acknowledged_at, u.name
+  `, [messageId]);
+
+  return rows.map(row => ({
+    userId: row.user_id,
+    userName: row.user_name,
+    userRole: row.user_role,
+    acknowledgedAt: row.acknowledged_at,
+    notifiedCount: row.notified_count,
+    lastNotifiedAt: row.last_notified_at
+  }));
+}
+
+// Everyone canViewRoster lets see the roster: the sender, the group's admins
+// and moderators, and organization admins unless it's a direct conversation
+async function getRosterViewerIds(alert) {
+  const rows = await allQuery(`
+    SELECT u.id
+    FROM users u
+    JOIN groups g ON g.id = ?
+    LEFT JOIN group_members gm ON gm.group_id = g.id AND gm.user_id = u.id
+    WHERE u.id = ?
+      OR gm.role IN ('admin', 'moderator')
+      OR (u.role = 'admin' AND g.type != 'direct' AND u.organization_id = g.organization_id)
+  `, [alert.group_id, alert.sender_id]);
+
+  return rows.map(row => row.id);
+}
+
+// Acknowledge an alert. Acknowledging twice keeps the first time.
+async function acknowledgeAlert(user, messageId) {
+  const alert = await getAlert(messageId);
+  const recipient = alert && await getQuery(
+    'SELECT id FROM message_acknowledgements WHERE message_id = ? AND user_id = ?',
+    [messageId, user.id]
+  );
+
+  if (!recipient) {
+    throw messageError(404, 'Alert not found or not addressed to you');
+  }
+
+  await runQuery(`
+    UPDATE message_acknowledgements
+    SET acknowledged_at = COALESCE(acknowledged_at, CURRENT_TIMESTAMP)
+    WHERE id = ?
+  `, [recipient.id]);
+
+  const recipients = await getRecipients(messageId);
+  const own = recipients.find(entry => entry.userId === user.id);
+
+  return {
+    messageId: alert.id,
+    groupId: alert.group_id,
+    senderId: alert.sender_id,
+    userId: user.id,
+    userName: user.name,
+    acknowledgedAt: own.acknowledgedAt,
+    summary: summarize(recipients),
+    rosterViewerIds: await getRosterViewerIds(alert)
+  };
+}
+
+async function getAlertRoster(user, messageId) {
+  const alert = await getAlert(messageId);
+
+  if (!alert || !(await canViewRoster(user, alert))) {
+    throw messageError(404, 'Alert not found or access denied');
+  }
+
+  const recipients = await getRecipients(messageId);
+
+  return {
+    message: await getFormattedMessage(alert.id),
+    recipients,
+    summary: summarize(recipients)
+  };
+}
+
+// Alerts the user still has to acknowledge
+async function getPendingAlerts(userId) {
+  const rows = await allQuery(`
+    SELECT ma.message_id
+    FROM message_acknowledgements ma
+    JOIN messages m ON ma.message_id = m.id
+    JOIN group_members gm ON gm.group_id = m.group_id AND gm.user_id = ma.user_id
+    WHERE ma.user_id = ? AND ma.acknowledged_at IS NULL
+    ORDER BY m.created_at DESC
+  `, [userId]);
+
+  return Promise.all(rows.map(row => getFormattedMessage(row.message_id)));
+}
+
+// Tell every recipient's devices about a new alert, whichever group they have open
+async function notifyAlertRecipients(io, message) {
+  if (!io || message.type !== 'alert') {
+    return;
+  }
+
+  const recipients = await allQuery(
+    'SELECT user_id FROM message_acknowledgements WHERE message_id = ?',
+    [message.id]
+  );
+
+  for (const recipient of recipients) {
+    io.to(`user_${recipient.user_id}`).emit('critical-alert', message);
+  }
+}
+
+// Remind recipients who haven't acknowledged within the interval
+async function renotifyPendingAlerts(io) {
+  const pending = await allQuery(`
+    SELECT ma.id, ma.message_id, ma.user_id, ma.notified_count
+    FROM message_acknowledgements ma
+    JOIN messages m ON ma.message_id = m.id
+    JOIN group_members gm ON gm.group_id = m.group_id AND gm.user_id = ma.user_id
+    WHERE ma.acknowledged_at IS NULL
+      AND ma.notified_count < ?
+      AND ma.last_notified_at <= datetime('now', ?)
+  `, [MAX_RENOTIFICATIONS, `-${RENOTIFY_INTERVAL} seconds`]);
+
+  for (const entry of pending) {
+    const message = await getFormattedMessage(entry.message_id);
+
+    io.to(`user_${entry.user_id}`).emit('alert-reminder', {
+      ...message,
+      reminder: entry.notified_count
+    });
+
+    await runQuery(`
+      UPDATE message_acknowledgements
+      SET notified_count = notified_count + 1, last_notified_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [entry.id]);
+  }
+
+  return pending.length;
+}
+
+function startAlertReminders(io) {
+  const timer = setInterval(() => {
+    renotifyPendingAlerts(io).catch(error => {
+      console.error('Error sending alert reminders:', error);
+    });
+  }, RENOTIFY_CHECK_INTERVAL);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  acknowledgeAlert,
+  getAlertRoster,
+  getPendingAlerts,
+  notifyAlertRecipients,
+  renotifyPendingAlerts,
+  startAlertReminders
+};
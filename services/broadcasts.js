@@ -0,0 +1,223 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { messageError } = require('./messages');
+
+// Roles that may broadcast (mirrors AuthAPI.canBroadcast)
+const BROADCAST_ROLES = ['admin', 'field_staff'];
+const USER_ROLES = ['admin', 'field_staff', 'volunteer'];
+const MAX_BROADCAST_LENGTH = 2000;
+
+const BROADCAST_SELECT = `
+  SELECT b.*, u.name as sender_name
+  FROM broadcasts b
+  JOIN users u ON b.sender_id = u.id
+`;
+
+function formatBroadcast(row) {
+  return {
+    id: row.id,
+    content: row.content,
+    sender: {
+      id: row.sender_id,
+      name: row.sender_name
+    },
+    targeting: {
+      groupIds: row.target_group_ids ? JSON.parse(row.target_group_ids) : null,
+      roles: row.target_roles ? JSON.parse(row.target_roles) : null
+    },
+    expiresAt: row.expires_at,
+    createdAt: row.created_at
+  };
+}
+
+function isIdList(value) {
+  return Array.isArray(value) && value.every(id => Number.isInteger(Number(id)) && Number(id) > 0);
+}
+
+// Validate raw broadcast input (socket payloads skip express-validator)
+function validateBroadcastInput(data) {
+  if (!data || typeof data !== 'object') {
+    return 'Invalid broadcast payload';
+  }
+
+  const { content, groupIds, roles, expiresAt } = data;
+
+  if (typeof content !== 'string' || content.trim().length === 0 || content.trim().length > MAX_BROADCAST_LENGTH) {
+    return `Content must be between 1 and ${MAX_BROADCAST_LENGTH} characters`;
+  }
+
+  if (groupIds !== undefined && groupIds !== null && (!isIdList(groupIds) || groupIds.length === 0)) {
+    return 'groupIds must be a non-empty list of group IDs';
+  }
+
+  if (roles !== undefined && roles !== null &&
+      (!Array.isArray(roles) || roles.length === 0 || !roles.every(role => USER_ROLES.includes(role)))) {
+    return `roles must be a non-empty list of: ${USER_ROLES.join(', ')}`;
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null &&
+      (typeof expiresAt !== 'string' || isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now())) {
+    return 'expiresAt must be a future date';
+  }
+
+  return null;
+}
+
+// Store a broadcast and its recipients: active users in the sender's
+// organization, narrowed to members of the target groups and/or the target roles
+async function createBroadcast(user, data) {
+  if (!BROADCAST_ROLES.includes(user.role)) {
+    throw messageError(403, 'Insufficient permissions to broadcast');
+  }
+
+  const validationError = validateBroadcastInput(data);
+  if (validationError) {
+    throw messageError(400, validationError);
+  }
+
+  const groupIds = data.groupIds ? [...new Set(data.groupIds.map(id => parseInt(id)))] : null;
+  const roles = data.roles ? [...new Set(data.roles)] : null;
+  const expiresAt = data.expiresAt ? new Date(data.expiresAt).toISOString() : null;
+
+  if (groupIds) {
+    const groups = await allQuery(`
+      SELECT id FROM groups
+      WHERE organization_id = ? AND type != 'direct' AND id IN (${groupIds.map(() => '?').join(',')})
+    `, [user.organization_id, ...groupIds]);
+
+    if (groups.length !== groupIds.length) {
+      throw messageError(404, 'One or more groups not found in your organization');
+    }
+  }
+
+  const result = await runQuery(`
+    INSERT INTO broadcasts (organization_id, sender_id, content, target_group_ids, target_roles, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [
+    user.organization_id,
+    user.id,
+    data.content.trim(),
+    groupIds ? JSON.stringify(groupIds) : null,
+    roles ? JSON.stringify(roles) : null,
+    expiresAt
+  ]);
+
+  let recipientsQuery = `
+    INSERT INTO broadcast_recipients (broadcast_id, user_id)
+    SELECT ?, u.id FROM users u
+    WHERE u.organization_id = ? AND u.status = 'active' AND u.id != ?
+  `;
+  const params = [result.id, user.organization_id, user.id];
+
+  if (groupIds) {
+    recipientsQuery += `
+      AND u.id IN (
+        SELECT gm.user_id FROM group_members gm
+        WHERE gm.group_id IN (${groupIds.map(() => '?').join(',')})
+      )
+    `;
+    params.push(...groupIds);
+  }
+
+  if (roles) {
+    recipientsQuery += ` AND u.role IN (${roles.map(() => '?').join(',')})`;
+    params.push(...roles);
+  }
+
+  await runQuery(recipientsQuery, params);
+
+  const recipients = await allQuery(
+    'SELECT user_id FROM broadcast_recipients WHERE broadcast_id = ?',
+    [result.id]
+  );
+
+  return {
+    broadcast: formatBroadcast(await getQuery(`${BROADCAST_SELECT} WHERE b.id = ?`, [result.id])),
+    recipientIds: recipients.map(recipient => recipient.user_id)
+  };
+}
+
+// Push a broadcast to recipients with a connected socket right now. Everyone
+// else keeps it queued until their next connection.
+async function deliverBroadcast(io, broadcast, recipientIds) {
+  const online = [];
+  for (const userId of recipientIds) {
+    const sockets = await io.in(`user_${userId}`).fetchSockets();
+    if (sockets.length > 0) {
+      online.push(userId);
+    }
+  }
+
+  for (const userId of online) {
+    io.to(`user_${userId}`).emit('broadcast', broadcast);
+  }
+
+  if (online.length > 0) {
+    await runQuery(`
+      UPDATE broadcast_recipients SET delivered_at = CURRENT_TIMESTAMP
+      WHERE broadcast_id = ? AND user_id IN (${online.map(() => '?').join(',')})
+    `, [broadcast.id, ...online]);
+  }
+
+  return { recipients: recipientIds.length, delivered: online.length };
+}
+
+// Send a connecting user every queued broadcast that is still current
+async function deliverQueuedBroadcasts(socket) {
+  const rows = await allQuery(`
+    ${BROADCAST_SELECT}
+    JOIN broadcast_recipients br ON br.broadcast_id = b.id
+    WHERE br.user_id = ? AND br.delivered_at IS NULL AND br.dismissed_at IS NULL
+      AND (b.expires_at IS NULL OR b.expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    ORDER BY b.created_at ASC
+  `, [socket.user.id]);
+
+  for (const row of rows) {
+    socket.emit('broadcast', formatBroadcast(row));
+  }
+
+  if (rows.length > 0) {
+    await runQuery(`
+      UPDATE broadcast_recipients SET delivered_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND broadcast_id IN (${rows.map(() => '?').join(',')})
+    `, [socket.user.id, ...rows.map(row => row.id)]);
+  }
+}
+
+// Current broadcasts for the user's banner: received and not dismissed,
+// plus their own so senders see what is showing
+async function getActiveBroadcasts(user) {
+  const rows = await allQuery(`
+    ${BROADCAST_SELECT}
+    LEFT JOIN broadcast_recipients br ON br.broadcast_id = b.id AND br.user_id = ?
+    WHERE b.organization_id = ?
+      AND ((br.user_id IS NOT NULL AND br.dismissed_at IS NULL) OR b.sender_id = ?)
+      AND (b.expires_at IS NULL OR b.expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    ORDER BY b.created_at DESC
+    LIMIT 20
+  `, [user.id, user.organization_id, user.id]);
+
+  return rows.map(formatBroadcast);
+}
+
+async function dismissBroadcast(user, broadcastId) {
+  const result = await runQuery(`
+    UPDATE broadcast_recipients
+    SET dismissed_at = COALESCE(dismissed_at, CURRENT_TIMESTAMP),
+      delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
+    WHERE broadcast_id = ? AND user_id = ?
+  `, [broadcastId, user.id]);
+
+  if (result.changes === 0) {
+    throw messageError(404, 'Broadcast not found');
+  }
+}
+
+module.exports = {
+  BROADCAST_ROLES,
+  USER_ROLES,
+  createBroadcast,
+  deliverBroadcast,
+  deliverQueuedBroadcasts,
+  getActiveBroadcasts,
+  dismissBroadcast
+};
@@ -0,0 +1,156 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { messageError } = require('./messages');
+
+// Conversations are groups with this type; group listings leave them out
+const DIRECT_GROUP_TYPE = 'direct';
+
+const CONVERSATION_SELECT = `
+  SELECT
+    dc.group_id, dc.created_at,
+    o.id as other_id, o.name as other_name, o.role as other_role, o.last_seen as other_last_seen,
+    (
+      SELECT COUNT(*) FROM messages m
+      WHERE m.group_id = dc.group_id AND m.sender_id != ?
+        AND m.id > COALESCE(rs.last_read_message_id, 0)
+    ) as unread_count,
+    (SELECT MAX(m.id) FROM messages m WHERE m.group_id = dc.group_id) as last_message_id
+  FROM direct_conversations dc
+  JOIN users o ON o.id = CASE WHEN dc.user_a_id = ? THEN dc.user_b_id ELSE dc.user_a_id END
+  LEFT JOIN group_read_state rs ON rs.group_id = dc.group_id AND rs.user_id = ?
+`;
+
+async function formatConversation(row) {
+  const lastMessage = row.last_message_id ? await getQuery(`
+    SELECT id, content, type, sender_id, created_at FROM messages WHERE id = ?
+  `, [row.last_message_id]) : null;
+
+  return {
+    id: row.group_id,
+    groupId: row.group_id,
+    participant: {
+      id: row.other_id,
+      name: row.other_name,
+      role: row.other_role,
+      lastSeen: row.other_last_seen
+    },
+    unreadCount: row.unread_count,
+    lastMessage: lastMessage ? {
+      id: lastMessage.id,
+      content: lastMessage.content,
+      type: lastMessage.type,
+      senderId: lastMessage.sender_id,
+      timestamp: lastMessage.created_at
+    } : null,
+    createdAt: row.created_at
+  };
+}
+
+async function getConversation(user, groupId) {
+  const row = await getQuery(`
+    ${CONVERSATION_SELECT}
+    WHERE dc.group_id = ? AND (dc.user_a_id = ? OR dc.user_b_id = ?)
+  `, [user.id, user.id, user.id, groupId, user.id, user.id]);
+
+  return row ? formatConversation(row) : null;
+}
+
+// The user's direct conversations, most recently active first
+async function listConversations(user) {
+  const rows = await allQuery(`
+    ${CONVERSATION_SELECT}
+    WHERE dc.user_a_id = ? OR dc.user_b_id = ?
+    ORDER BY COALESCE(last_message_id, 0) DESC, dc.created_at DESC
+  `, [user.id, user.id, user.id, user.id, user.id]);
+
+  return Promise.all(rows.map(formatConversation));
+}
+
+// Find the conversation between two users of the same organization, creating
+// it (a two-member 'direct' group) on first use
+async function getOrCreateConversation(user, otherUserId) {
+  if (otherUserId === user.id) {
+    throw messageError(400, 'Cannot start a conversation with yourself');
+  }
+
+  const other = await getQuery(`
+    SELECT id, name FROM users
+    WHERE id = ? AND organization_id = ? AND status = 'active'
+  `, [otherUserId, user.organization_id]);
+
+  if (!other) {
+    throw messageError(404, 'User not found in your organization');
+  }
+
+  const [userA, userB] = user.id < other.id ? [user.id, other.id] : [other.id, user.id];
+
+  const existing = await getQuery(
+    'SELECT group_id FROM direct_conversations WHERE user_a_id = ? AND user_b_id = ?',
+    [userA, userB]
+  );
+
+  if (existing) {
+    return { conversation: await getConversation(user, existing.group_id), created: false };
+  }
+
+  const groupResult = await runQuery(`
+    INSERT INTO groups (name, type, organization_id, created_by)
+    VALUES (?, ?, ?, ?)
+  `, [`${user.name} & ${other.name}`, DIRECT_GROUP_TYPE, user.organization_id, user.id]);
+
+  const claim = await runQuery(`
+    INSERT OR IGNORE INTO direct_conversations (group_id, user_a_id, user_b_id)
+    VALUES (?, ?, ?)
+  `, [groupResult.id, userA, userB]);
+
+  // Lost a race with the other user starting the same conversation
+  if (claim.changes === 0) {
+    await runQuery('DELETE FROM groups WHERE id = ?', [groupResult.id]);
+    const winner = await getQuery(
+      'SELECT group_id FROM direct_conversations WHERE user_a_id = ? AND user_b_id = ?',
+      [userA, userB]
+    );
+    return { conversation: await getConversation(user, winner.group_id), created: false };
+  }
+
+  await runQuery(`
+    INSERT INTO group_members (group_id, user_id, role)
+    VALUES (?, ?, 'member'), (?, ?, 'member')
+  `, [groupResult.id, user.id, groupResult.id, other.id]);
+
+  return { conversation: await getConversation(user, groupResult.id), created: true };
+}
+
+// Colleagues the user can start a conversation with
+async function searchDirectory(user, search, limit = 50) {
+  let directoryQuery = `
+    SELECT id, name, role, last_seen
+    FROM users
+    WHERE organization_id = ? AND status = 'active' AND id != ?
+  `;
+  const params = [user.organization_id, user.id];
+
+  if (search) {
+    directoryQuery += ` AND (name LIKE ? OR email LIKE ?)`;
+    params.push(`%${search}%`, `%${search}%`);
+  }
+
+  directoryQuery += ` ORDER BY name LIMIT ?`;
+  params.push(limit);
+
+  const users = await allQuery(directoryQuery, params);
+
+  return users.map(row => ({
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    lastSeen: row.last_seen
+  }));
+}
+
+module.exports = {
+  DIRECT_GROUP_TYPE,
+  getConversation,
+  listConversations,
+  getOrCreateConversation,
+  searchDirectory
+};
@@ -0,0 +1,164 @@
+// Form template schemas are JSON objects of the form:
+// {
+//   "fields": [
+//     { "name": "households", "label": "Households", "type": "number", "required": true, "min": 0 },
+//     { "name": "need", "label": "Main need", "type": "select", "options": ["food", "water", "shelter"] }
+//   ]
+// }
+
+const FIELD_TYPES = ['text', 'textarea', 'number', 'boolean', 'date', 'select', 'multiselect'];
+const FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+const MAX_FIELDS = 100;
+const MAX_TEXT_LENGTH = 5000;
+
+// Check a template schema, returning a list of { field, message } problems
+function validateTemplateSchema(schema) {
+  const errors = [];
+
+  if (!schema || typeof schema !== 'object' || !Array.isArray(schema.fields)) {
+    return [{ field: null, message: 'Schema must be an object with a fields array' }];
+  }
+
+  if (schema.fields.length === 0 || schema.fields.length > MAX_FIELDS) {
+    errors.push({ field: null, message: `Schema must have between 1 and ${MAX_FIELDS} fields` });
+  }
+
+  const names = new Set();
+
+  schema.fields.forEach((field, index) => {
+    const name = field && field.name;
+    const label = typeof name === 'string' ? name : `fields[${index}]`;
+
+    if (typeof name !== 'string' || !FIELD_NAME_PATTERN.test(name)) {
+      errors.push({ field: label, message: 'Field name must start with a letter and use only letters, digits and underscores' });
+      return;
+    }
+
+    if (names.has(name)) {
+      errors.push({ field: name, message: 'Duplicate field name' });
+    }
+    names.add(name);
+
+    if (!FIELD_TYPES.includes(field.type)) {
+      errors.push({ field: name, message: `Type must be one of: ${FIELD_TYPES.join(', ')}` });
+    }
+
+    if (['select', 'multiselect'].includes(field.type) &&
+        (!Array.isArray(field.options) || field.options.length === 0 ||
+         !field.options.every(option => typeof option === 'string'))) {
+      errors.push({ field: name, message: 'Select fields need a non-empty list of string options' });
+    }
+
+    if (field.type === 'number' &&
+        ((field.min !== undefined && typeof field.min !== 'number') ||
+         (field.max !== undefined && typeof field.max !== 'number'))) {
+      errors.push({ field: name, message: 'min and max must be numbers' });
+    }
+
+    if (field.maxLength !== undefined && !(Number.isInteger(field.maxLength) && field.maxLength > 0)) {
+      errors.push({ field: name, message: 'maxLength must be a positive integer' });
+    }
+  });
+
+  return errors;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function validateFieldValue(field, value) {
+  switch (field.type) {
+    case 'text':
+    case 'textarea': {
+      if (typeof value !== 'string') return 'Must be text';
+      const maxLength = field.maxLength || MAX_TEXT_LENGTH;
+      if (value.length > maxLength) return `Must be at most ${maxLength} characters`;
+      return null;
+    }
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'Must be a number';
+      if (field.min !== undefined && value < field.min) return `Must be at least ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `Must be at most ${field.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'Must be true or false';
+    case 'date':
+      return typeof value === 'string' && !isNaN(Date.parse(value)) ? null : 'Must be a valid date';
+    case 'select':
+      return field.options.includes(value) ? null : `Must be one of: ${field.options.join(', ')}`;
+    case 'multiselect':
+      if (!Array.isArray(value) || !value.every(option => field.options.includes(option))) {
+        return `Must be a list of: ${field.options.join(', ')}`;
+      }
+      return null;
+    default:
+      return 'Unsupported field type';
+  }
+}
+
+// Check submitted data against a template schema. Returns the problems found
+// and the data restricted to the schema's fields.
+function validateFormData(schema, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: [{ field: null, message: 'Data must be an object' }], values: {} };
+  }
+
+  const errors = [];
+  const values = {};
+  const fieldNames = new Set(schema.fields.map(field => field.name));
+
+  for (const key of Object.keys(data)) {
+    if (!fieldNames.has(key)) {
+      errors.push({ field: key, message: 'Unknown field' });
+    }
+  }
+
+  for (const field of schema.fields) {
+    const value = data[field.name];
+
+    if (isEmpty(value)) {
+      if (field.required) {
+        errors.push({ field: field.name, message: 'Required' });
+      }
+      continue;
+    }
+
+    const message = validateFieldValue(field, value);
+    if (message) {
+      errors.push({ field: field.name, message });
+    } else {
+      values[field.name] = value;
+    }
+  }
+
+  return { errors, values };
+}
+
+// Plain-text summary of a response, posted to the group as the form message
+function summarizeResponse(template, values) {
+  const lines = [`📝 ${template.name}`];
+
+  for (const field of template.schema.fields) {
+    if (values[field.name] === undefined) continue;
+
+    const value = Array.isArray(values[field.name])
+      ? values[field.name].join(', ')
+      : values[field.name] === true ? 'Yes'
+        : values[field.name] === false ? 'No'
+          : values[field.name];
+
+    lines.push(`${field.label || field.name}: ${value}`);
+  }
+
+  const summary = lines.join('\n');
+  return summary.length > MAX_TEXT_LENGTH ? `${summary.slice(0, MAX_TEXT_LENGTH - 1)}…` : summary;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  validateTemplateSchema,
+  validateFormData,
+  summarizeResponse
+};
@@ -0,0 +1,228 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+
+// Roles that can be mentioned as a whole, e.g. @field_staff (every user role)
+const MENTIONABLE_ROLES = ['admin', 'field_staff', 'volunteer'];
+
+// Pull @handles out of message content. A handle has to start a word,
+// so email addresses don't count; trailing punctuation is dropped.
+function extractMentions(content) {
+  const handles = new Set();
+  const pattern = /(^|[^\w@])@([A-Za-z0-9][\w.-]*)/g;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    handles.add(match[2].replace(/[.-]+$/, '').toLowerCase());
+  }
+
+  return [...handles];
+}
+
+// Handles a member answers to: their full name with spaces removed or
+// joined by _ or ., their first name, and their email's local part
+function memberHandles(member) {
+  const words = member.name.trim().toLowerCase().split(/\s+/);
+  return new Set([
+    words.join(''),
+    words.join('_'),
+    words.join('.'),
+    words[0],
+    member.email.split('@')[0].toLowerCase()
+  ]);
+}
+
+// Resolve the mentions in a new message against the group's members and
+// store them. Role mentions reach every member with that role; a name
+// shared by several members is skipped rather than guessed. The sender
+// is never notified about their own message.
+async function recordMentions(user, messageId, groupId, content) {
+  const handles = extractMentions(content);
+  if (handles.length === 0) {
+    return [];
+  }
+
+  const members = await allQuery(`
+    SELECT u.id, u.name, u.email, u.role
+    FROM group_members gm
+    JOIN users u ON gm.user_id = u.id
+    WHERE gm.group_id = ? AND u.status = 'active' AND u.id != ?
+  `, [groupId, user.id]);
+
+  const mentioned = new Map(); // userId -> { type, value }
+
+  for (const handle of handles) {
+    if (MENTIONABLE_ROLES.includes(handle)) continue;
+
+    const matches = members.filter(member => memberHandles(member).has(handle));
+    if (matches.length === 1) {
+      mentioned.set(matches[0].id, { type: 'user', value: handle });
+    }
+  }
+
+  // Direct mentions take precedence over role mentions for the same user
+  for (const handle of handles.filter(handle => MENTIONABLE_ROLES.includes(handle))) {
+    for (const member of members) {
+      if (member.role === handle && !mentioned.has(member.id)) {
+        mentioned.set(member.id, { type: 'role', value: handle });
+      }
+    }
+  }
+
+  for (const [userId, mention] of mentioned) {
+    await runQuery(`
+      INSERT OR IGNORE INTO message_mentions (message_id, user_id, mention_type, mention_value)
+      VALUES (?, ?, ?, ?)
+    `, [messageId, userId, mention.type, mention.value]);
+  }
+
+  return [...mentioned.keys()];
+}
+
+// Notify mentioned users on their personal rooms, so it reaches them
+// whichever group they are looking at
+async function notifyMentions(io, message) {
+  if (!io) {
+    return;
+  }
+
+  const mentions = await allQuery(
+    'SELECT id, user_id, mention_type, mention_value, created_at FROM message_mentions WHERE message_id = ?',
+    [message.id]
+  );
+
+  for (const mention of mentions) {
+    io.to(`user_${mention.user_id}`).emit('mention', {
+      id: mention.id,
+      mentionType: mention.mention_type,
+      mentionValue: mention.mention_value,
+      groupId: message.groupId,
+      createdAt: mention.created_at,
+      message
+    });
+  }
+}
+
+function formatMention(row) {
+  return {
+    id: row.id,
+    mentionType: row.mention_type,
+    mentionValue: row.mention_value,
+    readAt: row.read_at,
+    createdAt: row.created_at,
+    group: {
+      id: row.group_id,
+      name: row.group_name,
+      type: row.group_type
+    },
+    message: {
+      id: row.message_id,
+      content: row.content,
+      type: row.message_type,
+      replyTo: row.reply_to,
+      timestamp: row.message_created_at,
+      senderId: row.sender_id,
+      senderName: row.sender_name
+    }
+  };
+}
+
+// Mentions inbox, newest first. Only groups the user still belongs to count.
+async function getMentions(userId, { unreadOnly = false, before = null, limit = 50 } = {}) {
+  const conditions = ['mm.user_id = ?'];
+  const params = [userId];
+
+  if (unreadOnly) {
+    conditions.push('mm.read_at IS NULL');
+  }
+  if (before) {
+    conditions.push('mm.id < ?');
+    params.push(before);
+  }
+
+  const rows = await allQuery(`
+    SELECT 
+      mm.id, mm.mention_type, mm.mention_value, mm.read_at, mm.created_at,
+      m.id as message_id, m.content, m.type as message_type, m.reply_to,
+      m.created_at as message_created_at,
+      u.id as sender_id, u.name as sender_name,
+      g.id as group_id, g.name as group_name, g.type as group_type
+    FROM message_mentions mm
+    JOIN messages m ON mm.message_id = m.id
+    JOIN users u ON m.sender_id = u.id
+    JOIN groups g ON m.group_id = g.id
+    JOIN group_members gm ON gm.group_id = g.id AND gm.user_id = mm.user_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY mm.id DESC
+    LIMIT ?
+  `, [...params, limit + 1]);
+
+  const mentions = rows.slice(0, limit).map(formatMention);
+
+  return {
+    mentions,
+    nextBefore: rows.length > limit ? mentions[mentions.length - 1].id : null
+  };
+}
+
+async function getUnreadMentionCount(userId) {
+  const row = await getQuery(`
+    SELECT COUNT(*) as count
+    FROM message_mentions mm
+    JOIN messages m ON mm.message_id = m.id
+    JOIN group_members gm ON gm.group_id = m.group_id AND gm.user_id = mm.user_id
+    WHERE mm.user_id = ? AND mm.read_at IS NULL
+  `, [userId]);
+
+  return row.count;
+}
+
+// Mark one mention read. Returns false when it isn't the user's.
+async function markMentionRead(userId, mentionId) {
+  const mention = await getQuery(
+    'SELECT id FROM message_mentions WHERE id = ? AND user_id = ?',
+    [mentionId, userId]
+  );
+
+  if (!mention) {
+    return false;
+  }
+
+  await runQuery(
+    'UPDATE message_mentions SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = ?',
+    [mentionId]
+  );
+  return true;
+}
+
+// Mark all of a user's mentions read, optionally only in one group, and
+// optionally only up to a message (used when the group's read watermark moves)
+async function markMentionsRead(userId, { groupId = null, upToMessageId = null } = {}) {
+  const conditions = ['user_id = ?', 'read_at IS NULL'];
+  const params = [userId];
+
+  if (groupId) {
+    conditions.push('message_id IN (SELECT id FROM messages WHERE group_id = ?)');
+    params.push(groupId);
+  }
+  if (upToMessageId) {
+    conditions.push('message_id <= ?');
+    params.push(upToMessageId);
+  }
+
+  const result = await runQuery(`
+    UPDATE message_mentions SET read_at = CURRENT_TIMESTAMP
+    WHERE ${conditions.join(' AND ')}
+  `, params);
+
+  return result.changes;
+}
+
+module.exports = {
+  MENTIONABLE_ROLES,
+  extractMentions,
+  recordMentions,
+  notifyMentions,
+  getMentions,
+  getUnreadMentionCount,
+  markMentionRead,
+  markMentionsRead
+};
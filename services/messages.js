@@ -0,0 +1,329 @@
+const { runQuery, getQuery } = require('../config/database');
+const { canAccessGroup } = require('../middleware/auth');
+const { recordMentions } = require('./mentions');
+const { resolveTags } = require('./tags');
+
+const MESSAGE_TYPES = ['text', 'file', 'image', 'form', 'alert'];
+// Notices the app posts itself, e.g. task assignments; users can't send them
+const SYSTEM_MESSAGE_TYPE = 'system';
+// Roles that may send critical alerts (mirrors AuthAPI.canBroadcast)
+const ALERT_ROLES = ['admin', 'field_staff'];
+const MAX_CONTENT_LENGTH = 5000;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+const IDEMPOTENCY_CLAIM_TIMEOUT = 60; // seconds before an unfinished claim can be retaken
+
+// Reply count and last reply time for thread roots (m is the message)
+const THREAD_STATS = `
+  (SELECT COUNT(*) FROM messages r WHERE r.reply_to = m.id) as reply_count,
+  (SELECT MAX(r.created_at) FROM messages r WHERE r.reply_to = m.id) as last_reply_at
+`;
+
+// Error carrying the HTTP status the caller should respond with
+function messageError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isPositiveInt(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0;
+}
+
+// Validate raw message input (socket payloads skip express-validator)
+function validateMessageInput(data) {
+  if (!data || typeof data !== 'object') {
+    return 'Invalid message payload';
+  }
+
+  const { groupId, content, type = 'text', replyTo, tags = [], idempotencyKey } = data;
+
+  if (!isPositiveInt(groupId)) {
+    return 'Group ID required';
+  }
+
+  if (typeof content !== 'string' || content.trim().length === 0 || content.trim().length > MAX_CONTENT_LENGTH) {
+    return `Content must be between 1 and ${MAX_CONTENT_LENGTH} characters`;
+  }
+
+  if (!MESSAGE_TYPES.includes(type)) {
+    return 'Invalid message type';
+  }
+
+  if (replyTo !== undefined && replyTo !== null && !isPositiveInt(replyTo)) {
+    return 'Invalid reply target';
+  }
+
+  if (!Array.isArray(tags)) {
+    return 'Tags must be an array';
+  }
+
+  if (idempotencyKey !== undefined && idempotencyKey !== null &&
+      (typeof idempotencyKey !== 'string' || idempotencyKey.length === 0 ||
+       idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+    return 'Invalid idempotency key';
+  }
+
+  return null;
+}
+
+// Normalize tags to { type, value } pairs, dropping anything unusable
+function normalizeTags(tags = []) {
+  return tags
+    .map(tag => {
+      if (typeof tag === 'string') {
+        return { type: tag, value: null };
+      }
+      if (tag && typeof tag.type === 'string') {
+        return { type: tag.type, value: tag.value || null };
+      }
+      return null;
+    })
+    .filter(tag => tag && tag.type.trim().length > 0);
+}
+
+// Format a message row (with GROUP_CONCAT tags) for API and socket clients
+function formatMessage(row) {
+  return {
+    id: row.id,
+    content: row.content,
+    type: row.type,
+    replyTo: row.reply_to,
+    timestamp: row.created_at,
+    senderId: row.sender_id,
+    senderName: row.sender_name,
+    senderRole: row.sender_role,
+    groupId: row.group_id,
+    editedAt: row.edited_at || null,
+    deletedAt: row.deleted_at || null,
+    deletedBy: row.deleted_by || null,
+    replyCount: row.reply_count || 0,
+    lastReplyAt: row.last_reply_at || null,
+    tags: row.tags ? row.tags.split(',').map(tag => {
+      const [type, value] = tag.split(':');
+      return value ? { type, value } : type;
+    }).filter(Boolean) : []
+  };
+}
+
+async function getFormattedMessage(messageId) {
+  const row = await getQuery(`
+    SELECT 
+      m.id, m.content, m.type, m.reply_to, m.group_id, m.created_at,
+      m.edited_at, m.deleted_at, m.deleted_by,
+      u.id as sender_id, u.name as sender_name, u.role as sender_role,
+      ${THREAD_STATS},
+      GROUP_CONCAT(mt.tag_type || ':' || COALESCE(mt.tag_value, '')) as tags
+    FROM messages m
+    JOIN users u ON m.sender_id = u.id
+    LEFT JOIN message_tags mt ON m.id = mt.message_id
+    WHERE m.id = ?
+    GROUP BY m.id
+  `, [messageId]);
+
+  return row ? formatMessage(row) : null;
+}
+
+// Claim an idempotency key for a user. Returns the already-stored message
+// when the key was used before, or null when the caller should create it.
+async function claimIdempotencyKey(userId, idempotencyKey) {
+  const claim = await runQuery(`
+    INSERT OR IGNORE INTO message_idempotency_keys (user_id, idempotency_key)
+    VALUES (?, ?)
+  `, [userId, idempotencyKey]);
+
+  if (claim.changes > 0) {
+    return null;
+  }
+
+  const existing = await getQuery(`
+    SELECT message_id FROM message_idempotency_keys
+    WHERE user_id = ? AND idempotency_key = ?
+  `, [userId, idempotencyKey]);
+
+  if (!existing || !existing.message_id) {
+    // A claim that never got its message (the process died mid-send) is
+    // taken over once it is old enough, or resends would conflict forever
+    const reclaim = await runQuery(`
+      UPDATE message_idempotency_keys SET created_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND idempotency_key = ? AND message_id IS NULL
+        AND created_at <= datetime('now', ?)
+    `, [userId, idempotencyKey, `-${IDEMPOTENCY_CLAIM_TIMEOUT} seconds`]);
+
+    if (reclaim.changes > 0) {
+      return null;
+    }
+
+    throw messageError(409, 'Message with this idempotency key is still being processed');
+  }
+
+  return getFormattedMessage(existing.message_id);
+}
+
+async function insertMessage(user, { groupId, content, type, replyTo, tags }) {
+  // Check group access
+  const hasAccess = await canAccessGroup(user.id, groupId, 'write');
+  if (!hasAccess) {
+    throw messageError(403, 'Access denied to this group');
+  }
+
+  if (type === 'alert' && !ALERT_ROLES.includes(user.role)) {
+    throw messageError(403, 'Insufficient permissions to send alerts');
+  }
+
+  // Tags must come from the organization's taxonomy
+  const resolved = await resolveTags(user, tags);
+  if (resolved.error) {
+    throw messageError(resolved.error.status, resolved.error.message);
+  }
+
+  // Validate reply_to if provided. Threads are one level deep, so replying
+  // to a reply joins the thread of its root message.
+  let threadRootId = null;
+  if (replyTo) {
+    const parentMessage = await getQuery(
+      'SELECT id, reply_to FROM messages WHERE id = ? AND group_id = ?',
+      [replyTo, groupId]
+    );
+    if (!parentMessage) {
+      throw messageError(400, 'Invalid reply target');
+    }
+    threadRootId = parentMessage.reply_to || parentMessage.id;
+  }
+
+  // Create message
+  const messageResult = await runQuery(`
+    INSERT INTO messages (sender_id, group_id, content, type, reply_to)
+    VALUES (?, ?, ?, ?, ?)
+  `, [user.id, groupId, content, type, threadRootId]);
+
+  const messageId = messageResult.id;
+
+  // Add tags if provided
+  for (const tag of resolved.tags) {
+    await runQuery(`
+      INSERT INTO message_tags (message_id, tag_type, tag_value, created_by)
+      VALUES (?, ?, ?, ?)
+    `, [messageId, tag.type, tag.value, user.id]);
+  }
+
+  // Create message status entries for all group members; recipients are
+  // marked delivered once a device reports receiving it
+  await runQuery(`
+    INSERT INTO message_status (message_id, user_id, delivered_at, read_at)
+    SELECT ?, gm.user_id,
+      CASE WHEN gm.user_id = ? THEN CURRENT_TIMESTAMP ELSE NULL END,
+      CASE WHEN gm.user_id = ? THEN CURRENT_TIMESTAMP ELSE NULL END
+    FROM group_members gm
+    WHERE gm.group_id = ?
+  `, [messageId, user.id, user.id, groupId]);
+
+  // Every other member has to acknowledge a critical alert
+  if (type === 'alert') {
+    await runQuery(`
+      INSERT INTO message_acknowledgements (message_id, user_id)
+      SELECT ?, gm.user_id
+      FROM group_members gm
+      WHERE gm.group_id = ? AND gm.user_id != ?
+    `, [messageId, groupId, user.id]);
+  }
+
+  await recordMentions(user, messageId, groupId, content);
+
+  return messageId;
+}
+
+// Create a message for a user: shared by POST /api/messages and the socket.
+// Resending with the same idempotency key returns the original message
+// flagged with `duplicate: true` instead of storing it twice.
+async function createMessage(user, data) {
+  const validationError = validateMessageInput(data);
+  if (validationError) {
+    throw messageError(400, validationError);
+  }
+
+  const input = {
+    groupId: parseInt(data.groupId),
+    content: data.content.trim(),
+    type: data.type || 'text',
+    replyTo: data.replyTo ? parseInt(data.replyTo) : null,
+    tags: normalizeTags(data.tags)
+  };
+  const idempotencyKey = data.idempotencyKey || null;
+
+  if (idempotencyKey) {
+    const existing = await claimIdempotencyKey(user.id, idempotencyKey);
+    if (existing) {
+      return { ...existing, idempotencyKey, duplicate: true };
+    }
+  }
+
+  let messageId;
+  try {
+    messageId = await insertMessage(user, input);
+  } catch (error) {
+    // Release the key so the client can retry
+    if (idempotencyKey) {
+      await runQuery(`
+        DELETE FROM message_idempotency_keys
+        WHERE user_id = ? AND idempotency_key = ? AND message_id IS NULL
+      `, [user.id, idempotencyKey]);
+    }
+    throw error;
+  }
+
+  if (idempotencyKey) {
+    await runQuery(`
+      UPDATE message_idempotency_keys SET message_id = ?
+      WHERE user_id = ? AND idempotency_key = ?
+    `, [messageId, user.id, idempotencyKey]);
+  }
+
+  const message = await getFormattedMessage(messageId);
+  return idempotencyKey ? { ...message, idempotencyKey } : message;
+}
+
+// Post a system notice into a group on a user's behalf. It skips the checks
+// on user input: the author needn't be a member, and it has no tags or
+// mentions. Replies to a reply join the root's thread.
+async function createSystemMessage(senderId, groupId, content, replyTo = null) {
+  let threadRootId = null;
+  if (replyTo) {
+    const parentMessage = await getQuery(
+      'SELECT id, reply_to FROM messages WHERE id = ? AND group_id = ?',
+      [replyTo, groupId]
+    );
+    threadRootId = parentMessage ? parentMessage.reply_to || parentMessage.id : null;
+  }
+
+  const messageResult = await runQuery(`
+    INSERT INTO messages (sender_id, group_id, content, type, reply_to)
+    VALUES (?, ?, ?, ?, ?)
+  `, [senderId, groupId, content.slice(0, MAX_CONTENT_LENGTH), SYSTEM_MESSAGE_TYPE, threadRootId]);
+
+  await runQuery(`
+    INSERT INTO message_status (message_id, user_id, delivered_at, read_at)
+    SELECT ?, gm.user_id,
+      CASE WHEN gm.user_id = ? THEN CURRENT_TIMESTAMP ELSE NULL END,
+      CASE WHEN gm.user_id = ? THEN CURRENT_TIMESTAMP ELSE NULL END
+    FROM group_members gm
+    WHERE gm.group_id = ?
+  `, [messageResult.id, senderId, senderId, groupId]);
+
+  return getFormattedMessage(messageResult.id);
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  SYSTEM_MESSAGE_TYPE,
+  MAX_CONTENT_LENGTH,
+  ALERT_ROLES,
+  THREAD_STATS,
+  messageError,
+  validateMessageInput,
+  normalizeTags,
+  formatMessage,
+  getFormattedMessage,
+  createMessage,
+  createSystemMessage
+};
@@ -0,0 +1,102 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { canAccessGroup } = require('../middleware/auth');
+const { messageError } = require('./messages');
+
+const MAX_PINS_PER_GROUP = 25;
+
+// Pinned messages of a group, most recently pinned first
+async function getPinnedMessages(groupId) {
+  const rows = await allQuery(`
+    SELECT 
+      p.message_id, p.pinned_at,
+      m.content, m.type, m.created_at,
+      sender.id as sender_id, sender.name as sender_name,
+      pinner.id as pinned_by_id, pinner.name as pinned_by_name
+    FROM pinned_messages p
+    JOIN messages m ON p.message_id = m.id
+    JOIN users sender ON m.sender_id = sender.id
+    JOIN users pinner ON p.pinned_by = pinner.id
+    WHERE p.group_id = ?
+    ORDER BY p.pinned_at DESC, p.message_id DESC
+  `, [groupId]);
+
+  return rows.map(row => ({
+    messageId: row.message_id,
+    content: row.content,
+    type: row.type,
+    timestamp: row.created_at,
+    sender: { id: row.sender_id, name: row.sender_name },
+    pinnedBy: { id: row.pinned_by_id, name: row.pinned_by_name },
+    pinnedAt: row.pinned_at
+  }));
+}
+
+// Group admins and moderators (and organization admins) manage pins
+async function getPinnableMessage(user, groupId, messageId) {
+  if (!(await canAccessGroup(user.id, groupId, 'read'))) {
+    throw messageError(403, 'Access denied to this group');
+  }
+
+  if (!(await canAccessGroup(user.id, groupId, 'manage'))) {
+    throw messageError(403, 'Only group admins and moderators can pin messages');
+  }
+
+  const message = await getQuery(
+    'SELECT id, group_id, deleted_at FROM messages WHERE id = ? AND group_id = ?',
+    [messageId, groupId]
+  );
+
+  if (!message) {
+    throw messageError(404, 'Message not found');
+  }
+
+  return message;
+}
+
+async function pinMessage(user, groupId, messageId) {
+  const message = await getPinnableMessage(user, groupId, messageId);
+
+  if (message.deleted_at) {
+    throw messageError(409, 'Deleted messages cannot be pinned');
+  }
+
+  const existing = await getQuery('SELECT message_id FROM pinned_messages WHERE message_id = ?', [message.id]);
+  if (existing) {
+    return { messageId: message.id, changed: false };
+  }
+
+  const count = await getQuery(
+    'SELECT COUNT(*) as count FROM pinned_messages WHERE group_id = ?',
+    [groupId]
+  );
+
+  if (count.count >= MAX_PINS_PER_GROUP) {
+    throw messageError(409, `A group can have at most ${MAX_PINS_PER_GROUP} pinned messages`);
+  }
+
+  // Another moderator may have pinned it in the meantime
+  const result = await runQuery(`
+    INSERT OR IGNORE INTO pinned_messages (message_id, group_id, pinned_by)
+    VALUES (?, ?, ?)
+  `, [message.id, groupId, user.id]);
+
+  return { messageId: message.id, changed: result.changes > 0 };
+}
+
+async function unpinMessage(user, groupId, messageId) {
+  const message = await getPinnableMessage(user, groupId, messageId);
+
+  const result = await runQuery(
+    'DELETE FROM pinned_messages WHERE message_id = ? AND group_id = ?',
+    [message.id, groupId]
+  );
+
+  return { messageId: message.id, changed: result.changes > 0 };
+}
+
+module.exports = {
+  MAX_PINS_PER_GROUP,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage
+};
@@ -0,0 +1,119 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { canAccessGroup } = require('../middleware/auth');
+const { messageError } = require('./messages');
+
+const MAX_REACTION_LENGTH = 32;
+const MAX_REACTIONS_PER_USER = 20;
+
+// A reaction is an emoji or a short status like "✅ Done"; markup and
+// control characters are rejected
+function isValidReaction(reaction) {
+  return typeof reaction === 'string' &&
+    reaction.trim().length > 0 &&
+    reaction.length <= MAX_REACTION_LENGTH &&
+    !/[<>\u0000-\u001f\u007f]/.test(reaction);
+}
+
+async function getReactableMessage(user, messageId) {
+  const message = await getQuery('SELECT id, group_id, deleted_at FROM messages WHERE id = ?', [messageId]);
+
+  if (!message || !(await canAccessGroup(user.id, message.group_id, 'read'))) {
+    throw messageError(404, 'Message not found or access denied');
+  }
+
+  if (message.deleted_at) {
+    throw messageError(409, 'Message has been deleted');
+  }
+
+  if (!(await canAccessGroup(user.id, message.group_id, 'write'))) {
+    throw messageError(403, 'Cannot react to messages in this group');
+  }
+
+  return message;
+}
+
+// Reactions grouped by reaction for each message id:
+// { [messageId]: [{ reaction, count, users: [{ id, name }] }] }
+async function getReactionSummaries(messageIds) {
+  const summaries = {};
+  if (messageIds.length === 0) {
+    return summaries;
+  }
+
+  const rows = await allQuery(`
+    SELECT mr.message_id, mr.reaction, u.id as user_id, u.name as user_name
+    FROM message_reactions mr
+    JOIN users u ON mr.user_id = u.id
+    WHERE mr.message_id IN (${messageIds.map(() => '?').join(',')})
+    ORDER BY mr.message_id, mr.created_at, mr.id
+  `, messageIds);
+
+  for (const row of rows) {
+    const reactions = summaries[row.message_id] || (summaries[row.message_id] = []);
+    let entry = reactions.find(item => item.reaction === row.reaction);
+
+    if (!entry) {
+      entry = { reaction: row.reaction, count: 0, users: [] };
+      reactions.push(entry);
+    }
+
+    entry.count += 1;
+    entry.users.push({ id: row.user_id, name: row.user_name });
+  }
+
+  return summaries;
+}
+
+// Add each message's reaction summary as `reactions`
+async function attachReactions(messages) {
+  const summaries = await getReactionSummaries(messages.map(message => message.id));
+
+  return messages.map(message => ({
+    ...message,
+    reactions: summaries[message.id] || []
+  }));
+}
+
+async function addReaction(user, messageId, reaction) {
+  if (!isValidReaction(reaction)) {
+    throw messageError(400, `Reaction must be 1-${MAX_REACTION_LENGTH} characters`);
+  }
+
+  const message = await getReactableMessage(user, messageId);
+
+  const count = await getQuery(
+    'SELECT COUNT(*) as total FROM message_reactions WHERE message_id = ? AND user_id = ?',
+    [message.id, user.id]
+  );
+
+  if (count.total >= MAX_REACTIONS_PER_USER) {
+    throw messageError(400, `At most ${MAX_REACTIONS_PER_USER} reactions per message`);
+  }
+
+  await runQuery(`
+    INSERT OR IGNORE INTO message_reactions (message_id, user_id, reaction)
+    VALUES (?, ?, ?)
+  `, [message.id, user.id, reaction.trim()]);
+
+  const summaries = await getReactionSummaries([message.id]);
+  return { messageId: message.id, groupId: message.group_id, reactions: summaries[message.id] || [] };
+}
+
+async function removeReaction(user, messageId, reaction) {
+  const message = await getReactableMessage(user, messageId);
+
+  await runQuery(
+    'DELETE FROM message_reactions WHERE message_id = ? AND user_id = ? AND reaction = ?',
+    [message.id, user.id, reaction]
+  );
+
+  const summaries = await getReactionSummaries([message.id]);
+  return { messageId: message.id, groupId: message.group_id, reactions: summaries[message.id] || [] };
+}
+
+module.exports = {
+  getReactionSummaries,
+  attachReactions,
+  addReaction,
+  removeReaction
+};
@@ -0,0 +1,118 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { canAccessGroup } = require('../middleware/auth');
+const { messageError } = require('./messages');
+const { markMentionsRead } = require('./mentions');
+
+const MAX_DELIVERY_BATCH = 100;
+
+// Record that messages reached one of the user's devices. Only messages in
+// the user's groups that they didn't send are recorded; the first delivery
+// time is kept.
+async function markDelivered(userId, messageIds) {
+  const ids = [...new Set(messageIds)]
+    .filter(id => Number.isInteger(id) && id > 0)
+    .slice(0, MAX_DELIVERY_BATCH);
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const result = await runQuery(`
+    INSERT INTO message_status (message_id, user_id, delivered_at)
+    SELECT m.id, ?, CURRENT_TIMESTAMP
+    FROM messages m
+    JOIN group_members gm ON gm.group_id = m.group_id AND gm.user_id = ?
+    WHERE m.id IN (${ids.map(() => '?').join(',')}) AND m.sender_id != ?
+    ON CONFLICT (message_id, user_id) DO UPDATE
+      SET delivered_at = COALESCE(message_status.delivered_at, excluded.delivered_at)
+  `, [userId, userId, ...ids, userId]);
+
+  return result.changes;
+}
+
+// Move the user's read watermark for a group up to a message, marking every
+// message up to it as read (and delivered). The watermark never moves back.
+async function markRead(user, groupId, messageId) {
+  const message = await getQuery(
+    'SELECT id FROM messages WHERE id = ? AND group_id = ?',
+    [messageId, groupId]
+  );
+
+  if (!message || !(await canAccessGroup(user.id, groupId, 'read'))) {
+    throw messageError(404, 'Message not found or access denied');
+  }
+
+  const state = await getQuery(
+    'SELECT last_read_message_id, last_read_at FROM group_read_state WHERE group_id = ? AND user_id = ?',
+    [groupId, user.id]
+  );
+  const previous = state ? state.last_read_message_id : 0;
+
+  if (previous >= messageId) {
+    return {
+      groupId,
+      userId: user.id,
+      lastReadMessageId: previous,
+      readAt: state.last_read_at,
+      changed: false
+    };
+  }
+
+  await runQuery(`
+    INSERT INTO message_status (message_id, user_id, delivered_at, read_at)
+    SELECT m.id, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+    FROM messages m
+    WHERE m.group_id = ? AND m.id > ? AND m.id <= ? AND m.sender_id != ?
+    ON CONFLICT (message_id, user_id) DO UPDATE
+      SET delivered_at = COALESCE(message_status.delivered_at, excluded.delivered_at),
+        read_at = COALESCE(message_status.read_at, excluded.read_at)
+  `, [user.id, groupId, previous, messageId, user.id]);
+
+  await runQuery(`
+    INSERT INTO group_read_state (group_id, user_id, last_read_message_id, last_read_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT (group_id, user_id) DO UPDATE
+      SET last_read_message_id = MAX(group_read_state.last_read_message_id, excluded.last_read_message_id),
+        last_read_at = excluded.last_read_at
+  `, [groupId, user.id, messageId]);
+
+  // Mentions up to the watermark have been seen in the group
+  await markMentionsRead(user.id, { groupId, upToMessageId: messageId });
+
+  const updated = await getQuery(
+    'SELECT last_read_message_id, last_read_at FROM group_read_state WHERE group_id = ? AND user_id = ?',
+    [groupId, user.id]
+  );
+
+  return {
+    groupId,
+    userId: user.id,
+    lastReadMessageId: updated.last_read_message_id,
+    readAt: updated.last_read_at,
+    changed: true
+  };
+}
+
+// Delivery and read state of a message for every current group member
+// except its sender
+async function getMessageReceipts(messageId) {
+  const message = await getQuery(
+    'SELECT id, group_id, sender_id FROM messages WHERE id = ?',
+    [messageId]
+  );
+
+  return allQuery(`
+    SELECT u.id, u.name, ms.delivered_at, ms.read_at
+    FROM group_members gm
+    JOIN users u ON gm.user_id = u.id
+    LEFT JOIN message_status ms ON ms.message_id = ? AND ms.user_id = gm.user_id
+    WHERE gm.group_id = ? AND gm.user_id != ?
+    ORDER BY ms.read_at DESC, u.name
+  `, [message.id, message.group_id, message.sender_id]);
+}
+
+module.exports = {
+  markDelivered,
+  markRead,
+  getMessageReceipts
+};
@@ -0,0 +1,218 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { TASK_PRIORITIES, TASK_SELECT, formatTask, getTask } = require('./tasks');
+
+const REMINDER_INTERVAL = (parseInt(process.env.TASK_REMINDER_INTERVAL) || 60) * 1000; // seconds
+const OPEN_STATUSES = "('pending', 'in_progress')";
+
+// Per-organization thresholds, kept under `tasks` in organizations.settings
+const TASK_SETTING_DEFAULTS = {
+  reminderLeadHours: 24, // 0 turns reminders off
+  escalationDelayHours: 0, // how long a task is overdue before escalating
+  escalationPriorities: ['high', 'urgent']
+};
+const MAX_THRESHOLD_HOURS = 24 * 30;
+
+function parseSettings(value) {
+  try {
+    return JSON.parse(value || '{}') || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function taskSettingsFrom(organizationSettings) {
+  return { ...TASK_SETTING_DEFAULTS, ...(parseSettings(organizationSettings).tasks || {}) };
+}
+
+async function getTaskSettings(organizationId) {
+  const organization = await getQuery('SELECT settings FROM organizations WHERE id = ?', [organizationId]);
+  return taskSettingsFrom(organization ? organization.settings : null);
+}
+
+// Update the thresholds; fields left out keep their values and the
+// organization's other settings are untouched
+async function updateTaskSettings(organizationId, data) {
+  const organization = await getQuery('SELECT settings FROM organizations WHERE id = ?', [organizationId]);
+  const settings = parseSettings(organization ? organization.settings : null);
+  const tasks = taskSettingsFrom(organization ? organization.settings : null);
+
+  for (const field of Object.keys(TASK_SETTING_DEFAULTS)) {
+    if (data[field] !== undefined) {
+      tasks[field] = data[field];
+    }
+  }
+
+  await runQuery(
+    'UPDATE organizations SET settings = ? WHERE id = ?',
+    [JSON.stringify({ ...settings, tasks }), organizationId]
+  );
+
+  return tasks;
+}
+
+// Reminders and escalations are written by the system, so they carry no user
+async function recordTaskUpdate(task, type, comment) {
+  await runQuery(`
+    INSERT INTO task_updates (task_id, user_id, status, comment, update_type)
+    VALUES (?, NULL, ?, ?, ?)
+  `, [task.id, task.status, comment, type]);
+}
+
+// Set one of the once-only timestamps; false if another run got there first
+async function claimStep(taskId, column) {
+  const result = await runQuery(
+    `UPDATE tasks SET ${column} = CURRENT_TIMESTAMP WHERE id = ? AND ${column} IS NULL`,
+    [taskId]
+  );
+  return result.changes > 0;
+}
+
+// Open tasks of an organization matching a condition on t (the task)
+async function findOpenTasks(organizationId, condition, params = []) {
+  const rows = await allQuery(`
+    ${TASK_SELECT}
+    WHERE b.organization_id = ? AND t.status IN ${OPEN_STATUSES}
+      AND t.due_date IS NOT NULL AND ${condition}
+    ORDER BY t.due_date ASC
+  `, [organizationId, ...params]);
+
+  return rows.map(formatTask);
+}
+
+// Assignees hear about tasks coming due within the lead time
+async function sendReminders(io, organizationId, settings) {
+  if (!settings.reminderLeadHours) {
+    return 0;
+  }
+
+  const tasks = await findOpenTasks(organizationId, `
+    t.assignee_id IS NOT NULL AND t.reminder_sent_at IS NULL
+    AND julianday(t.due_date) > julianday('now')
+    AND julianday(t.due_date) <= julianday('now', ?)
+  `, [`+${settings.reminderLeadHours} hours`]);
+
+  for (const task of tasks) {
+    if (!(await claimStep(task.id, 'reminder_sent_at'))) continue;
+
+    await recordTaskUpdate(task, 'reminder', `Reminder sent to ${task.assignee.name}: due ${task.dueDate}`);
+    if (io) {
+      io.to(`user_${task.assignee.id}`).emit('task-reminder', { task: await getTask(task.id) });
+    }
+  }
+
+  return tasks.length;
+}
+
+// Tasks past their due date are marked overdue and both sides are told
+async function markOverdue(io, organizationId) {
+  const tasks = await findOpenTasks(organizationId, `
+    t.overdue_at IS NULL AND julianday(t.due_date) <= julianday('now')
+  `);
+
+  for (const task of tasks) {
+    if (!(await claimStep(task.id, 'overdue_at'))) continue;
+
+    await recordTaskUpdate(task, 'overdue', `Task is overdue: was due ${task.dueDate}`);
+    if (io) {
+      const overdueTask = await getTask(task.id);
+      const userIds = new Set([task.assignee && task.assignee.id, task.assignedBy.id]);
+      for (const userId of userIds) {
+        if (userId) {
+          io.to(`user_${userId}`).emit('task-overdue', { task: overdueTask });
+        }
+      }
+    }
+  }
+
+  return tasks.length;
+}
+
+// Overdue tasks of the configured priorities go to whoever assigned them and
+// the admins of the group they came from, once the escalation delay passes
+async function escalateOverdue(io, organizationId, settings) {
+  const priorities = settings.escalationPriorities.filter(priority => TASK_PRIORITIES.includes(priority));
+  if (priorities.length === 0) {
+    return 0;
+  }
+
+  const tasks = await findOpenTasks(organizationId, `
+    t.overdue_at IS NOT NULL AND t.escalated_at IS NULL
+    AND t.priority IN (${priorities.map(() => '?').join(', ')})
+    AND julianday(t.due_date) <= julianday('now', ?)
+  `, [...priorities, `-${settings.escalationDelayHours} hours`]);
+
+  for (const task of tasks) {
+    if (!(await claimStep(task.id, 'escalated_at'))) continue;
+
+    const recipients = await allQuery(`
+      SELECT id, name FROM users
+      WHERE status = 'active' AND id != ?
+        AND (id = ? OR id IN (
+          SELECT user_id FROM group_members WHERE group_id = ? AND role = 'admin'
+        ))
+      ORDER BY name
+    `, [task.assignee ? task.assignee.id : 0, task.assignedBy.id, task.groupId || 0]);
+
+    await recordTaskUpdate(task, 'escalation', recipients.length > 0
+      ? `Escalated to ${recipients.map(recipient => recipient.name).join(', ')}`
+      : 'Escalation had no one to notify');
+
+    if (io) {
+      const escalatedTask = await getTask(task.id);
+      for (const recipient of recipients) {
+        io.to(`user_${recipient.id}`).emit('task-escalated', { task: escalatedTask });
+      }
+    }
+  }
+
+  return tasks.length;
+}
+
+// One pass over every organization's open tasks with due dates
+async function processTaskDeadlines(io) {
+  const organizations = await allQuery('SELECT id, settings FROM organizations');
+  let processed = 0;
+
+  for (const organization of organizations) {
+    const settings = taskSettingsFrom(organization.settings);
+
+    processed += await sendReminders(io, organization.id, settings);
+    processed += await markOverdue(io, organization.id);
+    processed += await escalateOverdue(io, organization.id, settings);
+  }
+
+  return processed;
+}
+
+// Check deadlines now (catching up after a restart) and then on a timer
+function startTaskReminders(io) {
+  let running = false;
+
+  const run = () => {
+    if (running) return;
+    running = true;
+
+    processTaskDeadlines(io)
+      .catch(error => {
+        console.error('Error processing task deadlines:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, REMINDER_INTERVAL);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  TASK_SETTING_DEFAULTS,
+  MAX_THRESHOLD_HOURS,
+  getTaskSettings,
+  updateTaskSettings,
+  processTaskDeadlines,
+  startTaskReminders
+};
@@ -0,0 +1,272 @@
+const { getQuery, allQuery, withTransaction } = require('../config/database');
+const { canAccessGroup } = require('../middleware/auth');
+const { SYSTEM_MESSAGE_TYPE, messageError } = require('./messages');
+
+// Load a message with the user's membership role in its group
+async function getMessageForUser(user, messageId) {
+  const message = await getQuery(`
+    SELECT m.*, gm.role as member_role
+    FROM messages m
+    JOIN group_members gm ON gm.group_id = m.group_id AND gm.user_id = ?
+    WHERE m.id = ?
+  `, [user.id, messageId]);
+
+  if (!message) {
+    throw messageError(404, 'Message not found');
+  }
+
+  return message;
+}
+
+// The first edit or delete keeps the message as it was sent as revision 1.
+// These helpers take the transaction's query functions (see withTransaction).
+async function ensureOriginalRevision(tx, message) {
+  await tx.runQuery(`
+    INSERT OR IGNORE INTO message_revisions (message_id, revision, content, edited_by, created_at)
+    VALUES (?, 1, ?, ?, ?)
+  `, [message.id, message.content, message.sender_id, message.created_at]);
+}
+
+// Entries carry a snapshot of the sender, group and prior content so they
+// outlive the message and its group
+async function recordAudit(tx, message, actorId, action, { content, revision = null, reason = null }) {
+  await tx.runQuery(`
+    INSERT INTO message_audit_log
+      (message_id, group_id, actor_id, action, revision, reason,
+       organization_id, group_name, sender_id, sender_name, content)
+    SELECT ?, g.id, ?, ?, ?, ?, g.organization_id, g.name, u.id, u.name, ?
+    FROM groups g, users u
+    WHERE g.id = ? AND u.id = ?
+  `, [message.id, actorId, action, revision, reason, content, message.group_id, message.sender_id]);
+}
+
+// Edit a message's content, keeping the previous versions as revisions
+async function editMessage(user, messageId, content) {
+  const message = await getMessageForUser(user, messageId);
+
+  if (message.deleted_at) {
+    throw messageError(409, 'Message has been deleted');
+  }
+
+  if (message.type === SYSTEM_MESSAGE_TYPE) {
+    throw messageError(403, 'System messages cannot be edited');
+  }
+
+  // Own message or admin
+  const canEdit = message.sender_id === user.id ||
+                 user.role === 'admin' ||
+                 message.member_role === 'admin';
+
+  if (!canEdit) {
+    throw messageError(403, 'Cannot edit this message');
+  }
+
+  if (content === message.content) {
+    return { messageId: message.id, groupId: message.group_id, changed: false };
+  }
+
+  // The revision, the new content and the audit entry land together, so the
+  // message always shows its latest revision
+  const { revision, updated } = await withTransaction(async (tx) => {
+    const previous = await tx.getQuery('SELECT content FROM messages WHERE id = ?', [message.id]);
+    await ensureOriginalRevision(tx, message);
+
+    const inserted = await tx.runQuery(`
+      INSERT INTO message_revisions (message_id, revision, content, edited_by)
+      SELECT ?, COALESCE(MAX(revision), 0) + 1, ?, ?
+      FROM message_revisions WHERE message_id = ?
+    `, [message.id, content, user.id, message.id]);
+    const { revision } = await tx.getQuery('SELECT revision FROM message_revisions WHERE id = ?', [inserted.id]);
+
+    // Deleted while this edit was waiting
+    const edit = await tx.runQuery(`
+      UPDATE messages 
+      SET content = ?, edited_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deleted_at IS NULL
+    `, [content, message.id]);
+    if (edit.changes === 0) {
+      throw messageError(409, 'Message has been deleted');
+    }
+
+    await recordAudit(tx, message, user.id, 'edit', { content: previous.content, revision });
+
+    return {
+      revision,
+      updated: await tx.getQuery('SELECT edited_at FROM messages WHERE id = ?', [message.id])
+    };
+  });
+
+  return {
+    messageId: message.id,
+    groupId: message.group_id,
+    content,
+    editedAt: updated.edited_at,
+    editedBy: user.id,
+    revision,
+    changed: true
+  };
+}
+
+// Soft-delete a message: its content is cleared (which also drops it from
+// the search index) and a tombstone stays in the timeline. The content is
+// kept in the revision history for group admins.
+async function deleteMessage(user, messageId, reason = null) {
+  const message = await getMessageForUser(user, messageId);
+
+  if (message.deleted_at) {
+    throw messageError(409, 'Message has already been deleted');
+  }
+
+  // Own message, admin, or a group moderator
+  const canDelete = message.sender_id === user.id ||
+                   user.role === 'admin' ||
+                   await canAccessGroup(user.id, message.group_id, 'delete');
+
+  if (!canDelete) {
+    throw messageError(403, 'Cannot delete this message');
+  }
+
+  // The tombstone and its clean-up happen together or not at all
+  const { unpin, updated } = await withTransaction(async (tx) => {
+    // Re-read inside the transaction: an edit may have landed meanwhile
+    const current = await tx.getQuery('SELECT content, deleted_at FROM messages WHERE id = ?', [message.id]);
+    if (current.deleted_at) {
+      throw messageError(409, 'Message has already been deleted');
+    }
+
+    await ensureOriginalRevision(tx, message);
+
+    await tx.runQuery(`
+      UPDATE messages 
+      SET content = '', deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+      WHERE id = ?
+    `, [user.id, message.id]);
+
+    // Nothing should keep pointing people at a removed message
+    await tx.runQuery('DELETE FROM message_tags WHERE message_id = ?', [message.id]);
+    await tx.runQuery('DELETE FROM message_reactions WHERE message_id = ?', [message.id]);
+    await tx.runQuery('DELETE FROM message_mentions WHERE message_id = ?', [message.id]);
+    await tx.runQuery(
+      'DELETE FROM message_acknowledgements WHERE message_id = ? AND acknowledged_at IS NULL',
+      [message.id]
+    );
+    const unpin = await tx.runQuery('DELETE FROM pinned_messages WHERE message_id = ?', [message.id]);
+
+    await recordAudit(tx, message, user.id, 'delete', { content: current.content, reason });
+
+    return {
+      unpin,
+      updated: await tx.getQuery('SELECT deleted_at FROM messages WHERE id = ?', [message.id])
+    };
+  });
+
+  return {
+    messageId: message.id,
+    groupId: message.group_id,
+    deletedAt: updated.deleted_at,
+    deletedBy: user.id,
+    byModerator: user.id !== message.sender_id,
+    unpinned: unpin.changes > 0
+  };
+}
+
+async function requireGroupAdmin(user, groupId) {
+  if (!(await canAccessGroup(user.id, groupId, 'manage'))) {
+    throw messageError(403, 'Only group admins can view message history');
+  }
+}
+
+// Full edit history of a message, for group admins
+async function getRevisions(user, messageId) {
+  const message = await getMessageForUser(user, messageId);
+  await requireGroupAdmin(user, message.group_id);
+
+  const revisions = await allQuery(`
+    SELECT r.revision, r.content, r.created_at, u.id as user_id, u.name as user_name
+    FROM message_revisions r
+    JOIN users u ON r.edited_by = u.id
+    WHERE r.message_id = ?
+    ORDER BY r.revision ASC
+  `, [message.id]);
+
+  return {
+    messageId: message.id,
+    groupId: message.group_id,
+    deletedAt: message.deleted_at,
+    revisions: revisions.map(row => ({
+      revision: row.revision,
+      content: row.content,
+      editedBy: { id: row.user_id, name: row.user_name },
+      createdAt: row.created_at
+    }))
+  };
+}
+
+// Audit entries matching a condition, newest first. Reads only the entries'
+// own snapshots, so deleted messages and groups don't hide them.
+async function queryAuditLog(condition, params, { before = null, limit = 50 }) {
+  if (before) {
+    condition += ' AND a.id < ?';
+    params = [...params, before];
+  }
+
+  const rows = await allQuery(`
+    SELECT 
+      a.id, a.message_id, a.group_id, a.group_name, a.action, a.revision, a.reason,
+      a.content, a.created_at, a.sender_id, a.sender_name,
+      a.actor_id, actor.name as actor_name
+    FROM message_audit_log a
+    LEFT JOIN users actor ON a.actor_id = actor.id
+    WHERE ${condition}
+    ORDER BY a.id DESC
+    LIMIT ?
+  `, [...params, limit + 1]);
+
+  const entries = rows.slice(0, limit).map(row => ({
+    id: row.id,
+    action: row.action,
+    messageId: row.message_id,
+    group: { id: row.group_id, name: row.group_name },
+    revision: row.revision,
+    reason: row.reason,
+    content: row.content,
+    actor: { id: row.actor_id, name: row.actor_name },
+    sender: { id: row.sender_id, name: row.sender_name },
+    createdAt: row.created_at
+  }));
+
+  return {
+    entries,
+    nextBefore: rows.length > limit ? entries[entries.length - 1].id : null
+  };
+}
+
+// Who edited or deleted what in a group, for group admins
+async function getAuditLog(user, groupId, options = {}) {
+  await requireGroupAdmin(user, groupId);
+  return queryAuditLog('a.group_id = ?', [groupId], options);
+}
+
+// The whole organization's audit log, deleted groups included, for admins
+async function getOrganizationAuditLog(user, { groupId = null, ...options } = {}) {
+  if (user.role !== 'admin') {
+    throw messageError(403, 'Only admins can view the organization audit log');
+  }
+
+  let condition = 'a.organization_id = ?';
+  const params = [user.organization_id];
+  if (groupId) {
+    condition += ' AND a.group_id = ?';
+    params.push(groupId);
+  }
+
+  return queryAuditLog(condition, params, options);
+}
+
+module.exports = {
+  editMessage,
+  deleteMessage,
+  getRevisions,
+  getAuditLog,
+  getOrganizationAuditLog
+};
@@ -0,0 +1,451 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { canAccessGroup } = require('../middleware/auth');
+const { messageError, getFormattedMessage, createSystemMessage } = require('./messages');
+const { USER_ROLES } = require('./broadcasts');
+const { TAG_VALUE_PATTERN, getTagDefinition } = require('./tags');
+const { TASK_PRIORITIES, MAX_TASK_TITLE_LENGTH, MAX_TASK_DESCRIPTION_LENGTH } = require('./tasks');
+
+const ROUTING_ACTIONS = ['forward', 'notify_role', 'create_task'];
+// Mirrors GROUP_TYPES in routes/groups.js; direct conversations are never routed
+const ROUTABLE_GROUP_TYPES = ['team', 'project', 'emergency', 'general'];
+
+const RULE_SELECT = `
+  SELECT r.*, g.name as target_group_name, u.name as target_user_name
+  FROM tag_routing_rules r
+  LEFT JOIN groups g ON r.target_group_id = g.id
+  LEFT JOIN users u ON r.target_user_id = u.id
+`;
+
+function formatRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tagKey: row.tag_key,
+    tagValue: row.tag_value,
+    groupType: row.group_type,
+    action: row.action,
+    targetGroup: row.target_group_id ? { id: row.target_group_id, name: row.target_group_name } : null,
+    targetRole: row.target_role,
+    targetUser: row.target_user_id ? { id: row.target_user_id, name: row.target_user_name } : null,
+    taskPriority: row.task_priority,
+    enabled: !!row.enabled,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function formatLogEntry(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    ruleName: row.rule_name,
+    messageId: row.message_id,
+    tag: { type: row.tag_type, value: row.tag_value },
+    action: row.action,
+    status: row.status,
+    forwardedMessageId: row.forwarded_message_id,
+    taskId: row.task_id,
+    notifiedCount: row.notified_count,
+    error: row.error,
+    triggeredBy: row.triggered_by,
+    createdAt: row.created_at
+  };
+}
+
+// The rule's fields in the shape rule requests use
+function ruleInput(row) {
+  return {
+    name: row.name,
+    tagKey: row.tag_key,
+    tagValue: row.tag_value,
+    groupType: row.group_type,
+    action: row.action,
+    targetGroupId: row.target_group_id,
+    targetRole: row.target_role,
+    targetUserId: row.target_user_id,
+    taskPriority: row.task_priority,
+    enabled: !!row.enabled
+  };
+}
+
+// Check a rule against the organization's tags, groups and users and
+// normalize it for storage. Only the target the action uses is kept.
+async function validateRule(user, data) {
+  const organizationId = user.organization_id;
+
+  if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.trim().length > 100) {
+    throw messageError(400, 'Name must be between 1 and 100 characters');
+  }
+
+  const tagKey = typeof data.tagKey === 'string' ? data.tagKey.trim().toLowerCase() : '';
+  const tag = tagKey && await getTagDefinition(organizationId, tagKey);
+  if (!tag || tag.archived) {
+    throw messageError(400, `Unknown tag: ${data.tagKey}`);
+  }
+
+  const tagValue = data.tagValue === null || data.tagValue === undefined ? null : String(data.tagValue).trim() || null;
+  if (tagValue !== null &&
+      (!tag.allowsValue || !TAG_VALUE_PATTERN.test(tagValue) ||
+       (tag.allowedValues && !tag.allowedValues.includes(tagValue)))) {
+    throw messageError(400, `Invalid value for tag ${tag.label}`);
+  }
+
+  const groupType = data.groupType || null;
+  if (groupType && !ROUTABLE_GROUP_TYPES.includes(groupType)) {
+    throw messageError(400, 'Invalid group type');
+  }
+
+  if (!ROUTING_ACTIONS.includes(data.action)) {
+    throw messageError(400, 'Invalid action');
+  }
+
+  const rule = {
+    name: data.name.trim(),
+    tagKey: tag.key,
+    tagValue,
+    groupType,
+    action: data.action,
+    targetGroupId: null,
+    targetRole: null,
+    targetUserId: null,
+    taskPriority: null,
+    enabled: data.enabled === undefined ? true : !!data.enabled
+  };
+
+  if (data.action === 'forward') {
+    const group = data.targetGroupId && await getQuery(
+      'SELECT id, type FROM groups WHERE id = ? AND organization_id = ?',
+      [data.targetGroupId, organizationId]
+    );
+    if (!group || group.type === 'direct') {
+      throw messageError(400, 'Target group not found in your organization');
+    }
+    rule.targetGroupId = group.id;
+  }
+
+  if (data.action === 'notify_role') {
+    if (!USER_ROLES.includes(data.targetRole)) {
+      throw messageError(400, `Target role must be one of: ${USER_ROLES.join(', ')}`);
+    }
+    rule.targetRole = data.targetRole;
+  }
+
+  if (data.action === 'create_task') {
+    const assignee = data.targetUserId && await getQuery(`
+      SELECT id FROM users
+      WHERE id = ? AND organization_id = ? AND status = 'active'
+    `, [data.targetUserId, organizationId]);
+    if (!assignee) {
+      throw messageError(400, 'Target user not found in your organization');
+    }
+
+    const priority = data.taskPriority || 'medium';
+    if (!TASK_PRIORITIES.includes(priority)) {
+      throw messageError(400, 'Invalid task priority');
+    }
+
+    rule.targetUserId = assignee.id;
+    rule.taskPriority = priority;
+  }
+
+  return rule;
+}
+
+async function getRule(organizationId, ruleId) {
+  const row = await getQuery(`
+    ${RULE_SELECT}
+    WHERE r.id = ? AND r.organization_id = ?
+  `, [ruleId, organizationId]);
+
+  return row ? formatRule(row) : null;
+}
+
+async function listRules(organizationId, { tagKey } = {}) {
+  const params = [organizationId];
+  let rulesQuery = `
+    ${RULE_SELECT}
+    WHERE r.organization_id = ?
+  `;
+
+  if (tagKey) {
+    rulesQuery += ' AND r.tag_key = ?';
+    params.push(tagKey.toLowerCase());
+  }
+
+  rulesQuery += ' ORDER BY r.tag_key ASC, r.id ASC';
+
+  const rows = await allQuery(rulesQuery, params);
+  return rows.map(formatRule);
+}
+
+async function createRule(user, data) {
+  const rule = await validateRule(user, data);
+
+  const result = await runQuery(`
+    INSERT INTO tag_routing_rules
+      (organization_id, name, tag_key, tag_value, group_type, action,
+       target_group_id, target_role, target_user_id, task_priority, enabled, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    user.organization_id, rule.name, rule.tagKey, rule.tagValue, rule.groupType, rule.action,
+    rule.targetGroupId, rule.targetRole, rule.targetUserId, rule.taskPriority, rule.enabled ? 1 : 0, user.id
+  ]);
+
+  return getRule(user.organization_id, result.id);
+}
+
+// Update a rule; fields left out keep their values
+async function updateRule(user, ruleId, data) {
+  const row = await getQuery(
+    'SELECT * FROM tag_routing_rules WHERE id = ? AND organization_id = ?',
+    [ruleId, user.organization_id]
+  );
+
+  if (!row) {
+    throw messageError(404, 'Routing rule not found');
+  }
+
+  const merged = ruleInput(row);
+  for (const field of Object.keys(merged)) {
+    if (data[field] !== undefined) {
+      merged[field] = data[field];
+    }
+  }
+
+  const rule = await validateRule(user, merged);
+
+  await runQuery(`
+    UPDATE tag_routing_rules
+    SET name = ?, tag_key = ?, tag_value = ?, group_type = ?, action = ?,
+      target_group_id = ?, target_role = ?, target_user_id = ?, task_priority = ?, enabled = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [
+    rule.name, rule.tagKey, rule.tagValue, rule.groupType, rule.action,
+    rule.targetGroupId, rule.targetRole, rule.targetUserId, rule.taskPriority, rule.enabled ? 1 : 0, ruleId
+  ]);
+
+  return getRule(user.organization_id, ruleId);
+}
+
+// Delete a rule. Its log entries stay so past routing can still be traced.
+async function deleteRule(organizationId, ruleId) {
+  const result = await runQuery(
+    'DELETE FROM tag_routing_rules WHERE id = ? AND organization_id = ?',
+    [ruleId, organizationId]
+  );
+
+  return result.changes > 0;
+}
+
+// Post a copy of the message into the rule's target group. The copy carries
+// no tags, so forwarding can't set off another round of rules.
+async function forwardMessage(io, rule, message) {
+  const target = await getQuery(
+    'SELECT id, archived_at FROM groups WHERE id = ? AND organization_id = ?',
+    [rule.target_group_id, message.organization_id]
+  );
+
+  if (!target || target.archived_at) {
+    throw new Error('Target group is unavailable');
+  }
+
+  // Posted as a system notice from the rule's author, not as the original
+  // sender, who may not even be in the target group. The content says who
+  // wrote it.
+  const content = `↪ ${message.sender_name} in ${message.group_name} (forwarded by ${rule.name}):\n${message.content}`;
+  const forwarded = await createSystemMessage(rule.created_by, target.id, content);
+
+  if (io) {
+    io.to(`group_${target.id}`).emit('new-message', forwarded);
+  }
+
+  return { forwardedMessageId: forwarded.id };
+}
+
+async function notifyRole(io, rule, message, payload) {
+  const users = await allQuery(`
+    SELECT id FROM users
+    WHERE organization_id = ? AND role = ? AND status = 'active' AND id != ?
+  `, [message.organization_id, rule.target_role, message.sender_id]);
+
+  if (io) {
+    for (const user of users) {
+      io.to(`user_${user.id}`).emit('routed-message', payload);
+    }
+  }
+
+  return { notifiedCount: users.length };
+}
+
+// Assign a task about the message, on behalf of the admin who made the rule
+async function createRoutedTask(io, rule, message, payload) {
+  const assignee = await getQuery(
+    "SELECT id FROM users WHERE id = ? AND organization_id = ? AND status = 'active'",
+    [rule.target_user_id, message.organization_id]
+  );
+
+  if (!assignee) {
+    throw new Error('Task assignee is no longer active');
+  }
+
+  const title = `${rule.name}: ${message.content.replace(/\s+/g, ' ')}`.slice(0, MAX_TASK_TITLE_LENGTH);
+  const description = `From ${message.sender_name} in ${message.group_name}:\n${message.content}`
+    .slice(0, MAX_TASK_DESCRIPTION_LENGTH);
+
+  const taskResult = await runQuery(`
+    INSERT INTO tasks (message_id, title, description, assignee_id, assigned_by, priority)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [message.id, title, description, assignee.id, rule.created_by, rule.task_priority || 'medium']);
+
+  await runQuery(`
+    INSERT INTO task_updates (task_id, user_id, status, comment)
+    VALUES (?, ?, 'pending', ?)
+  `, [taskResult.id, rule.created_by, `Task created by routing rule: ${rule.name}`]);
+
+  if (io) {
+    io.to(`user_${assignee.id}`).emit('routed-message', { ...payload, taskId: taskResult.id });
+  }
+
+  return { taskId: taskResult.id, notifiedCount: 1 };
+}
+
+const ACTION_HANDLERS = {
+  forward: forwardMessage,
+  notify_role: notifyRole,
+  create_task: createRoutedTask
+};
+
+// Run the organization's rules for tags just added to a message. A rule
+// fires at most once per message, whichever of its tags matched first; a
+// failing rule is logged and doesn't stop the others.
+async function applyRoutingRules(io, messageId, tags, actor) {
+  if (!tags || tags.length === 0) {
+    return [];
+  }
+
+  const message = await getQuery(`
+    SELECT
+      m.id, m.content, m.group_id, m.sender_id, m.deleted_at,
+      g.name as group_name, g.type as group_type, g.organization_id,
+      u.name as sender_name
+    FROM messages m
+    JOIN groups g ON m.group_id = g.id
+    JOIN users u ON m.sender_id = u.id
+    WHERE m.id = ?
+  `, [messageId]);
+
+  if (!message || message.deleted_at || message.group_type === 'direct') {
+    return [];
+  }
+
+  const fired = [];
+
+  for (const tag of tags) {
+    const type = typeof tag === 'string' ? tag : tag.type;
+    const value = typeof tag === 'string' ? null : tag.value || null;
+
+    const rules = await allQuery(`
+      SELECT r.* FROM tag_routing_rules r
+      WHERE r.organization_id = ? AND r.enabled = 1 AND r.tag_key = ?
+        AND (r.tag_value IS NULL OR r.tag_value = ?)
+        AND (r.group_type IS NULL OR r.group_type = ?)
+        AND (r.target_group_id IS NULL OR r.target_group_id != ?)
+      ORDER BY r.id ASC
+    `, [message.organization_id, type, value, message.group_type, message.group_id]);
+
+    for (const rule of rules) {
+      // Claim the firing first so concurrent tagging can't run a rule twice
+      const claim = await runQuery(`
+        INSERT OR IGNORE INTO tag_routing_log
+          (rule_id, rule_name, message_id, tag_type, tag_value, action, status, triggered_by)
+        VALUES (?, ?, ?, ?, ?, ?, 'fired', ?)
+      `, [rule.id, rule.name, message.id, type, value, rule.action, actor ? actor.id : null]);
+
+      if (claim.changes === 0) {
+        continue;
+      }
+
+      const payload = {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        action: rule.action,
+        tag: { type, value },
+        groupId: message.group_id,
+        groupName: message.group_name,
+        message: await getFormattedMessage(message.id)
+      };
+
+      try {
+        const result = await ACTION_HANDLERS[rule.action](io, rule, message, payload);
+
+        await runQuery(`
+          UPDATE tag_routing_log
+          SET forwarded_message_id = ?, task_id = ?, notified_count = ?
+          WHERE id = ?
+        `, [result.forwardedMessageId || null, result.taskId || null, result.notifiedCount || 0, claim.id]);
+      } catch (error) {
+        console.error(`Error applying routing rule ${rule.id}:`, error);
+        await runQuery(
+          "UPDATE tag_routing_log SET status = 'failed', error = ? WHERE id = ?",
+          [error.message, claim.id]
+        );
+      }
+
+      fired.push(formatLogEntry(await getQuery('SELECT * FROM tag_routing_log WHERE id = ?', [claim.id])));
+    }
+  }
+
+  return fired;
+}
+
+// Which rules fired for a message; visible to anyone who can read it
+async function getMessageRoutingLog(user, messageId) {
+  const message = await getQuery('SELECT id, group_id FROM messages WHERE id = ?', [messageId]);
+
+  if (!message || !(await canAccessGroup(user.id, message.group_id, 'read'))) {
+    throw messageError(404, 'Message not found or access denied');
+  }
+
+  const rows = await allQuery(
+    'SELECT * FROM tag_routing_log WHERE message_id = ? ORDER BY id ASC',
+    [messageId]
+  );
+
+  return rows.map(formatLogEntry);
+}
+
+async function getRuleLog(organizationId, ruleId, { limit = 50, before } = {}) {
+  const params = [ruleId, organizationId];
+  let logQuery = `
+    SELECT l.* FROM tag_routing_log l
+    JOIN messages m ON l.message_id = m.id
+    JOIN groups g ON m.group_id = g.id
+    WHERE l.rule_id = ? AND g.organization_id = ?
+  `;
+
+  if (before) {
+    logQuery += ' AND l.id < ?';
+    params.push(before);
+  }
+
+  logQuery += ' ORDER BY l.id DESC LIMIT ?';
+  params.push(limit);
+
+  const rows = await allQuery(logQuery, params);
+  return rows.map(formatLogEntry);
+}
+
+module.exports = {
+  ROUTING_ACTIONS,
+  ROUTABLE_GROUP_TYPES,
+  getRule,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  applyRoutingRules,
+  getMessageRoutingLog,
+  getRuleLog
+};
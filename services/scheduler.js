@@ -0,0 +1,447 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { canAccessGroup } = require('../middleware/auth');
+const {
+  ALERT_ROLES,
+  messageError,
+  validateMessageInput,
+  normalizeTags,
+  createMessage
+} = require('./messages');
+const { notifyThreadReply } = require('./threads');
+const { notifyAlertRecipients } = require('./alerts');
+const { notifyMentions } = require('./mentions');
+const { resolveTags } = require('./tags');
+const { applyRoutingRules } = require('./routing');
+
+const RECURRENCES = ['daily', 'weekdays', 'weekly'];
+const SCHEDULE_STATUSES = ['pending', 'sent', 'cancelled', 'failed'];
+const MAX_SCHEDULE_AHEAD_DAYS = 366;
+const SCHEDULER_INTERVAL = (parseInt(process.env.SCHEDULER_INTERVAL) || 30) * 1000; // seconds
+const DELIVERY_BATCH = 50;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock date and time of an instant in a timezone
+function zonedParts(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  });
+  return parts;
+}
+
+// The instant a wall-clock time in a timezone refers to. The offset is
+// checked twice so times next to a DST change land on the right side.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = (time) => {
+    const parts = zonedParts(new Date(time), timezone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+  };
+
+  let time = wallClock - offsetAt(wallClock);
+  time = wallClock - offsetAt(time);
+  return new Date(time);
+}
+
+// Parse a send time. Times with a UTC offset are taken as is; times without
+// one are wall-clock times in the given timezone.
+function parseSendTime(value, timezone) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Fractional seconds (as date pickers send them) are accepted and dropped
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second = 0] = match.slice(1)
+    .filter(part => part !== undefined)
+    .map(part => parseInt(part));
+  return zonedTimeToUtc({ year, month, day, hour, minute, second }, timezone);
+}
+
+// Next delivery after `sendAt`, at the same local time of day
+function nextOccurrence(sendAt, recurrence, timezone) {
+  const local = zonedParts(sendAt, timezone);
+  let days = recurrence === 'weekly' ? 7 : 1;
+
+  while (true) {
+    const date = new Date(Date.UTC(local.year, local.month - 1, local.day + days));
+    const weekday = date.getUTCDay();
+
+    if (recurrence !== 'weekdays' || (weekday !== 0 && weekday !== 6)) {
+      return zonedTimeToUtc({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: local.hour,
+        minute: local.minute,
+        second: local.second
+      }, timezone);
+    }
+    days++;
+  }
+}
+
+// First occurrence after now. Occurrences missed while the server was down
+// are skipped rather than sent in a burst.
+function nextFutureOccurrence(sendAt, recurrence, timezone, now = new Date()) {
+  let next = nextOccurrence(sendAt, recurrence, timezone);
+  while (next <= now) {
+    next = nextOccurrence(next, recurrence, timezone);
+  }
+  return next;
+}
+
+function formatScheduledMessage(row) {
+  return {
+    id: row.id,
+    groupId: row.group_id,
+    groupName: row.group_name,
+    content: row.content,
+    type: row.type,
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    replyTo: row.reply_to,
+    sendAt: row.send_at,
+    timezone: row.timezone,
+    recurrence: row.recurrence,
+    endsAt: row.ends_at,
+    status: row.status,
+    sentCount: row.sent_count,
+    lastSentAt: row.last_sent_at,
+    lastMessageId: row.last_message_id,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Check a schedule request and normalize it for storage
+async function validateSchedule(user, data) {
+  const validationError = validateMessageInput(data);
+  if (validationError) {
+    throw messageError(400, validationError);
+  }
+
+  const timezone = data.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    throw messageError(400, 'Invalid timezone');
+  }
+
+  const recurrence = data.recurrence || null;
+  if (recurrence && !RECURRENCES.includes(recurrence)) {
+    throw messageError(400, 'Invalid recurrence');
+  }
+
+  const sendAt = parseSendTime(data.sendAt, timezone);
+  if (!sendAt) {
+    throw messageError(400, 'Invalid send time');
+  }
+
+  const now = new Date();
+  if (sendAt <= now) {
+    throw messageError(400, 'Send time must be in the future');
+  }
+  if (sendAt - now > MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+    throw messageError(400, `Messages can be scheduled at most ${MAX_SCHEDULE_AHEAD_DAYS} days ahead`);
+  }
+
+  let endsAt = null;
+  if (data.endsAt) {
+    endsAt = parseSendTime(data.endsAt, timezone);
+    if (!endsAt || endsAt <= sendAt) {
+      throw messageError(400, 'End time must be after the send time');
+    }
+  }
+
+  const groupId = parseInt(data.groupId);
+  const type = data.type || 'text';
+
+  if (!(await canAccessGroup(user.id, groupId, 'write'))) {
+    throw messageError(403, 'Access denied to this group');
+  }
+
+  if (type === 'alert' && !ALERT_ROLES.includes(user.role)) {
+    throw messageError(403, 'Insufficient permissions to send alerts');
+  }
+
+  const resolved = await resolveTags(user, normalizeTags(data.tags));
+  if (resolved.error) {
+    throw messageError(resolved.error.status, resolved.error.message);
+  }
+
+  return {
+    groupId,
+    content: data.content.trim(),
+    type,
+    tags: resolved.tags.length > 0 ? JSON.stringify(resolved.tags) : null,
+    replyTo: data.replyTo ? parseInt(data.replyTo) : null,
+    sendAt: sendAt.toISOString(),
+    timezone,
+    recurrence,
+    endsAt: recurrence && endsAt ? endsAt.toISOString() : null
+  };
+}
+
+async function getScheduledRow(id) {
+  return getQuery(`
+    SELECT sm.*, g.name as group_name
+    FROM scheduled_messages sm
+    JOIN groups g ON sm.group_id = g.id
+    WHERE sm.id = ?
+  `, [id]);
+}
+
+// Senders only ever see their own scheduled messages
+async function getScheduledMessage(user, id) {
+  const row = await getScheduledRow(id);
+
+  if (!row || row.sender_id !== user.id) {
+    throw messageError(404, 'Scheduled message not found');
+  }
+
+  return formatScheduledMessage(row);
+}
+
+async function listScheduledMessages(user, { status = 'pending' } = {}) {
+  const rows = await allQuery(`
+    SELECT sm.*, g.name as group_name
+    FROM scheduled_messages sm
+    JOIN groups g ON sm.group_id = g.id
+    WHERE sm.sender_id = ? AND sm.status = ?
+    ORDER BY sm.send_at ASC, sm.id ASC
+  `, [user.id, status]);
+
+  return rows.map(formatScheduledMessage);
+}
+
+async function createScheduledMessage(user, data) {
+  const schedule = await validateSchedule(user, data);
+
+  const result = await runQuery(`
+    INSERT INTO scheduled_messages
+      (sender_id, group_id, content, type, tags, reply_to, send_at, timezone, recurrence, ends_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    user.id, schedule.groupId, schedule.content, schedule.type, schedule.tags,
+    schedule.replyTo, schedule.sendAt, schedule.timezone, schedule.recurrence, schedule.endsAt
+  ]);
+
+  return formatScheduledMessage(await getScheduledRow(result.id));
+}
+
+// Edit a pending scheduled message. Fields left out keep their values.
+async function updateScheduledMessage(user, id, data) {
+  const existing = await getScheduledMessage(user, id);
+
+  if (existing.status !== 'pending') {
+    throw messageError(409, `Scheduled message has been ${existing.status}`);
+  }
+
+  const merged = {
+    groupId: existing.groupId,
+    content: existing.content,
+    type: existing.type,
+    tags: existing.tags,
+    replyTo: existing.replyTo,
+    sendAt: existing.sendAt,
+    timezone: existing.timezone,
+    recurrence: existing.recurrence,
+    endsAt: existing.endsAt
+  };
+  for (const field of Object.keys(merged)) {
+    if (data[field] !== undefined && field !== 'groupId') {
+      merged[field] = data[field];
+    }
+  }
+
+  const schedule = await validateSchedule(user, merged);
+
+  await runQuery(`
+    UPDATE scheduled_messages
+    SET content = ?, type = ?, tags = ?, reply_to = ?, send_at = ?, timezone = ?,
+      recurrence = ?, ends_at = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `, [
+    schedule.content, schedule.type, schedule.tags, schedule.replyTo, schedule.sendAt,
+    schedule.timezone, schedule.recurrence, schedule.endsAt, existing.id
+  ]);
+
+  return formatScheduledMessage(await getScheduledRow(existing.id));
+}
+
+async function cancelScheduledMessage(user, id) {
+  const existing = await getScheduledMessage(user, id);
+
+  if (existing.status !== 'pending') {
+    throw messageError(409, `Scheduled message has been ${existing.status}`);
+  }
+
+  await runQuery(`
+    UPDATE scheduled_messages
+    SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [existing.id]);
+
+  return formatScheduledMessage(await getScheduledRow(existing.id));
+}
+
+// Send one due scheduled message through the normal message pipeline. The
+// idempotency key is derived from the occurrence, so if the server stops
+// between sending and recording it, the retry finds the stored message
+// instead of sending it twice.
+async function deliverScheduledMessage(io, row) {
+  try {
+    const sender = await getQuery("SELECT * FROM users WHERE id = ? AND status = 'active'", [row.sender_id]);
+    if (!sender) {
+      throw messageError(403, 'Sender is no longer active');
+    }
+
+    const message = await createMessage(sender, {
+      groupId: row.group_id,
+      content: row.content,
+      type: row.type,
+      tags: row.tags ? JSON.parse(row.tags) : [],
+      replyTo: row.reply_to,
+      idempotencyKey: `scheduled:${row.id}:${row.send_at}`
+    });
+
+    // A duplicate means an earlier run stored the message but stopped before
+    // marking it sent, so its notifications may never have gone out. Send
+    // them again; routing rules skip messages they already handled.
+    const notify = !message.duplicate || row.last_message_id !== message.id;
+
+    if (notify && io) {
+      io.to(`group_${message.groupId}`).emit('new-message', message);
+      await notifyThreadReply(io, message);
+      await notifyAlertRecipients(io, message);
+      await notifyMentions(io, message);
+    }
+
+    if (notify) {
+      await applyRoutingRules(io, message.id, message.tags, sender);
+    }
+
+    let status = 'sent';
+    let sendAt = row.send_at;
+    if (row.recurrence) {
+      const next = nextFutureOccurrence(new Date(row.send_at), row.recurrence, row.timezone);
+      if (!row.ends_at || next <= new Date(row.ends_at)) {
+        status = 'pending';
+        sendAt = next.toISOString();
+      }
+    }
+
+    // Only if it wasn't edited or cancelled while sending
+    await runQuery(`
+      UPDATE scheduled_messages
+      SET status = ?, send_at = ?, sent_count = sent_count + 1, last_sent_at = CURRENT_TIMESTAMP,
+        last_message_id = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending' AND send_at = ?
+    `, [status, sendAt, message.id, row.id, row.send_at]);
+
+    if (io) {
+      io.to(`user_${row.sender_id}`).emit('scheduled-message-sent', {
+        id: row.id,
+        messageId: message.id,
+        groupId: message.groupId,
+        status,
+        nextSendAt: status === 'pending' ? sendAt : null
+      });
+    }
+  } catch (error) {
+    // Transient failures are retried on the next run
+    if (!error.status) {
+      throw error;
+    }
+
+    await runQuery(`
+      UPDATE scheduled_messages
+      SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `, [error.message, row.id]);
+
+    if (io) {
+      io.to(`user_${row.sender_id}`).emit('scheduled-message-failed', {
+        id: row.id,
+        groupId: row.group_id,
+        error: error.message
+      });
+    }
+  }
+}
+
+async function deliverDueMessages(io) {
+  const due = await allQuery(`
+    SELECT * FROM scheduled_messages
+    WHERE status = 'pending' AND send_at <= ?
+    ORDER BY send_at ASC, id ASC
+    LIMIT ?
+  `, [new Date().toISOString(), DELIVERY_BATCH]);
+
+  for (const row of due) {
+    try {
+      await deliverScheduledMessage(io, row);
+    } catch (error) {
+      console.error(`Error delivering scheduled message ${row.id}:`, error);
+    }
+  }
+
+  return due.length;
+}
+
+// Deliver due messages now (catching up after a restart) and then on a timer
+function startScheduler(io) {
+  let running = false;
+
+  const run = () => {
+    if (running) return;
+    running = true;
+
+    deliverDueMessages(io)
+      .catch(error => {
+        console.error('Error delivering scheduled messages:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, SCHEDULER_INTERVAL);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RECURRENCES,
+  SCHEDULE_STATUSES,
+  getScheduledMessage,
+  listScheduledMessages,
+  createScheduledMessage,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+  deliverDueMessages,
+  startScheduler
+};
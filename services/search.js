@@ -0,0 +1,191 @@
+const { allQuery } = require('../config/database');
+
+const SORT_ORDERS = ['relevance', 'recent'];
+
+// Snippet highlight markers (char(2)/char(3) in SQL); control characters
+// can't clash with message text
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Turn user input into a safe FTS5 query. Quoted text is matched as a phrase,
+// a trailing * makes a prefix match, and all terms must match. Everything is
+// quoted so FTS5 operators in the input are searched for as plain text.
+function buildFtsQuery(input) {
+  const terms = [];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].trim();
+      if (phrase) {
+        terms.push(`"${phrase.replace(/"/g, '""')}"`);
+      }
+      continue;
+    }
+
+    const word = match[2];
+    const isPrefix = word.endsWith('*');
+    const text = word.replace(/\*+$/, '').replace(/"/g, '""');
+
+    if (text) {
+      terms.push(`"${text}"${isPrefix ? '*' : ''}`);
+    }
+  }
+
+  return terms.join(' ');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// HTML-escape a snippet and wrap matched terms in <mark>
+function highlightSnippet(snippet) {
+  return escapeHtml(snippet || '')
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+}
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return values && Number.isInteger(values.id) ? values : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Search messages in the user's groups. Returns one page of results and the
+// cursor for the next page (null when there are no more).
+async function searchMessages(user, options) {
+  const {
+    q, groupId, senderId, type, tags = [], from, to,
+    sort = 'relevance', cursor, limit = 20
+  } = options;
+
+  const ftsQuery = buildFtsQuery(q);
+  if (!ftsQuery) {
+    return { messages: [], nextCursor: null };
+  }
+
+  let searchQuery = `
+    SELECT * FROM (
+      SELECT
+        m.id, m.content, m.type, m.group_id, m.created_at,
+        m.sender_id, u.name as sender_name, g.name as group_name,
+        (SELECT GROUP_CONCAT(mt.tag_type) FROM message_tags mt WHERE mt.message_id = m.id) as tags,
+        snippet(messages_fts, 0, char(2), char(3), '…', 16) as snippet,
+        bm25(messages_fts) as rank
+      FROM messages_fts
+      JOIN messages m ON m.id = messages_fts.rowid
+      JOIN users u ON m.sender_id = u.id
+      JOIN groups g ON m.group_id = g.id
+      JOIN group_members gm ON gm.group_id = m.group_id AND gm.user_id = ?
+      WHERE messages_fts MATCH ?
+  `;
+  const params = [user.id, ftsQuery];
+
+  if (groupId) {
+    searchQuery += ` AND m.group_id = ?`;
+    params.push(groupId);
+  }
+
+  if (senderId) {
+    searchQuery += ` AND m.sender_id = ?`;
+    params.push(senderId);
+  }
+
+  if (type) {
+    searchQuery += ` AND m.type = ?`;
+    params.push(type);
+  }
+
+  // Filter with EXISTS so every tag is still returned for matching messages
+  if (tags.length > 0) {
+    searchQuery += `
+      AND EXISTS (
+        SELECT 1 FROM message_tags ftag
+        WHERE ftag.message_id = m.id AND ftag.tag_type IN (${tags.map(() => '?').join(',')})
+      )
+    `;
+    params.push(...tags);
+  }
+
+  if (from) {
+    searchQuery += ` AND m.created_at >= ?`;
+    params.push(from);
+  }
+
+  if (to) {
+    searchQuery += ` AND m.created_at <= ?`;
+    params.push(to);
+  }
+
+  searchQuery += `
+    ) results
+  `;
+
+  // Keyset pagination on the sort key, with id as the tie-breaker
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  if (sort === 'recent') {
+    if (after) {
+      searchQuery += ` WHERE (created_at < ? OR (created_at = ? AND id < ?))`;
+      params.push(after.createdAt, after.createdAt, after.id);
+    }
+    searchQuery += ` ORDER BY created_at DESC, id DESC`;
+  } else {
+    if (after) {
+      searchQuery += ` WHERE (rank > ? OR (rank = ? AND id > ?))`;
+      params.push(after.rank, after.rank, after.id);
+    }
+    searchQuery += ` ORDER BY rank ASC, id ASC`;
+  }
+
+  searchQuery += ` LIMIT ?`;
+  params.push(limit + 1);
+
+  const rows = await allQuery(searchQuery, params);
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  const nextCursor = rows.length > limit
+    ? encodeCursor(sort === 'recent'
+      ? { createdAt: last.created_at, id: last.id }
+      : { rank: last.rank, id: last.id })
+    : null;
+
+  return {
+    messages: page.map(msg => ({
+      id: msg.id,
+      content: msg.content,
+      snippet: highlightSnippet(msg.snippet),
+      type: msg.type,
+      groupId: msg.group_id,
+      groupName: msg.group_name,
+      senderId: msg.sender_id,
+      senderName: msg.sender_name,
+      timestamp: msg.created_at,
+      tags: msg.tags ? msg.tags.split(',') : [],
+      rank: msg.rank
+    })),
+    nextCursor
+  };
+}
+
+module.exports = {
+  SORT_ORDERS,
+  buildFtsQuery,
+  decodeCursor,
+  searchMessages
+};
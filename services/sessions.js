@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { runQuery, getQuery, allQuery } = require('../config/database');
+const { generateToken, ACCESS_TOKEN_TTL } = require('../middleware/auth');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Error carrying the HTTP status the caller should respond with
+function sessionError(message, extra = {}) {
+  const error = new Error(message);
+  error.status = 401;
+  Object.assign(error, extra);
+  return error;
+}
+
+// Only hashes are stored, so a database leak doesn't expose usable tokens
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function issueRefreshToken(sessionId) {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await runQuery(`
+    INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+    VALUES (?, ?, datetime('now', ?))
+  `, [sessionId, hashToken(token), `+${REFRESH_TOKEN_TTL_DAYS} days`]);
+
+  return token;
+}
+
+function tokenResponse(user, sessionId, refreshToken) {
+  return {
+    token: generateToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Start a session for a user on a device and issue its first tokens
+async function createSession(user, req) {
+  const result = await runQuery(`
+    INSERT INTO auth_sessions (user_id, user_agent, ip_address)
+    VALUES (?, ?, ?)
+  `, [user.id, (req.get('user-agent') || '').slice(0, 255), req.ip]);
+
+  const refreshToken = await issueRefreshToken(result.id);
+  return { sessionId: result.id, ...tokenResponse(user, result.id, refreshToken) };
+}
+
+async function revokeSession(sessionId, reason) {
+  await runQuery(`
+    UPDATE auth_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `, [reason, sessionId]);
+}
+
+async function revokeAllSessions(userId, reason) {
+  await runQuery(`
+    UPDATE auth_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL
+  `, [reason, userId]);
+}
+
+// Exchange a refresh token for new tokens. Each refresh token works once:
+// presenting a used one means it was copied, so the whole session is revoked.
+async function rotateRefreshToken(refreshToken) {
+  const stored = await getQuery(`
+    SELECT
+      rt.id, rt.session_id, rt.used_at,
+      rt.expires_at <= CURRENT_TIMESTAMP as expired,
+      s.user_id, s.revoked_at
+    FROM refresh_tokens rt
+    JOIN auth_sessions s ON rt.session_id = s.id
+    WHERE rt.token_hash = ?
+  `, [hashToken(refreshToken)]);
+
+  if (!stored || stored.revoked_at) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  if (stored.used_at) {
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    throw sessionError('Refresh token reuse detected', { revokedSessionId: stored.session_id });
+  }
+
+  if (stored.expired) {
+    throw sessionError('Refresh token expired');
+  }
+
+  // Claim the token; losing this race is also a reuse
+  const claim = await runQuery(
+    'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+    [stored.id]
+  );
+
+  if (claim.changes === 0) {
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    throw sessionError('Refresh token reuse detected', { revokedSessionId: stored.session_id });
+  }
+
+  const user = await getQuery(
+    "SELECT * FROM users WHERE id = ? AND status = 'active'",
+    [stored.user_id]
+  );
+
+  if (!user) {
+    await revokeSession(stored.session_id, 'user_inactive');
+    throw sessionError('User not found or inactive', { revokedSessionId: stored.session_id });
+  }
+
+  await runQuery(
+    'UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [stored.session_id]
+  );
+
+  const newRefreshToken = await issueRefreshToken(stored.session_id);
+  return { sessionId: stored.session_id, ...tokenResponse(user, stored.session_id, newRefreshToken) };
+}
+
+async function getActiveSessions(userId) {
+  return allQuery(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at
+    FROM auth_sessions
+    WHERE user_id = ? AND revoked_at IS NULL
+    ORDER BY last_used_at DESC
+  `, [userId]);
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions
+};
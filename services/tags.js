@@ -0,0 +1,202 @@
+const { runQuery, getQuery, allQuery } = require('../config/database');
+
+// Tags every organization starts with
+const DEFAULT_TAGS = [
+  { key: 'urgent', label: 'Urgent', icon: '🚨', color: '#f8d7da' },
+  { key: 'follow-up', label: 'Follow-up', icon: '📌', color: '#fff3cd' },
+  { key: 'financial', label: 'Financial', icon: '💰', color: '#d4edda' },
+  { key: 'logistics', label: 'Logistics', icon: '🚛', color: '#cce5ff' },
+  { key: 'medical', label: 'Medical', icon: '🏥', color: '#fde2e4' },
+  { key: 'security', label: 'Security', icon: '🔒', color: '#e2e3e5' }
+];
+
+const TAG_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+// Tags are read back as "type:value" pairs joined by commas
+const TAG_VALUE_PATTERN = /^[^,:]{1,50}$/;
+
+function parseJsonList(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+function formatTag(row) {
+  return {
+    key: row.tag_key,
+    label: row.label,
+    color: row.color,
+    icon: row.icon,
+    allowsValue: !!row.allows_value,
+    allowedValues: parseJsonList(row.allowed_values),
+    allowedRoles: parseJsonList(row.allowed_roles),
+    sortOrder: row.sort_order,
+    archived: !!row.archived_at
+  };
+}
+
+async function ensureDefaultTags(organizationId) {
+  const existing = await getQuery(
+    'SELECT COUNT(*) as count FROM tag_definitions WHERE organization_id = ?',
+    [organizationId]
+  );
+
+  if (existing.count > 0) {
+    return;
+  }
+
+  for (const [index, tag] of DEFAULT_TAGS.entries()) {
+    await runQuery(`
+      INSERT OR IGNORE INTO tag_definitions (organization_id, tag_key, label, color, icon, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [organizationId, tag.key, tag.label, tag.color, tag.icon, index]);
+  }
+}
+
+// An organization's tags in display order. Archived tags stay readable for
+// old messages but can't be used on new ones.
+async function getTaxonomy(organizationId, { includeArchived = false } = {}) {
+  await ensureDefaultTags(organizationId);
+
+  const rows = await allQuery(`
+    SELECT * FROM tag_definitions
+    WHERE organization_id = ? ${includeArchived ? '' : 'AND archived_at IS NULL'}
+    ORDER BY sort_order ASC, label ASC
+  `, [organizationId]);
+
+  return rows.map(formatTag);
+}
+
+async function getTagDefinition(organizationId, key) {
+  await ensureDefaultTags(organizationId);
+
+  const row = await getQuery(
+    'SELECT * FROM tag_definitions WHERE organization_id = ? AND tag_key = ?',
+    [organizationId, key]
+  );
+
+  return row ? formatTag(row) : null;
+}
+
+// Check normalized { type, value } tags against the user's taxonomy.
+// Returns { tags } with canonical keys, or { error: { status, message } }.
+async function resolveTags(user, tags) {
+  if (tags.length === 0) {
+    return { tags: [] };
+  }
+
+  const taxonomy = new Map(
+    (await getTaxonomy(user.organization_id)).map(definition => [definition.key, definition])
+  );
+  const resolved = new Map();
+
+  for (const tag of tags) {
+    const definition = taxonomy.get(tag.type.trim().toLowerCase());
+    if (!definition) {
+      return { error: { status: 400, message: `Unknown tag: ${tag.type}` } };
+    }
+
+    if (definition.allowedRoles && !definition.allowedRoles.includes(user.role)) {
+      return { error: { status: 403, message: `Insufficient permissions to use tag: ${definition.label}` } };
+    }
+
+    const value = tag.value === null || tag.value === undefined ? null : String(tag.value).trim() || null;
+
+    if (value !== null) {
+      if (!definition.allowsValue) {
+        return { error: { status: 400, message: `Tag ${definition.label} does not take a value` } };
+      }
+      if (!TAG_VALUE_PATTERN.test(value) ||
+          (definition.allowedValues && !definition.allowedValues.includes(value))) {
+        return { error: { status: 400, message: `Invalid value for tag ${definition.label}` } };
+      }
+    }
+
+    resolved.set(`${definition.key}:${value || ''}`, { type: definition.key, value });
+  }
+
+  return { tags: [...resolved.values()] };
+}
+
+function toColumns(data) {
+  const allowedValues = data.allowedValues && data.allowedValues.length > 0 ? data.allowedValues : null;
+
+  return {
+    label: data.label,
+    color: data.color || null,
+    icon: data.icon || null,
+    // A list of allowed values implies the tag takes a value
+    allows_value: allowedValues || data.allowsValue ? 1 : 0,
+    allowed_values: allowedValues ? JSON.stringify(allowedValues) : null,
+    allowed_roles: data.allowedRoles && data.allowedRoles.length > 0 ? JSON.stringify(data.allowedRoles) : null,
+    sort_order: data.sortOrder || 0
+  };
+}
+
+async function createTag(organizationId, data) {
+  const columns = toColumns(data);
+
+  // New tags go to the end unless placed explicitly
+  if (data.sortOrder === undefined) {
+    const last = await getQuery(
+      'SELECT MAX(sort_order) as sort_order FROM tag_definitions WHERE organization_id = ?',
+      [organizationId]
+    );
+    columns.sort_order = (last.sort_order || 0) + 1;
+  }
+
+  await runQuery(`
+    INSERT INTO tag_definitions
+      (organization_id, tag_key, label, color, icon, allows_value, allowed_values, allowed_roles, sort_order)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    organizationId, data.key, columns.label, columns.color, columns.icon,
+    columns.allows_value, columns.allowed_values, columns.allowed_roles, columns.sort_order
+  ]);
+
+  return getTagDefinition(organizationId, data.key);
+}
+
+// Update a tag; fields left out keep their values. `archived: false`
+// brings an archived tag back.
+async function updateTag(organizationId, key, data) {
+  const existing = await getTagDefinition(organizationId, key);
+  if (!existing) {
+    return null;
+  }
+
+  const merged = { ...existing };
+  for (const field of ['label', 'color', 'icon', 'allowsValue', 'allowedValues', 'allowedRoles', 'sortOrder']) {
+    if (data[field] !== undefined) {
+      merged[field] = data[field];
+    }
+  }
+  const columns = toColumns(merged);
+  const archived = data.archived !== undefined ? data.archived : existing.archived;
+
+  await runQuery(`
+    UPDATE tag_definitions
+    SET label = ?, color = ?, icon = ?, allows_value = ?, allowed_values = ?, allowed_roles = ?,
+      sort_order = ?, archived_at = ${archived ? 'COALESCE(archived_at, CURRENT_TIMESTAMP)' : 'NULL'},
+      updated_at = CURRENT_TIMESTAMP
+    WHERE organization_id = ? AND tag_key = ?
+  `, [
+    columns.label, columns.color, columns.icon, columns.allows_value, columns.allowed_values,
+    columns.allowed_roles, columns.sort_order, organizationId, key
+  ]);
+
+  return getTagDefinition(organizationId, key);
+}
+
+async function archiveTag(organizationId, key) {
+  return updateTag(organizationId, key, { archived: true });
+}
+
+module.exports = {
+  DEFAULT_TAGS,
+  TAG_KEY_PATTERN,
+  TAG_VALUE_PATTERN,
+  getTaxonomy,
+  getTagDefinition,
+  resolveTags,
+  createTag,
+  updateTag,
+  archiveTag
+};
@@ -0,0 +1,278 @@
+const { runQuery, getQuery } = require('../config/database');
+const { canAccessGroup } = require('../middleware/auth');
+const { messageError, createSystemMessage } = require('./messages');
+const { notifyThreadReply } = require('./threads');
+
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+const MAX_TASK_TITLE_LENGTH = 200;
+const MAX_TASK_DESCRIPTION_LENGTH = 2000;
+
+const STATUS_LABELS = {
+  pending: 'pending',
+  in_progress: 'in progress',
+  completed: 'completed',
+  cancelled: 'cancelled'
+};
+
+const TASK_SELECT = `
+  SELECT
+    t.id, t.message_id, t.title, t.description, t.priority, t.status,
+    t.due_date, t.completed_at, t.created_at, t.overdue_at, t.escalated_at,
+    t.assignee_id, a.name as assignee_name,
+    t.assigned_by, b.name as assigned_by_name,
+    m.group_id
+  FROM tasks t
+  LEFT JOIN users a ON t.assignee_id = a.id
+  JOIN users b ON t.assigned_by = b.id
+  LEFT JOIN messages m ON t.message_id = m.id
+`;
+
+function formatTask(task) {
+  return {
+    id: task.id,
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    status: task.status,
+    dueDate: task.due_date,
+    completedAt: task.completed_at,
+    createdAt: task.created_at,
+    overdueAt: task.overdue_at,
+    escalatedAt: task.escalated_at,
+    messageId: task.message_id,
+    groupId: task.group_id,
+    assignee: task.assignee_id ? {
+      id: task.assignee_id,
+      name: task.assignee_name
+    } : null,
+    assignedBy: {
+      id: task.assigned_by,
+      name: task.assigned_by_name
+    }
+  };
+}
+
+async function getTask(taskId) {
+  const task = await getQuery(`${TASK_SELECT} WHERE t.id = ?`, [taskId]);
+  return task ? formatTask(task) : null;
+}
+
+// Get a task the user may see: assignee, assigner, or admin of the same organization
+async function getAccessibleTask(taskId, user) {
+  return getQuery(`
+    ${TASK_SELECT}
+    WHERE t.id = ? AND b.organization_id = ?
+      AND (t.assignee_id = ? OR t.assigned_by = ? OR ? = 'admin')
+  `, [taskId, user.organization_id, user.id, user.id, user.role]);
+}
+
+// Default task title: the message's first line, shortened to fit
+function taskTitleFromContent(content) {
+  const firstLine = content.split('\n').map(line => line.trim()).find(Boolean) || 'Follow up on message';
+  const title = firstLine.replace(/\s+/g, ' ');
+  return title.length > 100 ? `${title.slice(0, 99)}…` : title;
+}
+
+// Post a system notice into the group the task came from, unless the group
+// is archived. Returns the posted message, or null.
+async function postTaskNotice(io, senderId, groupId, content, replyTo = null) {
+  const group = await getQuery('SELECT archived_at FROM groups WHERE id = ?', [groupId]);
+  if (!group || group.archived_at) {
+    return null;
+  }
+
+  const message = await createSystemMessage(senderId, groupId, content, replyTo);
+
+  if (io) {
+    io.to(`group_${groupId}`).emit('new-message', message);
+    await notifyThreadReply(io, message);
+  }
+
+  return message;
+}
+
+// Tell the assignee and the assigner (other than the actor) about a task
+function notifyTaskParticipants(io, task, event, actorId) {
+  if (!io) {
+    return;
+  }
+
+  const userIds = new Set([task.assignee && task.assignee.id, task.assignedBy.id]);
+  for (const userId of userIds) {
+    if (userId && userId !== actorId) {
+      io.to(`user_${userId}`).emit(event, { task });
+    }
+  }
+}
+
+// Turn a message into a task linked back to it. The title defaults to the
+// message's first line and the description to its content. The assignment
+// is announced in the group and the assignee is notified.
+async function createTaskFromMessage(io, user, messageId, data = {}) {
+  const message = await getQuery(
+    'SELECT id, group_id, content, type, deleted_at FROM messages WHERE id = ?',
+    [messageId]
+  );
+
+  if (!message || !(await canAccessGroup(user.id, message.group_id, 'read'))) {
+    throw messageError(404, 'Message not found or access denied');
+  }
+
+  if (message.deleted_at) {
+    throw messageError(409, 'Message has been deleted');
+  }
+
+  let assignee = null;
+  if (data.assigneeId) {
+    assignee = await getQuery(`
+      SELECT id, name FROM users
+      WHERE id = ? AND organization_id = ? AND status = 'active'
+    `, [data.assigneeId, user.organization_id]);
+
+    if (!assignee) {
+      throw messageError(404, 'Assignee not found in your organization');
+    }
+  }
+
+  const title = data.title || taskTitleFromContent(message.content);
+  const description = data.description !== undefined
+    ? data.description || null
+    : message.content.slice(0, MAX_TASK_DESCRIPTION_LENGTH);
+
+  const taskResult = await runQuery(`
+    INSERT INTO tasks (message_id, title, description, assignee_id, assigned_by, priority, due_date)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    message.id, title.slice(0, MAX_TASK_TITLE_LENGTH), description, assignee ? assignee.id : null,
+    user.id, data.priority || 'medium', data.dueDate || null
+  ]);
+
+  await runQuery(`
+    INSERT INTO task_updates (task_id, user_id, status, comment)
+    VALUES (?, ?, 'pending', 'Task created from message')
+  `, [taskResult.id, user.id]);
+
+  const task = await getTask(taskResult.id);
+
+  const notice = assignee
+    ? `📋 ${user.name} assigned "${task.title}" to ${assignee.name}`
+    : `📋 ${user.name} created task "${task.title}"`;
+  const systemMessage = await postTaskNotice(io, user.id, message.group_id, notice);
+
+  notifyTaskParticipants(io, task, 'task-assigned', user.id);
+
+  return { task, systemMessage };
+}
+
+// Record a status change (with an optional comment) and mirror it into the
+// thread of the message the task came from
+async function updateTaskStatus(io, user, taskId, status, comment) {
+  const existing = await getAccessibleTask(taskId, user);
+
+  if (!existing) {
+    throw messageError(404, 'Task not found or access denied');
+  }
+
+  await runQuery(`
+    UPDATE tasks
+    SET status = ?,
+      completed_at = CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP ELSE NULL END
+    WHERE id = ?
+  `, [status, status, taskId]);
+
+  await runQuery(`
+    INSERT INTO task_updates (task_id, user_id, status, comment)
+    VALUES (?, ?, ?, ?)
+  `, [taskId, user.id, status, comment || null]);
+
+  const task = await getTask(taskId);
+
+  if (task.messageId && task.groupId && (status !== existing.status || comment)) {
+    const notice = status !== existing.status
+      ? `📋 ${user.name} marked "${task.title}" as ${STATUS_LABELS[status]}`
+      : `📋 ${user.name} commented on "${task.title}"`;
+    await postTaskNotice(io, user.id, task.groupId, comment ? `${notice}: ${comment}` : notice, task.messageId);
+  }
+
+  notifyTaskParticipants(io, task, 'task-updated', user.id);
+
+  return task;
+}
+
+// Hand a task to someone else (the assigner or an admin). The new assignee
+// gets their own due-date reminder.
+async function reassignTask(io, user, taskId, assigneeId, comment) {
+  const existing = await getAccessibleTask(taskId, user);
+
+  if (!existing) {
+    throw messageError(404, 'Task not found or access denied');
+  }
+
+  if (existing.assigned_by !== user.id && user.role !== 'admin') {
+    throw messageError(403, 'Only the task creator or an admin can reassign it');
+  }
+
+  const assignee = await getQuery(`
+    SELECT id, name FROM users
+    WHERE id = ? AND organization_id = ? AND status = 'active'
+  `, [assigneeId, user.organization_id]);
+
+  if (!assignee) {
+    throw messageError(404, 'Assignee not found in your organization');
+  }
+
+  if (assignee.id === existing.assignee_id) {
+    return formatTask(existing);
+  }
+
+  await runQuery(
+    'UPDATE tasks SET assignee_id = ?, reminder_sent_at = NULL WHERE id = ?',
+    [assignee.id, taskId]
+  );
+
+  // 'assignment' joins the update types listed in migration 016
+  const note = `Reassigned to ${assignee.name}`;
+  await runQuery(`
+    INSERT INTO task_updates (task_id, user_id, status, comment, update_type)
+    VALUES (?, ?, ?, ?, 'assignment')
+  `, [taskId, user.id, existing.status, comment ? `${note}: ${comment}` : note]);
+
+  const task = await getTask(taskId);
+
+  if (task.messageId && task.groupId) {
+    const notice = `📋 ${user.name} reassigned "${task.title}" to ${assignee.name}`;
+    await postTaskNotice(io, user.id, task.groupId, comment ? `${notice}: ${comment}` : notice, task.messageId);
+  }
+
+  // The new assignee is told it's theirs; the previous one and the assigner
+  // see the change
+  if (io) {
+    if (assignee.id !== user.id) {
+      io.to(`user_${assignee.id}`).emit('task-assigned', { task });
+    }
+    for (const userId of new Set([existing.assignee_id, existing.assigned_by])) {
+      if (userId && userId !== user.id && userId !== assignee.id) {
+        io.to(`user_${userId}`).emit('task-updated', { task });
+      }
+    }
+  }
+
+  return task;
+}
+
+module.exports = {
+  TASK_PRIORITIES,
+  TASK_STATUSES,
+  MAX_TASK_TITLE_LENGTH,
+  MAX_TASK_DESCRIPTION_LENGTH,
+  TASK_SELECT,
+  formatTask,
+  getTask,
+  getAccessibleTask,
+  taskTitleFromContent,
+  notifyTaskParticipants,
+  createTaskFromMessage,
+  updateTaskStatus,
+  reassignTask
+};
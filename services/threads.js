@@ -0,0 +1,82 @@
+const { getQuery, allQuery } = require('../config/database');
+const { canAccessGroup } = require('../middleware/auth');
+const { messageError, formatMessage, getFormattedMessage } = require('./messages');
+
+// Get a thread: its root message and one page of replies, oldest first.
+// Any message in the thread can be used to open it.
+async function getThread(user, messageId, { after = 0, limit = 50 } = {}) {
+  const message = await getQuery(
+    'SELECT id, reply_to, group_id FROM messages WHERE id = ?',
+    [messageId]
+  );
+
+  if (!message || !(await canAccessGroup(user.id, message.group_id, 'read'))) {
+    throw messageError(404, 'Message not found or access denied');
+  }
+
+  const root = await getFormattedMessage(message.reply_to || message.id);
+
+  const rows = await allQuery(`
+    SELECT 
+      m.id, m.content, m.type, m.reply_to, m.group_id, m.created_at,
+      m.edited_at, m.deleted_at, m.deleted_by,
+      u.id as sender_id, u.name as sender_name, u.role as sender_role,
+      GROUP_CONCAT(mt.tag_type || ':' || COALESCE(mt.tag_value, '')) as tags
+    FROM messages m
+    JOIN users u ON m.sender_id = u.id
+    LEFT JOIN message_tags mt ON m.id = mt.message_id
+    WHERE m.reply_to = ? AND m.id > ?
+    GROUP BY m.id
+    ORDER BY m.id ASC
+    LIMIT ?
+  `, [root.id, after, limit + 1]);
+
+  const replies = rows.slice(0, limit).map(formatMessage);
+
+  return {
+    root,
+    replies,
+    nextAfter: rows.length > limit ? replies[replies.length - 1].id : null
+  };
+}
+
+// Users following a thread: the root's author and everyone who replied,
+// as long as they are still in the group
+async function getThreadParticipants(rootId) {
+  const rows = await allQuery(`
+    SELECT DISTINCT m.sender_id as user_id
+    FROM messages m
+    JOIN group_members gm ON gm.group_id = m.group_id AND gm.user_id = m.sender_id
+    WHERE m.id = ? OR m.reply_to = ?
+  `, [rootId, rootId]);
+
+  return rows.map(row => row.user_id);
+}
+
+// Tell thread participants (other than the author) about a new reply
+async function notifyThreadReply(io, message) {
+  if (!io || !message.replyTo) {
+    return;
+  }
+
+  const root = await getFormattedMessage(message.replyTo);
+  const participants = await getThreadParticipants(message.replyTo);
+
+  for (const userId of participants) {
+    if (userId === message.senderId) continue;
+
+    io.to(`user_${userId}`).emit('thread-reply', {
+      rootId: root.id,
+      groupId: root.groupId,
+      replyCount: root.replyCount,
+      lastReplyAt: root.lastReplyAt,
+      message
+    });
+  }
+}
+
+module.exports = {
+  getThread,
+  getThreadParticipants,
+  notifyThreadReply
+};
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database; must be set before config/database is loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'humanitarian-chat-test-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+
+const { initDatabase, runQuery, getQuery, withTransaction, closeDatabase } = require('../config/database');
+
+let group;
+
+before(async () => {
+  await initDatabase();
+  group = await getQuery("SELECT id, created_by FROM groups WHERE name = 'General'");
+  await runQuery(
+    "INSERT OR IGNORE INTO group_members (group_id, user_id, role) VALUES (?, ?, 'admin')",
+    [group.id, group.created_by]
+  );
+});
+
+after(async () => {
+  await closeDatabase();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a failed transaction does not roll back writes made outside it', async () => {
+  let insert;
+
+  await assert.rejects(withTransaction(async (tx) => {
+    await tx.runQuery('DELETE FROM group_members WHERE group_id = ?', [group.id]);
+
+    // Someone sends a message while the cascade is running
+    insert = runQuery(
+      'INSERT INTO messages (sender_id, group_id, content) VALUES (?, ?, ?)',
+      [group.created_by, group.id, 'sent during the cascade']
+    );
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    throw new Error('cascade failed');
+  }), /cascade failed/);
+
+  const { id } = await insert;
+  const message = await getQuery('SELECT content FROM messages WHERE id = ?', [id]);
+  assert.strictEqual(message.content, 'sent during the cascade');
+
+  const members = await getQuery('SELECT COUNT(*) as count FROM group_members WHERE group_id = ?', [group.id]);
+  assert.ok(members.count > 0, 'the cascade should have been rolled back');
+});
+
+test('a transaction commits when its function resolves', async () => {
+  const value = await withTransaction(async (tx) => {
+    await tx.runQuery('UPDATE groups SET description = ? WHERE id = ?', ['committed', group.id]);
+    return 'done';
+  });
+
+  assert.strictEqual(value, 'done');
+  const row = await getQuery('SELECT description FROM groups WHERE id = ?', [group.id]);
+  assert.strictEqual(row.description, 'committed');
+});
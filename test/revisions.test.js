@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database; must be set before config/database is loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'humanitarian-chat-test-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+
+const { initDatabase, runQuery, getQuery, closeDatabase } = require('../config/database');
+const { editMessage, deleteMessage, getOrganizationAuditLog } = require('../services/revisions');
+
+let user;
+let group;
+
+async function postMessage(content) {
+  const result = await runQuery(
+    'INSERT INTO messages (sender_id, group_id, content) VALUES (?, ?, ?)',
+    [user.id, group.id, content]
+  );
+  return result.id;
+}
+
+before(async () => {
+  await initDatabase();
+  user = await getQuery("SELECT * FROM users WHERE email = 'admin@humanitarian.org'");
+  group = await getQuery("SELECT id FROM groups WHERE name = 'General'");
+  await runQuery(
+    "INSERT OR IGNORE INTO group_members (group_id, user_id, role) VALUES (?, ?, 'admin')",
+    [group.id, user.id]
+  );
+});
+
+after(async () => {
+  await closeDatabase();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('concurrent edits leave the message showing its latest revision', async () => {
+  const messageId = await postMessage('original');
+
+  const results = await Promise.all(
+    ['first', 'second', 'third', 'fourth'].map(content => editMessage(user, messageId, content))
+  );
+
+  assert.deepStrictEqual(results.map(result => result.revision).sort(), [2, 3, 4, 5]);
+
+  const latest = await getQuery(
+    'SELECT content FROM message_revisions WHERE message_id = ? ORDER BY revision DESC LIMIT 1',
+    [messageId]
+  );
+  const message = await getQuery('SELECT content FROM messages WHERE id = ?', [messageId]);
+  assert.strictEqual(message.content, latest.content);
+});
+
+test('an edit racing a delete does not bring the content back', async () => {
+  const messageId = await postMessage('to be removed');
+
+  const [deleted, edited] = await Promise.allSettled([
+    deleteMessage(user, messageId, 'cleanup'),
+    editMessage(user, messageId, 'too late')
+  ]);
+
+  assert.strictEqual(deleted.status, 'fulfilled');
+  assert.strictEqual(edited.status, 'rejected');
+  assert.strictEqual(edited.reason.status, 409);
+
+  const message = await getQuery('SELECT content, deleted_at FROM messages WHERE id = ?', [messageId]);
+  assert.strictEqual(message.content, '');
+  assert.ok(message.deleted_at);
+});
+
+test('audit entries stay readable after their message and group are deleted', async () => {
+  const groupResult = await runQuery(
+    "INSERT INTO groups (name, type, organization_id, created_by) VALUES ('Field team', 'team', ?, ?)",
+    [user.organization_id, user.id]
+  );
+  await runQuery(
+    "INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, 'admin')",
+    [groupResult.id, user.id]
+  );
+  const { id: messageId } = await runQuery(
+    'INSERT INTO messages (sender_id, group_id, content) VALUES (?, ?, ?)',
+    [user.id, groupResult.id, 'checkpoint moved']
+  );
+
+  await editMessage(user, messageId, 'checkpoint closed');
+  await deleteMessage(user, messageId, 'wrong channel');
+
+  await runQuery('DELETE FROM messages WHERE group_id = ?', [groupResult.id]);
+  await runQuery('DELETE FROM group_members WHERE group_id = ?', [groupResult.id]);
+  await runQuery('DELETE FROM groups WHERE id = ?', [groupResult.id]);
+
+  const { entries } = await getOrganizationAuditLog(user, { groupId: groupResult.id });
+
+  assert.deepStrictEqual(entries.map(entry => [entry.action, entry.content]), [
+    ['delete', 'checkpoint closed'],
+    ['edit', 'checkpoint moved']
+  ]);
+  assert.strictEqual(entries[0].group.name, 'Field team');
+  assert.strictEqual(entries[0].sender.name, user.name);
+});